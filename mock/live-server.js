@@ -0,0 +1,304 @@
+// Mock push server for developing the live charts without the real backend.
+//
+//   npm run mock:live
+//
+// Serves both transports the frontend understands:
+//   SSE:       POST /sensors/:id/stream-ticket   ({ ticket }, needs a bearer
+//                                                token)
+//              GET  /sensors/:id/stream?ticket=  (event: reading)
+//   WebSocket:      /sensors/:id/live             ({ type: "reading", reading }
+//                                                after { type: "auth", token }
+//                                                is answered with
+//                                                { type: "authenticated" })
+// Any non-empty token is accepted; tickets are single-use and expire after
+// TICKET_TTL_MS.
+//
+// Point the frontend at it with VITE_LIVE_URL=https://localhost:3001 (or
+// http:// when no certificate is found). Environment variables:
+//   MOCK_LIVE_PORT      port to listen on (default 3001)
+//   MOCK_INTERVAL_MS    delay between readings (default 5000)
+//   MOCK_DROP_AFTER_MS  drop every connection after this long, to exercise
+//                       the client's reconnect/backoff (default: never)
+
+import crypto from "crypto";
+import fs from "fs";
+import http from "http";
+import https from "https";
+
+const PORT = Number(process.env.MOCK_LIVE_PORT) || 3001;
+const INTERVAL_MS = Number(process.env.MOCK_INTERVAL_MS) || 5000;
+const DROP_AFTER_MS = Number(process.env.MOCK_DROP_AFTER_MS) || 0;
+
+// Same certificate the Vite dev server uses, so the page isn't mixed content
+const TLS_KEY = "./localhost+2-key.pem";
+const TLS_CERT = "./localhost+2.pem";
+
+const WS_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+
+const TICKET_TTL_MS = 30 * 1000;
+
+// ticket → { sensorId, expires }
+const tickets = new Map();
+
+const CORS_HEADERS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "POST, GET, OPTIONS",
+  "Access-Control-Allow-Headers": "Authorization",
+};
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    ...CORS_HEADERS,
+  });
+  res.end(JSON.stringify(body));
+};
+
+const issueTicket = (req, res, sensorId) => {
+  const token = (req.headers.authorization || "").replace(/^Bearer\s+/i, "");
+  if (!token) {
+    sendJson(res, 401, { error_msg: "Missing token" });
+    return;
+  }
+  const ticket = crypto.randomBytes(24).toString("base64url");
+  tickets.set(ticket, { sensorId, expires: Date.now() + TICKET_TTL_MS });
+  sendJson(res, 200, { ticket });
+};
+
+// Consumes `ticket`, which must have been issued for `sensorId`
+const redeemTicket = (ticket, sensorId) => {
+  const entry = tickets.get(ticket);
+  tickets.delete(ticket);
+  return Boolean(
+    entry && entry.sensorId === sensorId && entry.expires > Date.now(),
+  );
+};
+
+let nextId = 1;
+
+// Random walk per sensor so consecutive readings look plausible
+const sensorState = new Map();
+
+const nextReading = (sensorId) => {
+  const prev = sensorState.get(sensorId) || { co2: 600, temperature: 22 };
+  const state = {
+    co2: Math.max(350, prev.co2 + (Math.random() - 0.5) * 40),
+    temperature: prev.temperature + (Math.random() - 0.5) * 0.4,
+  };
+  sensorState.set(sensorId, state);
+
+  return {
+    id: `live-${sensorId}-${nextId++}`,
+    sensor_id: sensorId,
+    timestamp: new Date().toISOString(),
+    co2: state.co2,
+    temperature: state.temperature,
+    tx_signature: "",
+  };
+};
+
+// Calls `send` with a new reading every interval until the returned stop
+// function is called
+const startFeed = (sensorId, send, close) => {
+  const interval = setInterval(() => send(nextReading(sensorId)), INTERVAL_MS);
+  const drop = DROP_AFTER_MS ? setTimeout(close, DROP_AFTER_MS) : null;
+
+  return () => {
+    clearInterval(interval);
+    clearTimeout(drop);
+  };
+};
+
+const handleSse = (req, res, sensorId) => {
+  const ticket = new URL(req.url, "http://localhost").searchParams.get(
+    "ticket",
+  );
+  if (!redeemTicket(ticket, sensorId)) {
+    sendJson(res, 401, { error_msg: "Invalid or expired ticket" });
+    return;
+  }
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "Access-Control-Allow-Origin": "*",
+  });
+  res.write(": connected\n\n");
+
+  const stop = startFeed(
+    sensorId,
+    (reading) =>
+      res.write(`event: reading\ndata: ${JSON.stringify(reading)}\n\n`),
+    () => res.end(),
+  );
+
+  req.on("close", stop);
+  console.log(`SSE client subscribed to sensor ${sensorId}`);
+};
+
+// Encodes a single unmasked text frame (server-to-client frames aren't masked)
+const encodeWsFrame = (text) => {
+  const payload = Buffer.from(text);
+  let header;
+
+  if (payload.length < 126) {
+    header = Buffer.from([0x81, payload.length]);
+  } else if (payload.length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x81;
+    header[1] = 126;
+    header.writeUInt16BE(payload.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x81;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(payload.length), 2);
+  }
+
+  return Buffer.concat([header, payload]);
+};
+
+// Decodes a client frame (always masked) as `{ opcode, text }`. Assumes the
+// whole frame arrived in one chunk, which holds for the small messages the
+// frontend sends.
+const decodeWsFrame = (data) => {
+  const opcode = data[0] & 0x0f;
+  let length = data[1] & 0x7f;
+  let offset = 2;
+  if (length === 126) {
+    length = data.readUInt16BE(2);
+    offset = 4;
+  } else if (length === 127) {
+    length = Number(data.readBigUInt64BE(2));
+    offset = 10;
+  }
+  const mask = data.subarray(offset, offset + 4);
+  const payload = Buffer.from(data.subarray(offset + 4, offset + 4 + length));
+  payload.forEach((byte, i) => {
+    payload[i] = byte ^ mask[i % 4];
+  });
+  return { opcode, text: payload.toString() };
+};
+
+// Close frame with a status code, e.g. 1008 (policy violation)
+const closeFrame = (code = 1000) => {
+  const frame = Buffer.from([0x88, 0x02, 0, 0]);
+  frame.writeUInt16BE(code, 2);
+  return frame;
+};
+
+const handleWsUpgrade = (req, socket, sensorId) => {
+  const key = req.headers["sec-websocket-key"];
+  if (!key) {
+    socket.destroy();
+    return;
+  }
+
+  const accept = crypto
+    .createHash("sha1")
+    .update(key + WS_GUID)
+    .digest("base64");
+
+  socket.write(
+    [
+      "HTTP/1.1 101 Switching Protocols",
+      "Upgrade: websocket",
+      "Connection: Upgrade",
+      `Sec-WebSocket-Accept: ${accept}`,
+      "",
+      "",
+    ].join("\r\n"),
+  );
+
+  let authenticated = false;
+  let stop = () => {};
+
+  // The first message must authenticate; readings start once it has. Later
+  // client frames are ignored, except that a close frame (opcode 0x8) ends it.
+  socket.on("data", (data) => {
+    const { opcode, text } = decodeWsFrame(data);
+    if (opcode === 0x8) {
+      socket.end(closeFrame());
+      return;
+    }
+    if (authenticated) return;
+
+    let message = null;
+    try {
+      message = JSON.parse(text);
+    } catch {
+      // Treated like a missing token below
+    }
+    if (message?.type !== "auth" || !message.token) {
+      socket.end(closeFrame(1008));
+      return;
+    }
+
+    authenticated = true;
+    socket.write(encodeWsFrame(JSON.stringify({ type: "authenticated" })));
+    stop = startFeed(
+      sensorId,
+      (reading) =>
+        socket.write(
+          encodeWsFrame(JSON.stringify({ type: "reading", reading })),
+        ),
+      () => socket.end(closeFrame()),
+    );
+    console.log(`WebSocket client subscribed to sensor ${sensorId}`);
+  });
+  socket.on("close", () => stop());
+  socket.on("error", () => stop());
+};
+
+const matchSensor = (url, suffix) => {
+  const { pathname } = new URL(url, "http://localhost");
+  const match = pathname.match(new RegExp(`^/sensors/([^/]+)/${suffix}$`));
+  if (!match) return null;
+  return Number.isNaN(Number(match[1])) ? match[1] : Number(match[1]);
+};
+
+const requestHandler = (req, res) => {
+  if (req.method === "OPTIONS") {
+    res.writeHead(204, CORS_HEADERS);
+    res.end();
+    return;
+  }
+
+  const ticketSensorId = matchSensor(req.url, "stream-ticket");
+  if (req.method === "POST" && ticketSensorId !== null) {
+    issueTicket(req, res, ticketSensorId);
+    return;
+  }
+
+  const sensorId = matchSensor(req.url, "stream");
+  if (req.method === "GET" && sensorId !== null) {
+    handleSse(req, res, sensorId);
+    return;
+  }
+
+  sendJson(res, 404, { error_msg: "Not found" });
+};
+
+const useTls = fs.existsSync(TLS_KEY) && fs.existsSync(TLS_CERT);
+const server = useTls
+  ? https.createServer(
+      { key: fs.readFileSync(TLS_KEY), cert: fs.readFileSync(TLS_CERT) },
+      requestHandler,
+    )
+  : http.createServer(requestHandler);
+
+server.on("upgrade", (req, socket) => {
+  const sensorId = matchSensor(req.url, "live");
+  if (sensorId === null) {
+    socket.destroy();
+    return;
+  }
+  handleWsUpgrade(req, socket, sensorId);
+});
+
+server.listen(PORT, () => {
+  const scheme = useTls ? "https" : "http";
+  console.log(`Mock live server on ${scheme}://localhost:${PORT}`);
+  console.log(`Sending a reading every ${INTERVAL_MS} ms per subscriber`);
+});
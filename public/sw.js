@@ -0,0 +1,63 @@
+// Offline support for the app shell. Pages are served network-first, falling
+// back to the cached index.html so client-side routes still open offline;
+// built assets (content-hashed, so never stale) are served cache-first.
+// API data is cached by the app itself, in IndexedDB.
+
+const CACHE = "pt-shell-v1";
+const SHELL = ["/", "/index.html", "/vite.svg"];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(CACHE)
+      .then((cache) => cache.addAll(SHELL))
+      .then(() => self.skipWaiting()),
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys.filter((key) => key !== CACHE).map((key) => caches.delete(key)),
+        ),
+      )
+      .then(() => self.clients.claim()),
+  );
+});
+
+const cacheResponse = async (request, response) => {
+  if (response.ok) {
+    const cache = await caches.open(CACHE);
+    await cache.put(request, response.clone());
+  }
+  return response;
+};
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  // The backend and other origins are left alone
+  if (request.method !== "GET" || url.origin !== self.location.origin) return;
+
+  if (request.mode === "navigate") {
+    event.respondWith(
+      fetch(request)
+        .then((response) => cacheResponse("/index.html", response))
+        .catch(() => caches.match("/index.html")),
+    );
+    return;
+  }
+
+  event.respondWith(
+    caches
+      .match(request)
+      .then(
+        (cached) =>
+          cached ||
+          fetch(request).then((response) => cacheResponse(request, response)),
+      ),
+  );
+});
@@ -1,15 +1,39 @@
-import React, { useState } from "react";
+import React from "react";
+import {
+  BrowserRouter,
+  Routes,
+  Route,
+  Navigate,
+  useLocation,
+} from "react-router-dom";
 import { AuthProvider, useAuth } from "./contexts/AuthContext";
+import { AlertsProvider } from "./contexts/AlertsContext";
+import { SettingsProvider } from "./contexts/SettingsContext";
 import LoginPage from "./components/LoginPage";
 import RegisterPage from "./components/RegisterPage";
 import PollutionPlotsDashboard from "./components/MyPlots";
 import MySensorsPage from "./components/MySensors";
-import { BarChart3, Activity, LogOut } from "lucide-react";
+import AppLayout from "./components/AppLayout";
+import ProtectedRoute from "./components/ProtectedRoute";
+import NotFoundPage from "./components/NotFoundPage";
+import AdminPage from "./components/AdminPage";
+import SettingsPage from "./components/SettingsPage";
+import SensorMapPage from "./components/SensorMapPage";
+
+// Login/register are only reachable while signed out; once authenticated,
+// send the user back to the page they originally asked for.
+const PublicOnlyRoute = ({ children }) => {
+  const { isAuthenticated } = useAuth();
+  const location = useLocation();
+
+  if (isAuthenticated) {
+    return <Navigate to={location.state?.from || "/plots"} replace />;
+  }
+  return children;
+};
 
 const AppContent = () => {
-  const [showRegister, setShowRegister] = useState(false);
-  const [activePage, setActivePage] = useState("plots"); // 'plots' or 'sensors'
-  const { isAuthenticated, loading, logout, user } = useAuth();
+  const { loading } = useAuth();
 
   if (loading) {
     return (
@@ -22,90 +46,64 @@ const AppContent = () => {
     );
   }
 
-  if (!isAuthenticated) {
-    return showRegister ? (
-      <RegisterPage onSwitchToLogin={() => setShowRegister(false)} />
-    ) : (
-      <LoginPage onSwitchToRegister={() => setShowRegister(true)} />
-    );
-  }
-
   return (
-    <div className="min-h-screen bg-gradient-to-br from-slate-50 to-slate-100">
-      {/* Navigation Bar */}
-      <nav className="bg-white shadow-md border-b border-gray-200">
-        <div className="max-w-7xl mx-auto px-6">
-          <div className="flex items-center justify-between h-16">
-            {/* Logo/Brand */}
-            <div className="flex items-center gap-2">
-              <div className="w-10 h-10 bg-blue-600 rounded-lg flex items-center justify-center">
-                <BarChart3 className="w-6 h-6 text-white" />
-              </div>
-              <span className="text-xl font-bold text-slate-800">
-                Pollution Monitor
-              </span>
-            </div>
-
-            {/* Navigation Tabs */}
-            <div className="flex items-center gap-2">
-              <button
-                onClick={() => setActivePage("plots")}
-                className={`px-4 py-2 rounded-lg font-medium transition-colors flex items-center gap-2 ${
-                  activePage === "plots"
-                    ? "bg-blue-100 text-blue-700"
-                    : "text-slate-600 hover:bg-slate-100"
-                }`}
-              >
-                <BarChart3 className="w-4 h-4" />
-                My Plots
-              </button>
-              <button
-                onClick={() => setActivePage("sensors")}
-                className={`px-4 py-2 rounded-lg font-medium transition-colors flex items-center gap-2 ${
-                  activePage === "sensors"
-                    ? "bg-blue-100 text-blue-700"
-                    : "text-slate-600 hover:bg-slate-100"
-                }`}
-              >
-                <Activity className="w-4 h-4" />
-                My Sensors
-              </button>
-            </div>
+    <Routes>
+      <Route
+        path="/login"
+        element={
+          <PublicOnlyRoute>
+            <LoginPage />
+          </PublicOnlyRoute>
+        }
+      />
+      <Route
+        path="/register"
+        element={
+          <PublicOnlyRoute>
+            <RegisterPage />
+          </PublicOnlyRoute>
+        }
+      />
 
-            {/* User Info & Logout */}
-            <div className="flex items-center gap-4">
-              <span className="text-sm text-slate-600">
-                Welcome, <span className="font-semibold">{user?.username}</span>
-              </span>
-              <button
-                onClick={logout}
-                className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 transition-colors flex items-center gap-2"
-              >
-                <LogOut className="w-4 h-4" />
-                Logout
-              </button>
-            </div>
-          </div>
-        </div>
-      </nav>
-
-      {/* Page Content */}
-      <div>
-        {activePage === "plots" ? (
-          <PollutionPlotsDashboard />
-        ) : (
-          <MySensorsPage />
-        )}
-      </div>
-    </div>
+      <Route
+        element={
+          <ProtectedRoute>
+            <AppLayout />
+          </ProtectedRoute>
+        }
+      >
+        <Route index element={<Navigate to="/plots" replace />} />
+        <Route path="plots" element={<PollutionPlotsDashboard />} />
+        <Route path="plots/:sensorId" element={<PollutionPlotsDashboard />} />
+        <Route path="sensors" element={<MySensorsPage />} />
+        <Route path="sensors/:sensorId" element={<MySensorsPage />} />
+        <Route path="map" element={<SensorMapPage />} />
+        <Route path="settings" element={<SettingsPage />} />
+        <Route
+          path="admin"
+          element={
+            <ProtectedRoute requiredRole="admin">
+              <AdminPage />
+            </ProtectedRoute>
+          }
+        />
+        <Route path="*" element={<NotFoundPage />} />
+      </Route>
+    </Routes>
   );
 };
 
 function App() {
   return (
-    <AuthProvider>
-      <AppContent />
-    </AuthProvider>
+    <BrowserRouter>
+      <AuthProvider>
+        <SettingsProvider>
+          <AlertsProvider>
+            <AppContent />
+          </AlertsProvider>
+        </SettingsProvider>
+      </AuthProvider>
+    </BrowserRouter>
   );
 }
 
@@ -0,0 +1,61 @@
+import { ApiError } from "./client";
+
+// Alert rules are stored through the API:
+//   GET    /sensors/:id/alert-rules
+//   POST   /sensors/:id/alert-rules   { metric, min, max, duration_minutes }
+//                                      (+ category, standard for AQI
+//                                      category rules, see utils/alerts)
+//   DELETE /sensors/:id/alert-rules/:ruleId
+// Until the backend supports them (404/405/501), rules are kept in
+// localStorage instead, under the same shape.
+
+const STORAGE_KEY = "alert_rules";
+const UNSUPPORTED_STATUSES = [404, 405, 501];
+
+const isUnsupported = (err) =>
+  err instanceof ApiError && UNSUPPORTED_STATUSES.includes(err.status);
+
+const readLocalRules = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+  } catch {
+    return [];
+  }
+};
+
+const writeLocalRules = (rules) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(rules));
+};
+
+// Resolves with `{ rules, storage }`, where storage is 'server' or 'local'
+export const loadAlertRules = async (api, sensorId) => {
+  try {
+    const rules = await api.get(`/sensors/${sensorId}/alert-rules`);
+    return { rules, storage: "server" };
+  } catch (err) {
+    if (!isUnsupported(err)) throw err;
+    return {
+      rules: readLocalRules().filter((r) => r.sensor_id === sensorId),
+      storage: "local",
+    };
+  }
+};
+
+export const createAlertRule = async (api, sensorId, rule, storage) => {
+  if (storage === "server") {
+    return api.post(`/sensors/${sensorId}/alert-rules`, rule);
+  }
+
+  const created = { ...rule, id: `local-${Date.now()}`, sensor_id: sensorId };
+  writeLocalRules([...readLocalRules(), created]);
+  return created;
+};
+
+export const deleteAlertRule = async (api, sensorId, ruleId, storage) => {
+  if (storage === "server") {
+    await api.delete(`/sensors/${sensorId}/alert-rules/${ruleId}`);
+    return;
+  }
+
+  writeLocalRules(readLocalRules().filter((r) => r.id !== ruleId));
+};
@@ -0,0 +1,149 @@
+import {
+  isNetworkError,
+  reportOffline,
+  reportOnline,
+  reportStale,
+} from "./connectivity";
+import { loadResponse, saveResponse } from "./offlineStore";
+
+// Base URL of the backend, configurable per build through Vite env files
+// (e.g. `VITE_API_BASE_URL=https://staging.example.com` in `.env.staging`).
+export const API_BASE_URL = (
+  import.meta.env.VITE_API_BASE_URL || "https://localhost:3000"
+).replace(/\/+$/, "");
+
+export const SESSION_EXPIRED_MESSAGE = "Session expired. Please log in again.";
+
+export class ApiError extends Error {
+  constructor(status, message, data = null) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+    this.data = data;
+  }
+}
+
+// Default user-facing message for each status the backend is known to return
+const messageForStatus = (status, serverMessage) => {
+  switch (status) {
+    case 401:
+      return serverMessage || SESSION_EXPIRED_MESSAGE;
+    case 403:
+      return (
+        serverMessage || "You do not have permission to access this resource"
+      );
+    case 404:
+      return serverMessage || "Resource not found";
+    case 409:
+      return serverMessage || "Resource already exists";
+    case 500:
+      return serverMessage || "Server error. Please try again later.";
+    default:
+      return `Error: ${status} - ${serverMessage || "Unknown error"}`;
+  }
+};
+
+export const buildUrl = (path, query) => {
+  const url = `${API_BASE_URL}${path.startsWith("/") ? path : `/${path}`}`;
+  if (!query) return url;
+
+  const params = new URLSearchParams();
+  Object.entries(query).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== "") {
+      params.append(key, value);
+    }
+  });
+  const search = params.toString();
+  return search ? `${url}?${search}` : url;
+};
+
+// Performs a request and unwraps the backend's `{ body, error_msg }` envelope.
+// Resolves with `body` on success, rejects with an ApiError otherwise.
+export const request = async (
+  path,
+  { method = "GET", token, body, query, signal } = {},
+) => {
+  const headers = {};
+  if (body !== undefined) headers["Content-Type"] = "application/json";
+  if (token) headers.Authorization = `Bearer ${token}`;
+
+  let response;
+  try {
+    response = await fetch(buildUrl(path, query), {
+      method,
+      headers,
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+      signal,
+    });
+  } catch (err) {
+    if (isNetworkError(err)) reportOffline(API_BASE_URL);
+    throw err;
+  }
+  reportOnline();
+
+  let data = null;
+  try {
+    data = await response.json();
+  } catch {
+    // Empty or non-JSON response body
+  }
+
+  if (!response.ok) {
+    throw new ApiError(
+      response.status,
+      messageForStatus(response.status, data?.error_msg || data?.message),
+      data,
+    );
+  }
+
+  return data?.body;
+};
+
+// Creates a client bound to a token. `onUnauthorized` is called whenever an
+// authenticated request is rejected with 401, so session expiry is handled in
+// one place instead of in every component.
+export const createApiClient = ({ token, onUnauthorized } = {}) => {
+  const send = async (method, path, options = {}) => {
+    try {
+      return await request(path, { ...options, method, token });
+    } catch (err) {
+      if (err instanceof ApiError && err.status === 401 && token) {
+        onUnauthorized?.();
+        throw new ApiError(401, SESSION_EXPIRED_MESSAGE, err.data);
+      }
+      throw err;
+    }
+  };
+
+  // With `offlineCache: true`, successful responses are kept in IndexedDB
+  // and served from there (flagged as stale) when the backend can't be
+  // reached. They're stored under the URL, built from `cacheQuery` instead
+  // of the query when that changes from call to call.
+  const get = async (
+    path,
+    { offlineCache = false, cacheQuery, ...options } = {},
+  ) => {
+    if (!offlineCache) return send("GET", path, options);
+
+    const key = buildUrl(path, cacheQuery ?? options.query);
+    try {
+      const data = await send("GET", path, options);
+      saveResponse(key, data);
+      return data;
+    } catch (err) {
+      if (!isNetworkError(err)) throw err;
+      const cached = await loadResponse(key);
+      if (!cached) throw err;
+      reportStale(cached.fetchedAt);
+      return cached.data;
+    }
+  };
+
+  return {
+    get,
+    post: (path, body, options) => send("POST", path, { ...options, body }),
+    put: (path, body, options) => send("PUT", path, { ...options, body }),
+    patch: (path, body, options) => send("PATCH", path, { ...options, body }),
+    delete: (path, options) => send("DELETE", path, options),
+  };
+};
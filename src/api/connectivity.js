@@ -0,0 +1,77 @@
+// Whether the backend is reachable, as observed by API requests, and since
+// when the data on screen is stale when it is not. While offline the backend
+// is probed periodically; `reconnects` counts recoveries, so pages can
+// refetch what they missed.
+
+import { API_BASE_URL } from "./client";
+
+const PROBE_INTERVAL_MS = 15000;
+
+let state = { online: true, staleSince: null, reconnects: 0 };
+const listeners = new Set();
+let probeTimer = null;
+// Last URL a request failed on; the API itself until one has (e.g. when the
+// browser reports going offline before any request fails)
+let probeUrl = null;
+
+const setState = (patch) => {
+  state = { ...state, ...patch };
+  listeners.forEach((listener) => listener());
+};
+
+export const subscribeConnectivity = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+export const getConnectivity = () => state;
+
+// fetch() rejects with a TypeError when no response arrives at all
+export const isNetworkError = (err) => err instanceof TypeError;
+
+export const reportOnline = () => {
+  if (state.online) return;
+  clearInterval(probeTimer);
+  probeTimer = null;
+  setState({
+    online: true,
+    staleSince: null,
+    reconnects: state.reconnects + 1,
+  });
+};
+
+// Any HTTP response, even an error status, means the backend is back. The
+// API is usually on another origin and may not allow a cross-origin HEAD, so
+// the probe is a no-cors request: its opaque response still proves the
+// server answered, while only a network failure rejects.
+const probe = async () => {
+  try {
+    await fetch(probeUrl ?? API_BASE_URL, {
+      method: "HEAD",
+      mode: "no-cors",
+      cache: "no-store",
+    });
+    reportOnline();
+  } catch {
+    // Still unreachable
+  }
+};
+
+// `url` is probed until the backend answers again
+export const reportOffline = (url) => {
+  if (url) probeUrl = url;
+  if (!state.online) return;
+  setState({ online: false });
+  probeTimer = setInterval(probe, PROBE_INTERVAL_MS);
+};
+
+// Cached data from `fetchedAt` (ms) is being shown instead of fresh data
+export const reportStale = (fetchedAt) => {
+  if (state.staleSince !== null && state.staleSince <= fetchedAt) return;
+  setState({ staleSince: fetchedAt });
+};
+
+if (typeof window !== "undefined") {
+  window.addEventListener("online", probe);
+  window.addEventListener("offline", () => reportOffline());
+}
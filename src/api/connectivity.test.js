@@ -0,0 +1,26 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { getConnectivity, reportOffline } from "./connectivity";
+import { API_BASE_URL } from "./client";
+
+describe("connectivity probe", () => {
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.unstubAllGlobals();
+  });
+
+  it("probes the API when going offline before any request failed", async () => {
+    vi.useFakeTimers();
+    const fetch = vi.fn().mockResolvedValue({});
+    vi.stubGlobal("fetch", fetch);
+
+    reportOffline();
+    expect(getConnectivity().online).toBe(false);
+    await vi.advanceTimersByTimeAsync(15000);
+
+    expect(fetch).toHaveBeenCalledWith(
+      API_BASE_URL,
+      expect.objectContaining({ mode: "no-cors" }),
+    );
+    expect(getConnectivity()).toMatchObject({ online: true, reconnects: 1 });
+  });
+});
@@ -0,0 +1,134 @@
+import { API_BASE_URL } from "./client";
+
+// Push channel for new readings. The backend (or `npm run mock:live`) exposes
+//   SSE:       POST {VITE_LIVE_URL}/sensors/:id/stream-ticket   → { ticket }
+//              GET  {VITE_LIVE_URL}/sensors/:id/stream?ticket=... (event: reading)
+//   WebSocket:      {VITE_LIVE_URL}/sensors/:id/live              (JSON messages)
+// Browsers can't set headers on either, and URLs end up in server and proxy
+// logs, so the token never goes in one: the SSE stream is opened with a
+// short-lived, single-use ticket obtained with the token in a header, and a
+// socket sends `{ type: "auth", token }` as its first message, which the
+// server acknowledges with `{ type: "authenticated" }`.
+export const LIVE_BASE_URL = (
+  import.meta.env.VITE_LIVE_URL || API_BASE_URL
+).replace(/\/+$/, "");
+
+export const LIVE_TRANSPORT =
+  import.meta.env.VITE_LIVE_TRANSPORT === "ws" ? "ws" : "sse";
+
+// A malformed message is skipped rather than ending the channel
+const parseMessage = (data) => {
+  try {
+    return JSON.parse(data);
+  } catch {
+    return null;
+  }
+};
+
+// Only readings the charts can place are handed on: an object with an id and
+// a timestamp that parses. Anything else is dropped.
+const validReading = (value) =>
+  value !== null &&
+  typeof value === "object" &&
+  value.id !== undefined &&
+  value.id !== null &&
+  !Number.isNaN(new Date(value.timestamp).getTime())
+    ? value
+    : null;
+
+const fetchStreamTicket = async (sensorId, token, signal) => {
+  const response = await fetch(
+    `${LIVE_BASE_URL}/sensors/${sensorId}/stream-ticket`,
+    { method: "POST", headers: { Authorization: `Bearer ${token}` }, signal },
+  );
+  if (!response.ok) {
+    throw new Error(`Live stream ticket refused (${response.status})`);
+  }
+  const { ticket } = await response.json();
+  return ticket;
+};
+
+const openEventSource = (sensorId, token, { onOpen, onReading, onError }) => {
+  const controller = new AbortController();
+  let source = null;
+
+  fetchStreamTicket(sensorId, token, controller.signal)
+    .then((ticket) => {
+      // Closed while the ticket was on its way
+      if (controller.signal.aborted) return;
+      source = new EventSource(
+        `${LIVE_BASE_URL}/sensors/${sensorId}/stream?ticket=${encodeURIComponent(ticket)}`,
+      );
+      source.onopen = onOpen;
+      source.addEventListener("reading", (e) => {
+        const reading = validReading(parseMessage(e.data));
+        if (reading) onReading(reading);
+      });
+      // EventSource would retry on its own at a fixed interval, with a ticket
+      // that is already used; close it so the caller's backoff decides when
+      // to reconnect instead.
+      source.onerror = () => {
+        source.close();
+        onError(new Error("Live stream disconnected"));
+      };
+    })
+    .catch((err) => {
+      if (!controller.signal.aborted) onError(err);
+    });
+
+  return {
+    close: () => {
+      controller.abort();
+      source?.close();
+    },
+  };
+};
+
+const openWebSocket = (sensorId, token, { onOpen, onReading, onError }) => {
+  const url = `${LIVE_BASE_URL.replace(/^http/, "ws")}/sensors/${sensorId}/live`;
+  const socket = new WebSocket(url);
+  let closedByClient = false;
+  let accepted = false;
+
+  // The channel only counts as open once the server has accepted the token,
+  // acknowledging it with `{ type: "authenticated" }` or by sending a
+  // reading; a refused token closes the socket first, so the caller keeps
+  // backing off instead of reconnecting right away.
+  const accept = () => {
+    if (accepted) return;
+    accepted = true;
+    onOpen();
+  };
+
+  socket.onopen = () => {
+    socket.send(JSON.stringify({ type: "auth", token }));
+  };
+  socket.onmessage = (e) => {
+    const message = parseMessage(e.data);
+    if (message?.type === "authenticated") {
+      accept();
+    } else if (message?.type === "reading") {
+      const reading = validReading(message.reading);
+      if (!reading) return;
+      accept();
+      onReading(reading);
+    }
+  };
+  socket.onclose = () => {
+    if (!closedByClient) onError(new Error("Live socket closed"));
+  };
+
+  return {
+    close: () => {
+      closedByClient = true;
+      socket.close();
+    },
+  };
+};
+
+// Opens the configured push channel for a sensor. Returns `{ close }`;
+// `onError` is called at most once per channel, after which it is dead.
+export const openLiveChannel = (sensorId, token, handlers) =>
+  LIVE_TRANSPORT === "ws"
+    ? openWebSocket(sensorId, token, handlers)
+    : openEventSource(sensorId, token, handlers);
@@ -0,0 +1,88 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+
+// Stands in for the browser's WebSocket; tests call its handlers directly
+class FakeSocket {
+  static last = null;
+
+  constructor(url) {
+    this.url = url;
+    this.sent = [];
+    FakeSocket.last = this;
+  }
+
+  send(data) {
+    this.sent.push(JSON.parse(data));
+  }
+
+  close() {}
+
+  receive(message) {
+    this.onmessage({
+      data: typeof message === "string" ? message : JSON.stringify(message),
+    });
+  }
+}
+
+const reading = { id: 7, timestamp: "2025-01-01T00:00:00Z", co2: 500 };
+
+describe("openLiveChannel over a WebSocket", () => {
+  let handlers;
+  let openLiveChannel;
+
+  beforeEach(async () => {
+    vi.stubEnv("VITE_LIVE_TRANSPORT", "ws");
+    vi.stubGlobal("WebSocket", FakeSocket);
+    vi.resetModules();
+    ({ openLiveChannel } = await import("./live"));
+    handlers = { onOpen: vi.fn(), onReading: vi.fn(), onError: vi.fn() };
+  });
+
+  afterEach(() => {
+    vi.unstubAllEnvs();
+    vi.unstubAllGlobals();
+  });
+
+  it("sends the token in the first message, not the URL", () => {
+    openLiveChannel(1, "secret", handlers);
+    const socket = FakeSocket.last;
+    socket.onopen();
+
+    expect(socket.url).not.toContain("secret");
+    expect(socket.sent).toEqual([{ type: "auth", token: "secret" }]);
+  });
+
+  it("only counts as open once the server accepts the token", () => {
+    openLiveChannel(1, "secret", handlers);
+    const socket = FakeSocket.last;
+    socket.onopen();
+    expect(handlers.onOpen).not.toHaveBeenCalled();
+
+    socket.receive({ type: "authenticated" });
+    socket.receive({ type: "reading", reading });
+    expect(handlers.onOpen).toHaveBeenCalledTimes(1);
+    expect(handlers.onReading).toHaveBeenCalledWith(reading);
+  });
+
+  it("treats the first valid reading as acceptance", () => {
+    openLiveChannel(1, "secret", handlers);
+    FakeSocket.last.receive({ type: "reading", reading });
+    expect(handlers.onOpen).toHaveBeenCalledTimes(1);
+  });
+
+  it("drops malformed messages and readings", () => {
+    openLiveChannel(1, "secret", handlers);
+    const socket = FakeSocket.last;
+    socket.receive("not json");
+    socket.receive({ type: "reading" });
+    socket.receive({
+      type: "reading",
+      reading: { timestamp: reading.timestamp },
+    });
+    socket.receive({ type: "reading", reading: { id: 1, timestamp: "soon" } });
+    socket.receive({ type: "reading", reading: null });
+
+    expect(handlers.onReading).not.toHaveBeenCalled();
+    expect(handlers.onOpen).not.toHaveBeenCalled();
+    expect(handlers.onError).not.toHaveBeenCalled();
+  });
+});
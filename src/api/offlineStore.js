@@ -0,0 +1,83 @@
+// IndexedDB cache of API data, so the last fetched sensors and readings can
+// still be shown when the backend is unreachable. Two stores:
+//   responses  `{ key, data, fetchedAt }`, whole GET responses by URL
+//   readings   `{ sensorId, readings, coveredFrom, coveredTo, fetchedAt }`,
+//              a sensor's readings over one contiguous window (ms)
+// Cache failures (private mode, quota) are swallowed: the cache is a
+// fallback, never a reason for a request to fail.
+
+const DB_NAME = "pt-offline";
+const DB_VERSION = 1;
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (typeof indexedDB === "undefined") {
+    return Promise.reject(new Error("IndexedDB is not available"));
+  }
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const open = indexedDB.open(DB_NAME, DB_VERSION);
+      open.onupgradeneeded = () => {
+        open.result.createObjectStore("responses", { keyPath: "key" });
+        open.result.createObjectStore("readings", { keyPath: "sensorId" });
+      };
+      open.onsuccess = () => resolve(open.result);
+      open.onerror = () => {
+        dbPromise = null;
+        reject(open.error);
+      };
+    });
+  }
+  return dbPromise;
+};
+
+// Runs `action(store)` in a transaction and resolves with its request's
+// result once the transaction completes
+const withStore = async (storeName, mode, action) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const req = action(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(req?.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+const ignoreFailure = (promise, fallback) => promise.catch(() => fallback);
+
+export const loadResponse = (key) =>
+  ignoreFailure(
+    withStore("responses", "readonly", (store) => store.get(key)),
+    undefined,
+  );
+
+export const saveResponse = (key, data) =>
+  ignoreFailure(
+    withStore("responses", "readwrite", (store) =>
+      store.put({ key, data, fetchedAt: Date.now() }),
+    ),
+  );
+
+export const loadSensorReadings = (sensorId) =>
+  ignoreFailure(
+    withStore("readings", "readonly", (store) => store.get(sensorId)),
+    undefined,
+  );
+
+export const saveSensorReadings = (entry) =>
+  ignoreFailure(
+    withStore("readings", "readwrite", (store) => store.put(entry)),
+  );
+
+// Drops everything, e.g. on logout so the next user of the device doesn't
+// see this user's data
+export const clearOfflineCache = () =>
+  ignoreFailure(
+    Promise.all(
+      ["responses", "readings"].map((name) =>
+        withStore(name, "readwrite", (store) => store.clear()),
+      ),
+    ),
+  );
@@ -0,0 +1,107 @@
+// In-memory cache of query results shared by every page, so switching pages
+// or going back to a sensor shows what was already loaded while it is
+// revalidated. Queries are identified by a key array, e.g.
+// ["readings", 3, "range:7d"]. Concurrent fetches of the same key share one
+// request, which is aborted once nothing is subscribed to the key any more
+// (e.g. the user switched to another sensor before it finished).
+
+// Hash → `{ data, error, updatedAt, fetching }`, replaced (never mutated) on
+// every change so it can be used as a React snapshot
+const states = new Map();
+// Hash → `{ promise, controller }` of the running fetch
+const inFlight = new Map();
+const listeners = new Map();
+
+const EMPTY_STATE = {
+  data: undefined,
+  error: null,
+  updatedAt: 0,
+  fetching: false,
+};
+
+export const hashQueryKey = (key) => JSON.stringify(key);
+
+const setState = (hash, patch) => {
+  states.set(hash, { ...(states.get(hash) ?? EMPTY_STATE), ...patch });
+  listeners.get(hash)?.forEach((listener) => listener());
+};
+
+export const getQueryState = (key) =>
+  states.get(hashQueryKey(key)) ?? EMPTY_STATE;
+
+// Aborts the running fetch of `hash`, whose result is then dropped
+const cancel = (hash) => {
+  const entry = inFlight.get(hash);
+  if (!entry) return;
+  inFlight.delete(hash);
+  entry.controller.abort();
+  setState(hash, { fetching: false });
+};
+
+export const subscribeQuery = (key, listener) => {
+  const hash = hashQueryKey(key);
+  if (!listeners.has(hash)) listeners.set(hash, new Set());
+  listeners.get(hash).add(listener);
+  return () => {
+    listeners.get(hash).delete(listener);
+    if (listeners.get(hash).size === 0) {
+      listeners.delete(hash);
+      cancel(hash);
+    }
+  };
+};
+
+// Runs `fetcher({ signal })` for `key` unless a fetch for it is already
+// running, in which case that one's promise is returned. The promise rejects
+// with an AbortError if the fetch is cancelled.
+export const fetchQuery = (key, fetcher) => {
+  const hash = hashQueryKey(key);
+  if (inFlight.has(hash)) return inFlight.get(hash).promise;
+
+  const entry = { controller: new AbortController() };
+  // Only the running fetch of a key may write to it: a cancelled one, or one
+  // started before the cache was cleared, must not overwrite newer state
+  const isCurrent = () => inFlight.get(hash) === entry;
+
+  setState(hash, { fetching: true, error: null });
+  entry.promise = fetcher({ signal: entry.controller.signal })
+    .then((data) => {
+      if (isCurrent()) {
+        setState(hash, {
+          data,
+          error: null,
+          updatedAt: Date.now(),
+          fetching: false,
+        });
+      }
+      return data;
+    })
+    .catch((err) => {
+      if (isCurrent()) setState(hash, { error: err, fetching: false });
+      throw err;
+    })
+    .finally(() => {
+      if (isCurrent()) inFlight.delete(hash);
+    });
+
+  inFlight.set(hash, entry);
+  return entry.promise;
+};
+
+// Replaces a query's data, e.g. after a mutation or a live update.
+// `updater` receives the current data (undefined if never loaded).
+export const setQueryData = (key, updater) => {
+  const hash = hashQueryKey(key);
+  const current = states.get(hash)?.data;
+  setState(hash, {
+    data: typeof updater === "function" ? updater(current) : updater,
+  });
+};
+
+// Drops every cached result, e.g. on logout
+export const clearQueryCache = () => {
+  inFlight.forEach((entry) => entry.controller.abort());
+  inFlight.clear();
+  states.clear();
+  listeners.forEach((set) => set.forEach((listener) => listener()));
+};
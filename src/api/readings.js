@@ -0,0 +1,202 @@
+import {
+  resolveTimeRange,
+  timeRangeKey,
+  timeRangeQuery,
+} from "../utils/timeRange";
+import { readingStatus } from "../utils/chainStatus";
+import { METRIC_KEYS, hasValue } from "../utils/metrics";
+import { isNetworkError, reportStale } from "./connectivity";
+import { loadSensorReadings, saveSensorReadings } from "./offlineStore";
+
+export const PAGE_SIZES = [10, 25, 50, 100];
+export const SORT_FIELDS = ["timestamp", ...METRIC_KEYS, "status"];
+
+// Chain status order used when sorting by status
+const STATUS_RANKS = { pending: 0, on_chain: 1, verified: 2, invalid: 3 };
+
+const statusRank = (reading) => STATUS_RANKS[readingStatus(reading)];
+
+const sortValue = (reading, sort) => {
+  if (sort === "timestamp") return new Date(reading.timestamp).getTime();
+  if (sort === "status") return statusRank(reading);
+  return hasValue(reading, sort) ? reading[sort] : null;
+};
+
+// Readings lacking the sorted metric go last in either order
+const sortReadings = (readings, sort, order) => {
+  const direction = order === "asc" ? 1 : -1;
+  return [...readings].sort((a, b) => {
+    const valueA = sortValue(a, sort);
+    const valueB = sortValue(b, sort);
+    if (valueA === null || valueB === null) {
+      return (valueA === null) - (valueB === null);
+    }
+    return (valueA - valueB) * direction;
+  });
+};
+
+// Fetches one page of a sensor's readings:
+//   GET /sensors/:id/readings?from=<ISO>&to=<ISO>&page=2&page_size=25&sort=co2&order=asc
+// responding with `{ readings, total }`. Backends that ignore the paging
+// parameters and return a plain array are paginated client-side instead.
+export const fetchReadingsPage = async (
+  api,
+  sensorId,
+  { timeRange, page, pageSize, sort, order, signal },
+) => {
+  const paging = { page, page_size: pageSize, sort, order };
+  const data = await api.get(`/sensors/${sensorId}/readings`, {
+    query: { ...timeRangeQuery(timeRange), ...paging },
+    signal,
+    offlineCache: true,
+    // A preset resolves to new bounds on every call; cache it by name
+    cacheQuery: { window: timeRangeKey(timeRange), ...paging },
+  });
+
+  if (Array.isArray(data)) {
+    const start = (page - 1) * pageSize;
+    return {
+      readings: sortReadings(data, sort, order).slice(start, start + pageSize),
+      total: data.length,
+    };
+  }
+
+  return { readings: data.readings, total: data.total };
+};
+
+const EXPORT_PAGE_SIZE = 1000;
+
+// Fetches every reading in the time range, oldest first, a page at a time so
+// large ranges don't need one huge response. `onProgress(loaded, total)` is
+// called after each page.
+export const fetchAllReadings = async (
+  api,
+  sensorId,
+  { timeRange, signal, onProgress },
+) => {
+  const readings = [];
+  // Resolved once, so a preset doesn't move between pages
+  const bounds = timeRangeQuery(timeRange);
+
+  for (let page = 1; ; page++) {
+    const data = await api.get(`/sensors/${sensorId}/readings`, {
+      query: {
+        ...bounds,
+        page,
+        page_size: EXPORT_PAGE_SIZE,
+        sort: "timestamp",
+        order: "asc",
+      },
+      signal,
+    });
+
+    // Backend without paging: everything came in one response
+    if (Array.isArray(data)) {
+      onProgress?.(data.length, data.length);
+      return sortReadings(data, "timestamp", "asc");
+    }
+
+    readings.push(...data.readings);
+    onProgress?.(readings.length, data.total);
+    if (readings.length >= data.total || data.readings.length === 0) {
+      return readings;
+    }
+  }
+};
+
+// Most recent reading of a sensor within `timeRange`, or null if it has none
+export const fetchLatestReading = async (
+  api,
+  sensorId,
+  { timeRange = { range: "24h" }, signal } = {},
+) => {
+  const { readings } = await fetchReadingsPage(api, sensorId, {
+    timeRange,
+    page: 1,
+    pageSize: 1,
+    sort: "timestamp",
+    order: "desc",
+    signal,
+  });
+  return readings[0] ?? null;
+};
+
+const readingTime = (reading) => new Date(reading.timestamp).getTime();
+
+// Readings are matched by id, or by time for backends that don't send one
+const readingIdentity = (reading) => reading.id ?? `@${readingTime(reading)}`;
+
+// `cached` and `fresh` combined, oldest first, with each reading once; the
+// fresh copy wins, since its chain status may have changed
+const mergeReadings = (cached, fresh) => {
+  const byIdentity = new Map();
+  [...cached, ...fresh].forEach((r) => byIdentity.set(readingIdentity(r), r));
+  return sortReadings([...byIdentity.values()], "timestamp", "asc");
+};
+
+// Every reading of a sensor in the time range, oldest first, backed by the
+// offline cache. When the cache already covers the start of the range only
+// what came after the last sync is fetched, from the earliest reading that
+// was still pending then (its chain status may have changed since). If the
+// backend is unreachable the cached readings are returned and flagged stale.
+export const fetchRangeReadings = async (
+  api,
+  sensorId,
+  { timeRange, signal },
+) => {
+  const { from, to } = resolveTimeRange(timeRange);
+  const fromMs = from.getTime();
+  const toMs = to.getTime();
+  const cached = await loadSensorReadings(sensorId);
+  const inRange = (readings) =>
+    readings.filter((r) => {
+      const time = readingTime(r);
+      return time >= fromMs && time <= toMs;
+    });
+
+  const extendsCache =
+    cached && cached.coveredFrom <= fromMs && cached.coveredTo >= fromMs;
+  let fetchFrom = fromMs;
+  if (extendsCache) {
+    const firstPending = cached.readings.find(
+      (r) => readingTime(r) >= fromMs && readingStatus(r) === "pending",
+    );
+    fetchFrom = Math.min(
+      cached.coveredTo,
+      toMs,
+      firstPending ? readingTime(firstPending) : Infinity,
+    );
+  }
+
+  let fresh;
+  try {
+    fresh = await api.get(`/sensors/${sensorId}/readings`, {
+      query: {
+        from: new Date(fetchFrom).toISOString(),
+        to: to.toISOString(),
+      },
+      signal,
+    });
+  } catch (err) {
+    if (!isNetworkError(err) || !cached) throw err;
+    reportStale(cached.fetchedAt);
+    return inRange(cached.readings);
+  }
+
+  // The cache keeps just the requested range, so it doesn't grow without
+  // bound as the user browses: cached readings before the window just
+  // fetched, then the fresh ones
+  const kept = extendsCache
+    ? cached.readings.filter((r) => readingTime(r) < fetchFrom)
+    : [];
+  const readings = inRange(mergeReadings(kept, fresh));
+  saveSensorReadings({
+    sensorId,
+    readings,
+    coveredFrom: fromMs,
+    coveredTo: toMs,
+    fetchedAt: Date.now(),
+  });
+
+  return readings;
+};
@@ -0,0 +1,68 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import { fetchRangeReadings } from "./readings";
+import { loadSensorReadings, saveSensorReadings } from "./offlineStore";
+
+vi.mock("./offlineStore", () => ({
+  loadSensorReadings: vi.fn(),
+  saveSensorReadings: vi.fn(),
+}));
+
+const at = (hour) => new Date(Date.UTC(2025, 0, 1, hour)).toISOString();
+const ms = (hour) => Date.parse(at(hour));
+
+// Verified readings, so nothing cached has to be fetched again as pending
+const reading = (id, hour) => ({
+  id,
+  timestamp: at(hour),
+  co2: 500,
+  tx_signature: `sig-${id}`,
+  verified: true,
+});
+
+const timeRange = { from: new Date(at(10)), to: new Date(at(20)) };
+
+describe("fetchRangeReadings", () => {
+  beforeEach(() => {
+    vi.mocked(loadSensorReadings).mockReset();
+    vi.mocked(saveSensorReadings).mockReset();
+  });
+
+  it("keeps one copy of readings both cached and fetched", async () => {
+    vi.mocked(loadSensorReadings).mockResolvedValue({
+      sensorId: 1,
+      readings: [reading(1, 11), reading(2, 12), reading(3, 13)],
+      coveredFrom: ms(10),
+      coveredTo: ms(13),
+    });
+    // The backend returns the reading at the edge of the cache again, and a
+    // reading without an id twice
+    const fresh = [
+      reading(3, 13),
+      reading(4, 14),
+      { timestamp: at(15), co2: 600, tx_signature: "sig", verified: true },
+      { timestamp: at(15), co2: 610, tx_signature: "sig", verified: true },
+    ];
+    const api = { get: vi.fn().mockResolvedValue(fresh) };
+
+    const readings = await fetchRangeReadings(api, 1, { timeRange });
+
+    expect(readings.map((r) => r.id ?? r.co2)).toEqual([1, 2, 3, 4, 610]);
+  });
+
+  it("trims the cached window to the requested range", async () => {
+    vi.mocked(loadSensorReadings).mockResolvedValue({
+      sensorId: 1,
+      readings: [reading(1, 2), reading(2, 11)],
+      coveredFrom: ms(0),
+      coveredTo: ms(12),
+    });
+    const api = { get: vi.fn().mockResolvedValue([reading(3, 16)]) };
+
+    await fetchRangeReadings(api, 1, { timeRange });
+
+    const [saved] = vi.mocked(saveSensorReadings).mock.calls[0];
+    expect(saved.coveredFrom).toBe(ms(10));
+    expect(saved.coveredTo).toBe(ms(20));
+    expect(saved.readings.map((r) => r.id)).toEqual([2, 3]);
+  });
+});
@@ -0,0 +1,108 @@
+import { DEFAULT_CHAIN_SETTINGS, rpcUrlFor } from "../utils/chainConfig";
+
+export class RpcError extends Error {
+  constructor(message, code = null) {
+    super(message);
+    this.name = "RpcError";
+    this.code = code;
+  }
+}
+
+let nextRequestId = 1;
+
+export const rpcCall = async (
+  method,
+  params,
+  { rpcUrl = rpcUrlFor(DEFAULT_CHAIN_SETTINGS), signal } = {},
+) => {
+  const response = await fetch(rpcUrl, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({
+      jsonrpc: "2.0",
+      id: nextRequestId++,
+      method,
+      params,
+    }),
+    signal,
+  });
+
+  if (!response.ok) {
+    throw new RpcError(`RPC error: ${response.status}`, response.status);
+  }
+
+  const data = await response.json();
+  if (data.error) {
+    throw new RpcError(data.error.message, data.error.code);
+  }
+  return data.result;
+};
+
+export const getTransaction = (signature, options) =>
+  rpcCall(
+    "getTransaction",
+    [
+      signature,
+      {
+        encoding: "jsonParsed",
+        commitment: "confirmed",
+        maxSupportedTransactionVersion: 0,
+      },
+    ],
+    options,
+  );
+
+const BASE58_ALPHABET =
+  "123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz";
+
+const decodeBase58 = (text) => {
+  const bytes = [0];
+  for (const char of text) {
+    let carry = BASE58_ALPHABET.indexOf(char);
+    if (carry < 0) throw new Error("Invalid base58 string");
+    for (let i = 0; i < bytes.length; i++) {
+      carry += bytes[i] * 58;
+      bytes[i] = carry & 0xff;
+      carry >>= 8;
+    }
+    while (carry > 0) {
+      bytes.push(carry & 0xff);
+      carry >>= 8;
+    }
+  }
+  // Leading "1"s are leading zero bytes
+  for (let i = 0; i < text.length && text[i] === "1"; i++) bytes.push(0);
+  return new Uint8Array(bytes.reverse());
+};
+
+const instructionsOf = (transaction) => [
+  ...(transaction.transaction?.message?.instructions ?? []),
+  ...(transaction.meta?.innerInstructions ?? []).flatMap(
+    (inner) => inner.instructions,
+  ),
+];
+
+// Text payloads written by the transaction: memo instructions (parsed by the
+// RPC node) first, then the raw data of other instructions decoded as UTF-8
+export const transactionPayloads = (transaction) => {
+  const memos = [];
+  const raw = [];
+
+  instructionsOf(transaction).forEach((instruction) => {
+    if (instruction.program === "spl-memo") {
+      memos.push(instruction.parsed);
+    } else if (typeof instruction.data === "string") {
+      try {
+        raw.push(
+          new TextDecoder("utf-8", { fatal: true }).decode(
+            decodeBase58(instruction.data),
+          ),
+        );
+      } catch {
+        // Binary instruction data, not a payload we can read
+      }
+    }
+  });
+
+  return [...memos, ...raw];
+};
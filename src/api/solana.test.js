@@ -0,0 +1,89 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { RpcError, rpcCall, transactionPayloads } from "./solana";
+
+describe("transactionPayloads", () => {
+  it("puts memos first, then instruction data that decodes as text", () => {
+    const transaction = {
+      transaction: {
+        message: {
+          instructions: [
+            // base58 of "hello memo"
+            { programId: "Other111", data: "6sBRWytUd6hjhg" },
+            { program: "spl-memo", parsed: "outer memo" },
+          ],
+        },
+      },
+      meta: {
+        innerInstructions: [
+          { instructions: [{ program: "spl-memo", parsed: "inner memo" }] },
+        ],
+      },
+    };
+    expect(transactionPayloads(transaction)).toEqual([
+      "outer memo",
+      "inner memo",
+      "hello memo",
+    ]);
+  });
+
+  it("skips binary and malformed instruction data", () => {
+    const transaction = {
+      transaction: {
+        message: {
+          instructions: [
+            // base58 of the bytes ff fe 00, not UTF-8
+            { data: "2Uz8X" },
+            { data: "not base58: 0OIl" },
+            { parsed: { type: "transfer" } },
+          ],
+        },
+      },
+    };
+    expect(transactionPayloads(transaction)).toEqual([]);
+  });
+
+  it("copes with a transaction without instructions", () => {
+    expect(transactionPayloads({})).toEqual([]);
+  });
+});
+
+describe("rpcCall", () => {
+  afterEach(() => vi.unstubAllGlobals());
+
+  const respond = (response) =>
+    vi.stubGlobal("fetch", vi.fn().mockResolvedValue(response));
+
+  it("posts a JSON-RPC request and returns its result", async () => {
+    respond({ ok: true, json: async () => ({ result: { slot: 7 } }) });
+    const result = await rpcCall("getSlot", [], { rpcUrl: "https://rpc" });
+
+    expect(result).toEqual({ slot: 7 });
+    const [url, init] = vi.mocked(fetch).mock.calls[0];
+    expect(url).toBe("https://rpc");
+    expect(JSON.parse(init.body)).toMatchObject({
+      jsonrpc: "2.0",
+      method: "getSlot",
+      params: [],
+    });
+  });
+
+  it("rejects with the node's error", async () => {
+    respond({
+      ok: true,
+      json: async () => ({ error: { code: -32602, message: "Invalid param" } }),
+    });
+    const call = rpcCall("getTransaction", ["sig"], { rpcUrl: "https://rpc" });
+    await expect(call).rejects.toBeInstanceOf(RpcError);
+    await expect(call).rejects.toMatchObject({
+      message: "Invalid param",
+      code: -32602,
+    });
+  });
+
+  it("rejects on an HTTP error", async () => {
+    respond({ ok: false, status: 429 });
+    await expect(
+      rpcCall("getSlot", [], { rpcUrl: "https://rpc" }),
+    ).rejects.toMatchObject({ name: "RpcError", code: 429 });
+  });
+});
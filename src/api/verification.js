@@ -0,0 +1,119 @@
+import { ApiError } from "./client";
+import { getTransaction, transactionPayloads } from "./solana";
+import { checkReadingProof } from "../utils/readingProof";
+
+const DEFAULT_CONCURRENCY = 4;
+const MAX_ATTEMPTS = 3;
+const RETRY_BASE_MS = 500;
+
+const isAbortError = (err) => err?.name === "AbortError";
+
+// Network errors, rate limiting and server errors are worth another try;
+// other 4xx responses won't change on retry
+const isRetryable = (err) =>
+  !(err instanceof ApiError) || err.status === 429 || err.status >= 500;
+
+// Resolves after `ms`, or rejects as soon as `signal` aborts
+const sleep = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener(
+      "abort",
+      () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      },
+      { once: true },
+    );
+  });
+
+// Runs `attempt` until it succeeds, retrying transient failures with
+// exponential backoff
+const withRetries = async (attempt, signal) => {
+  for (let n = 1; ; n++) {
+    try {
+      return await attempt();
+    } catch (err) {
+      if (isAbortError(err) || n >= MAX_ATTEMPTS || !isRetryable(err)) {
+        throw err;
+      }
+      await sleep(RETRY_BASE_MS * 2 ** (n - 1), signal);
+    }
+  }
+};
+
+// Asks the backend to verify one reading (GET /verify/:id). Resolves with
+// true or false.
+export const verifyReading = (api, readingId, { signal } = {}) =>
+  withRetries(async () => {
+    const data = await api.get(`/verify/${readingId}`, { signal });
+    return data.verification;
+  }, signal);
+
+// Verifies one reading without trusting the backend: fetches its transaction
+// from the Solana RPC endpoint (the configured cluster's unless `rpcUrl` is
+// given) and checks the proof written there against the reading's fields.
+// Resolves to `{ verified, mismatches, error }` (see checkReadingProof).
+export const verifyReadingOnChain = (reading, { signal, rpcUrl } = {}) =>
+  withRetries(async () => {
+    const transaction = await getTransaction(reading.tx_signature, {
+      signal,
+      rpcUrl,
+    });
+    if (!transaction) {
+      return {
+        verified: false,
+        mismatches: [],
+        error: "Transaction not found on the RPC endpoint",
+      };
+    }
+    return checkReadingProof(reading, transactionPayloads(transaction));
+  }, signal);
+
+// Verifies many readings with at most `concurrency` requests in flight,
+// using the backend unless another `verify(reading, { signal })` is given.
+// `onResult(reading, result)` is called as each one finishes with what
+// `verify` resolved to, or null when it couldn't be verified after retrying.
+// Aborting the signal or a 401 stops everything and rejects with that error;
+// no results are reported after an abort.
+export const verifyReadings = async (
+  api,
+  readings,
+  {
+    signal,
+    onResult,
+    concurrency = DEFAULT_CONCURRENCY,
+    verify = (reading, options) => verifyReading(api, reading.id, options),
+  },
+) => {
+  let next = 0;
+  let fatal = null;
+
+  const worker = async () => {
+    while (!fatal && next < readings.length) {
+      const reading = readings[next++];
+      try {
+        const result = await verify(reading, { signal });
+        // A check that settles as the signal aborts is dropped, not reported
+        signal?.throwIfAborted();
+        onResult(reading, result);
+      } catch (err) {
+        if (
+          signal?.aborted ||
+          isAbortError(err) ||
+          (err instanceof ApiError && err.status === 401)
+        ) {
+          fatal = fatal || err;
+          return;
+        }
+        console.error(`Verification failed for reading ${reading.id}:`, err);
+        onResult(reading, null);
+      }
+    }
+  };
+
+  await Promise.all(
+    Array.from({ length: Math.min(concurrency, readings.length) }, worker),
+  );
+  if (fatal) throw fatal;
+};
@@ -0,0 +1,31 @@
+import { describe, expect, it, vi } from "vitest";
+import { verifyReadings } from "./verification";
+
+describe("verifyReadings", () => {
+  it("reports each result as it finishes", async () => {
+    const onResult = vi.fn();
+    await verifyReadings(null, [{ id: 1 }, { id: 2 }], {
+      onResult,
+      verify: async (reading) => reading.id === 1,
+    });
+    expect(onResult).toHaveBeenCalledWith({ id: 1 }, true);
+    expect(onResult).toHaveBeenCalledWith({ id: 2 }, false);
+  });
+
+  it("drops a check that settles as the signal aborts", async () => {
+    const controller = new AbortController();
+    const onResult = vi.fn();
+    const run = verifyReadings(null, [{ id: 1 }, { id: 2 }], {
+      signal: controller.signal,
+      onResult,
+      concurrency: 1,
+      verify: async () => {
+        controller.abort();
+        return true;
+      },
+    });
+
+    await expect(run).rejects.toMatchObject({ name: "AbortError" });
+    expect(onResult).not.toHaveBeenCalled();
+  });
+});
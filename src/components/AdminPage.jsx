@@ -0,0 +1,397 @@
+import React, { useState, useEffect, useCallback } from "react";
+import {
+  Loader,
+  AlertCircle,
+  CheckCircle,
+  Users,
+  Cpu,
+  Plus,
+  MapPin,
+  UserX,
+  ShieldCheck,
+} from "lucide-react";
+import { useApi } from "../hooks/useApi";
+
+// Admin endpoints:
+//   GET    /admin/users                 list every account
+//   PATCH  /admin/users/:id             { active: false } deactivates it
+//   GET    /admin/sensors               list every sensor with its owner
+//   POST   /admin/sensors               { name, location, user_id? }
+//   PUT    /admin/sensors/:id/owner     { user_id } assigns the sensor
+//   DELETE /admin/sensors/:id/owner     unassigns it
+const AdminPage = () => {
+  const api = useApi();
+  const [activeTab, setActiveTab] = useState("users"); // 'users' or 'sensors'
+  const [users, setUsers] = useState([]);
+  const [sensors, setSensors] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  const loadData = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const [usersData, sensorsData] = await Promise.all([
+        api.get("/admin/users"),
+        api.get("/admin/sensors"),
+      ]);
+      setUsers(usersData);
+      setSensors(sensorsData);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [api]);
+
+  useEffect(() => {
+    loadData();
+  }, [loadData]);
+
+  // Runs an admin action, reporting success or failure in the page banner.
+  // Resolves with whether the action succeeded.
+  const runAction = async (action, successMessage) => {
+    setError(null);
+    setNotice(null);
+
+    try {
+      await action();
+    } catch (err) {
+      setError(err.message);
+      return false;
+    }
+
+    setNotice(successMessage);
+    await loadData();
+    return true;
+  };
+
+  const deactivateUser = (user) => {
+    if (!window.confirm(`Deactivate account "${user.username}"?`)) return;
+    runAction(
+      () => api.patch(`/admin/users/${user.id}`, { active: false }),
+      `Account "${user.username}" deactivated`,
+    );
+  };
+
+  const registerSensor = (sensor) =>
+    runAction(
+      () => api.post("/admin/sensors", sensor),
+      `Sensor "${sensor.name}" registered`,
+    );
+
+  const assignSensor = (sensor, userId) => {
+    if (userId) {
+      const owner = users.find((u) => u.id === userId);
+      runAction(
+        () => api.put(`/admin/sensors/${sensor.id}/owner`, { user_id: userId }),
+        `Sensor "${sensor.name}" assigned to ${owner?.username}`,
+      );
+    } else {
+      runAction(
+        () => api.delete(`/admin/sensors/${sensor.id}/owner`),
+        `Sensor "${sensor.name}" unassigned`,
+      );
+    }
+  };
+
+  const tabClassName = (tab) =>
+    `px-4 py-2 rounded-lg font-medium transition-colors flex items-center gap-2 ${
+      activeTab === tab
+        ? "bg-blue-100 text-blue-700"
+        : "text-slate-600 hover:bg-slate-100"
+    }`;
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-50 to-slate-100 p-6">
+      <div className="max-w-7xl mx-auto">
+        <div className="mb-8">
+          <h1 className="text-4xl font-bold text-slate-800 mb-2 flex items-center gap-3">
+            <ShieldCheck className="w-9 h-9 text-blue-600" />
+            Administration
+          </h1>
+          <p className="text-slate-600">
+            Manage user accounts and sensor assignments
+          </p>
+        </div>
+
+        <div className="flex gap-2 mb-6">
+          <button
+            onClick={() => setActiveTab("users")}
+            className={tabClassName("users")}
+          >
+            <Users className="w-4 h-4" />
+            Users ({users.length})
+          </button>
+          <button
+            onClick={() => setActiveTab("sensors")}
+            className={tabClassName("sensors")}
+          >
+            <Cpu className="w-4 h-4" />
+            Sensors ({sensors.length})
+          </button>
+        </div>
+
+        {error && (
+          <div className="bg-red-50 border border-red-200 rounded-lg p-4 mb-6 flex items-center gap-3">
+            <AlertCircle className="w-5 h-5 text-red-500 flex-shrink-0" />
+            <p className="text-red-800">{error}</p>
+          </div>
+        )}
+
+        {notice && (
+          <div className="bg-green-50 border border-green-200 rounded-lg p-4 mb-6 flex items-center gap-3">
+            <CheckCircle className="w-5 h-5 text-green-500 flex-shrink-0" />
+            <p className="text-green-800">{notice}</p>
+          </div>
+        )}
+
+        {loading ? (
+          <div className="bg-white rounded-lg shadow-md p-12 text-center">
+            <Loader className="w-12 h-12 text-blue-500 mx-auto mb-4 animate-spin" />
+            <p className="text-slate-600">Loading...</p>
+          </div>
+        ) : activeTab === "users" ? (
+          <UsersPanel
+            users={users}
+            sensors={sensors}
+            onDeactivate={deactivateUser}
+          />
+        ) : (
+          <SensorsPanel
+            users={users}
+            sensors={sensors}
+            onRegister={registerSensor}
+            onAssign={assignSensor}
+          />
+        )}
+      </div>
+    </div>
+  );
+};
+
+const UsersPanel = ({ users, sensors, onDeactivate }) => {
+  return (
+    <div className="bg-white rounded-lg shadow-md overflow-x-auto">
+      <table className="w-full">
+        <thead className="bg-slate-50 border-b border-gray-200">
+          <tr>
+            <th className="px-6 py-3 text-left text-xs font-semibold text-slate-700 uppercase tracking-wider">
+              Username
+            </th>
+            <th className="px-6 py-3 text-left text-xs font-semibold text-slate-700 uppercase tracking-wider">
+              Role
+            </th>
+            <th className="px-6 py-3 text-left text-xs font-semibold text-slate-700 uppercase tracking-wider">
+              Sensors
+            </th>
+            <th className="px-6 py-3 text-left text-xs font-semibold text-slate-700 uppercase tracking-wider">
+              Status
+            </th>
+            <th className="px-6 py-3"></th>
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-200">
+          {users.map((user) => {
+            const active = user.active !== false;
+            const sensorCount = sensors.filter(
+              (s) => s.user_id === user.id,
+            ).length;
+
+            return (
+              <tr key={user.id} className="hover:bg-slate-50 transition-colors">
+                <td className="px-6 py-4 text-sm font-medium text-slate-800">
+                  {user.username}
+                </td>
+                <td className="px-6 py-4 text-sm text-slate-600">
+                  {user.role}
+                </td>
+                <td className="px-6 py-4 text-sm text-slate-600">
+                  {sensorCount}
+                </td>
+                <td className="px-6 py-4">
+                  <span
+                    className={`inline-flex px-3 py-1 rounded-lg text-sm font-medium border ${
+                      active
+                        ? "bg-green-50 text-green-700 border-green-200"
+                        : "bg-gray-50 text-gray-600 border-gray-200"
+                    }`}
+                  >
+                    {active ? "Active" : "Deactivated"}
+                  </span>
+                </td>
+                <td className="px-6 py-4 text-right">
+                  {active && user.role !== "admin" && (
+                    <button
+                      onClick={() => onDeactivate(user)}
+                      className="px-3 py-1.5 text-sm text-red-700 border border-red-200 rounded-lg hover:bg-red-50 transition-colors inline-flex items-center gap-2"
+                    >
+                      <UserX className="w-4 h-4" />
+                      Deactivate
+                    </button>
+                  )}
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+const SensorsPanel = ({ users, sensors, onRegister, onAssign }) => {
+  const [name, setName] = useState("");
+  const [location, setLocation] = useState("");
+  const [ownerId, setOwnerId] = useState("");
+  const [submitting, setSubmitting] = useState(false);
+
+  const assignableUsers = users.filter((u) => u.active !== false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    const registered = await onRegister({
+      name: name.trim(),
+      location: location.trim(),
+      user_id: ownerId ? Number(ownerId) : undefined,
+    });
+    setSubmitting(false);
+
+    if (registered) {
+      setName("");
+      setLocation("");
+      setOwnerId("");
+    }
+  };
+
+  return (
+    <div className="grid lg:grid-cols-3 gap-6">
+      <form
+        onSubmit={handleSubmit}
+        className="bg-white rounded-lg shadow-md p-6 space-y-4 h-fit"
+      >
+        <h2 className="text-xl font-bold text-slate-800 flex items-center gap-2">
+          <Plus className="w-5 h-5 text-blue-600" />
+          Register Sensor
+        </h2>
+        <div>
+          <label className="block text-sm font-semibold text-slate-700 mb-2">
+            Name
+          </label>
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            placeholder="e.g. Lab 2 - North Wall"
+            disabled={submitting}
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-semibold text-slate-700 mb-2">
+            Location
+          </label>
+          <input
+            type="text"
+            value={location}
+            onChange={(e) => setLocation(e.target.value)}
+            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            placeholder="e.g. Building A, Floor 2"
+            disabled={submitting}
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-semibold text-slate-700 mb-2">
+            Assign To
+          </label>
+          <select
+            value={ownerId}
+            onChange={(e) => setOwnerId(e.target.value)}
+            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            disabled={submitting}
+          >
+            <option value="">Unassigned</option>
+            {assignableUsers.map((user) => (
+              <option key={user.id} value={user.id}>
+                {user.username}
+              </option>
+            ))}
+          </select>
+        </div>
+        <button
+          type="submit"
+          disabled={submitting || !name.trim() || !location.trim()}
+          className="w-full px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:bg-gray-400 disabled:cursor-not-allowed flex items-center justify-center gap-2"
+        >
+          {submitting ? (
+            <Loader className="w-4 h-4 animate-spin" />
+          ) : (
+            <Plus className="w-4 h-4" />
+          )}
+          Register Sensor
+        </button>
+      </form>
+
+      <div className="lg:col-span-2 bg-white rounded-lg shadow-md overflow-x-auto">
+        <table className="w-full">
+          <thead className="bg-slate-50 border-b border-gray-200">
+            <tr>
+              <th className="px-6 py-3 text-left text-xs font-semibold text-slate-700 uppercase tracking-wider">
+                Sensor
+              </th>
+              <th className="px-6 py-3 text-left text-xs font-semibold text-slate-700 uppercase tracking-wider">
+                Assigned To
+              </th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {sensors.map((sensor) => (
+              <tr
+                key={sensor.id}
+                className="hover:bg-slate-50 transition-colors"
+              >
+                <td className="px-6 py-4">
+                  <div className="text-sm font-semibold text-slate-800">
+                    {sensor.name}
+                  </div>
+                  <div className="text-xs text-slate-500 flex items-center gap-1 mt-1">
+                    <MapPin className="w-3 h-3" />
+                    {sensor.location}
+                  </div>
+                </td>
+                <td className="px-6 py-4">
+                  <select
+                    value={sensor.user_id ?? ""}
+                    onChange={(e) =>
+                      onAssign(
+                        sensor,
+                        e.target.value ? Number(e.target.value) : null,
+                      )
+                    }
+                    className="px-3 py-1.5 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  >
+                    <option value="">Unassigned</option>
+                    {users.map((user) => (
+                      <option
+                        key={user.id}
+                        value={user.id}
+                        disabled={user.active === false}
+                      >
+                        {user.username}
+                      </option>
+                    ))}
+                  </select>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default AdminPage;
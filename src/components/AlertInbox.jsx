@@ -0,0 +1,109 @@
+import React, { useState } from "react";
+import { Link } from "react-router-dom";
+import { Bell, BellRing, AlertTriangle } from "lucide-react";
+import { useAlerts } from "../hooks/useAlerts";
+
+const AlertInbox = () => {
+  const {
+    alerts,
+    unreadCount,
+    markAllRead,
+    clearAlerts,
+    notificationPermission,
+    requestNotificationPermission,
+  } = useAlerts();
+  const [open, setOpen] = useState(false);
+
+  const toggleOpen = () => {
+    if (open) markAllRead();
+    setOpen((prev) => !prev);
+  };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={toggleOpen}
+        title="Alerts"
+        className="relative p-2 rounded-lg text-slate-600 hover:bg-slate-100 transition-colors"
+      >
+        {unreadCount > 0 ? (
+          <BellRing className="w-5 h-5 text-red-600" />
+        ) : (
+          <Bell className="w-5 h-5" />
+        )}
+        {unreadCount > 0 && (
+          <span className="absolute -top-1 -right-1 min-w-[1.25rem] h-5 px-1 bg-red-600 text-white text-xs font-bold rounded-full flex items-center justify-center">
+            {unreadCount > 99 ? "99+" : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {open && (
+        <div className="absolute right-0 mt-2 w-96 bg-white rounded-lg shadow-xl border border-gray-200 z-50">
+          <div className="px-4 py-3 border-b border-gray-200 flex items-center justify-between">
+            <span className="font-semibold text-slate-800">Alerts</span>
+            {alerts.length > 0 && (
+              <button
+                onClick={clearAlerts}
+                className="text-sm text-slate-500 hover:text-slate-800"
+              >
+                Clear all
+              </button>
+            )}
+          </div>
+
+          {notificationPermission === "default" && (
+            <div className="px-4 py-3 bg-blue-50 border-b border-blue-100 text-sm text-blue-800 flex items-center justify-between gap-2">
+              Get browser notifications for new alerts
+              <button
+                onClick={requestNotificationPermission}
+                className="px-2 py-1 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+              >
+                Enable
+              </button>
+            </div>
+          )}
+
+          <div className="max-h-96 overflow-y-auto divide-y divide-gray-100">
+            {alerts.length === 0 ? (
+              <p className="px-4 py-8 text-center text-sm text-slate-500">
+                No alerts
+              </p>
+            ) : (
+              alerts.map((alert) => (
+                <Link
+                  key={alert.key}
+                  to={`/plots/${alert.sensorId}`}
+                  onClick={toggleOpen}
+                  className={`block px-4 py-3 hover:bg-slate-50 transition-colors ${
+                    alert.read ? "" : "bg-red-50/50"
+                  }`}
+                >
+                  <div className="flex items-start gap-3">
+                    <AlertTriangle className="w-4 h-4 text-red-500 flex-shrink-0 mt-0.5" />
+                    <div className="text-sm">
+                      <p className="font-semibold text-slate-800">
+                        {alert.sensorName}
+                      </p>
+                      <p className="text-slate-700">
+                        {alert.message} (peak{" "}
+                        {alert.peakLabel ?? alert.peak.toFixed(2)})
+                      </p>
+                      <p className="text-xs text-slate-500 mt-1">
+                        {new Date(alert.start).toLocaleString()}
+                        {alert.end !== alert.start &&
+                          ` – ${new Date(alert.end).toLocaleString()}`}
+                      </p>
+                    </div>
+                  </div>
+                </Link>
+              ))
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AlertInbox;
@@ -0,0 +1,254 @@
+import React, { useState } from "react";
+import { Bell, Plus, Trash2, AlertCircle, Loader } from "lucide-react";
+import { describeRule } from "../utils/alerts";
+import { METRICS, getMetric } from "../utils/metrics";
+import { AQI_STANDARDS } from "../utils/aqi";
+import { useSettings } from "../hooks/useSettings";
+
+const parseLimit = (value) => (value.trim() === "" ? null : Number(value));
+
+// Metric select value for a rule on the AQI category
+const AQI_CATEGORY = "aqi_category";
+
+// Lists a sensor's alert rules and lets the user add or remove them
+const AlertRulesPanel = ({
+  rules,
+  storage,
+  error,
+  breaches,
+  onAdd,
+  onRemove,
+}) => {
+  const { aqiStandard } = useSettings();
+  const [metric, setMetric] = useState("co2");
+  const [category, setCategory] = useState("");
+  const [min, setMin] = useState("");
+  const [max, setMax] = useState("");
+  const [duration, setDuration] = useState("0");
+  const [formError, setFormError] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const { unit } = getMetric(metric);
+  const unitSuffix = unit ? ` (${unit})` : "";
+  // Every reading is in the first category or worse, so it can't be a limit
+  const alertCategories = AQI_STANDARDS[aqiStandard].categories.slice(1);
+  const selectedCategory = alertCategories.some((c) => c.key === category)
+    ? category
+    : alertCategories[0].key;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setFormError(null);
+    const duration_minutes = Math.max(0, Number(duration) || 0);
+
+    if (metric === AQI_CATEGORY) {
+      await saveRule({
+        metric: "aqi",
+        category: selectedCategory,
+        standard: aqiStandard,
+        min: null,
+        max: null,
+        duration_minutes,
+      });
+      return;
+    }
+
+    const rule = {
+      metric,
+      min: parseLimit(min),
+      max: parseLimit(max),
+      duration_minutes,
+    };
+
+    if (rule.min === null && rule.max === null) {
+      setFormError("Set a minimum, a maximum or both");
+      return;
+    }
+    if (Number.isNaN(rule.min) || Number.isNaN(rule.max)) {
+      setFormError("Limits must be numbers");
+      return;
+    }
+    if (rule.min !== null && rule.max !== null && rule.min >= rule.max) {
+      setFormError("Minimum must be lower than maximum");
+      return;
+    }
+
+    if (await saveRule(rule)) {
+      setMin("");
+      setMax("");
+    }
+  };
+
+  // Resolves with whether the rule was saved
+  const saveRule = async (rule) => {
+    setSaving(true);
+    try {
+      await onAdd(rule);
+      return true;
+    } catch (err) {
+      setFormError(err.message);
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRemove = async (ruleId) => {
+    setFormError(null);
+    try {
+      await onRemove(ruleId);
+    } catch (err) {
+      setFormError(err.message);
+    }
+  };
+
+  const breachCount = (rule) => breaches.filter((b) => b.rule === rule).length;
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6">
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center gap-3">
+          <Bell className="w-6 h-6 text-red-600" />
+          <h2 className="text-xl font-bold text-slate-800">Alert Rules</h2>
+        </div>
+        {storage === "local" && (
+          <span className="text-xs text-slate-500">
+            Saved in this browser only
+          </span>
+        )}
+      </div>
+
+      {(error || formError) && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg flex items-center gap-2">
+          <AlertCircle className="w-4 h-4 text-red-500 flex-shrink-0" />
+          <p className="text-red-700 text-sm">{error || formError}</p>
+        </div>
+      )}
+
+      {rules.length > 0 && (
+        <ul className="mb-4 divide-y divide-gray-100 border border-gray-200 rounded-lg">
+          {rules.map((rule) => {
+            const count = breachCount(rule);
+            return (
+              <li
+                key={rule.id}
+                className="px-4 py-2 flex items-center justify-between text-sm"
+              >
+                <span className="text-slate-800">{describeRule(rule)}</span>
+                <div className="flex items-center gap-3">
+                  <span
+                    className={`px-2 py-0.5 rounded-lg text-xs font-medium border ${
+                      count > 0
+                        ? "bg-red-50 text-red-700 border-red-200"
+                        : "bg-green-50 text-green-700 border-green-200"
+                    }`}
+                  >
+                    {count > 0
+                      ? `${count} breach${count === 1 ? "" : "es"}`
+                      : "OK"}
+                  </span>
+                  <button
+                    onClick={() => handleRemove(rule.id)}
+                    title="Delete rule"
+                    className="p-1 text-slate-400 hover:text-red-600 transition-colors"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      <form
+        onSubmit={handleSubmit}
+        className="flex flex-wrap items-end gap-3 text-sm"
+      >
+        <label className="flex flex-col gap-1">
+          <span className="font-semibold text-slate-700">Metric</span>
+          <select
+            value={metric}
+            onChange={(e) => setMetric(e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          >
+            {METRICS.map(({ key, label }) => (
+              <option key={key} value={key}>
+                {label}
+              </option>
+            ))}
+            <option value={AQI_CATEGORY}>AQI category</option>
+          </select>
+        </label>
+        {metric === AQI_CATEGORY ? (
+          <label className="flex flex-col gap-1">
+            <span className="font-semibold text-slate-700">
+              {AQI_STANDARDS[aqiStandard].label} at least
+            </span>
+            <select
+              value={selectedCategory}
+              onChange={(e) => setCategory(e.target.value)}
+              className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            >
+              {alertCategories.map(({ key, label }) => (
+                <option key={key} value={key}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </label>
+        ) : (
+          <>
+            <label className="flex flex-col gap-1">
+              <span className="font-semibold text-slate-700">
+                Min{unitSuffix}
+              </span>
+              <input
+                type="number"
+                step="any"
+                value={min}
+                onChange={(e) => setMin(e.target.value)}
+                className="w-28 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+            </label>
+            <label className="flex flex-col gap-1">
+              <span className="font-semibold text-slate-700">
+                Max{unitSuffix}
+              </span>
+              <input
+                type="number"
+                step="any"
+                value={max}
+                onChange={(e) => setMax(e.target.value)}
+                className="w-28 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+            </label>
+          </>
+        )}
+        <label className="flex flex-col gap-1">
+          <span className="font-semibold text-slate-700">For (min)</span>
+          <input
+            type="number"
+            min="0"
+            value={duration}
+            onChange={(e) => setDuration(e.target.value)}
+            className="w-24 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          />
+        </label>
+        <button
+          type="submit"
+          disabled={saving}
+          className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:bg-gray-400 disabled:cursor-not-allowed flex items-center gap-2"
+        >
+          {saving ? (
+            <Loader className="w-4 h-4 animate-spin" />
+          ) : (
+            <Plus className="w-4 h-4" />
+          )}
+          Add Rule
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default AlertRulesPanel;
@@ -0,0 +1,95 @@
+import React from "react";
+import { NavLink, Outlet } from "react-router-dom";
+import {
+  BarChart3,
+  Activity,
+  LogOut,
+  ShieldCheck,
+  Settings,
+  MapIcon,
+} from "lucide-react";
+import { useAuth } from "../contexts/AuthContext";
+import SessionExpiryBanner from "./SessionExpiryBanner";
+import OfflineBanner from "./OfflineBanner";
+import AlertInbox from "./AlertInbox";
+
+const navLinkClassName = ({ isActive }) =>
+  `px-4 py-2 rounded-lg font-medium transition-colors flex items-center gap-2 ${
+    isActive ? "bg-blue-100 text-blue-700" : "text-slate-600 hover:bg-slate-100"
+  }`;
+
+const AppLayout = () => {
+  const { logout, user, isAdmin } = useAuth();
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-50 to-slate-100">
+      {/* Navigation Bar */}
+      <nav className="bg-white shadow-md border-b border-gray-200">
+        <div className="max-w-7xl mx-auto px-6">
+          <div className="flex items-center justify-between h-16">
+            {/* Logo/Brand */}
+            <div className="flex items-center gap-2">
+              <div className="w-10 h-10 bg-blue-600 rounded-lg flex items-center justify-center">
+                <BarChart3 className="w-6 h-6 text-white" />
+              </div>
+              <span className="text-xl font-bold text-slate-800">
+                Pollution Monitor
+              </span>
+            </div>
+
+            {/* Navigation Tabs */}
+            <div className="flex items-center gap-2">
+              <NavLink to="/plots" className={navLinkClassName}>
+                <BarChart3 className="w-4 h-4" />
+                My Plots
+              </NavLink>
+              <NavLink to="/sensors" className={navLinkClassName}>
+                <Activity className="w-4 h-4" />
+                My Sensors
+              </NavLink>
+              <NavLink to="/map" className={navLinkClassName}>
+                <MapIcon className="w-4 h-4" />
+                Map
+              </NavLink>
+              <NavLink to="/settings" className={navLinkClassName}>
+                <Settings className="w-4 h-4" />
+                Settings
+              </NavLink>
+              {isAdmin && (
+                <NavLink to="/admin" className={navLinkClassName}>
+                  <ShieldCheck className="w-4 h-4" />
+                  Admin
+                </NavLink>
+              )}
+            </div>
+
+            {/* User Info & Logout */}
+            <div className="flex items-center gap-4">
+              <AlertInbox />
+              <span className="text-sm text-slate-600">
+                Welcome, <span className="font-semibold">{user?.username}</span>
+              </span>
+              <button
+                onClick={logout}
+                className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 transition-colors flex items-center gap-2"
+              >
+                <LogOut className="w-4 h-4" />
+                Logout
+              </button>
+            </div>
+          </div>
+        </div>
+      </nav>
+
+      <SessionExpiryBanner />
+      <OfflineBanner />
+
+      {/* Page Content */}
+      <div>
+        <Outlet />
+      </div>
+    </div>
+  );
+};
+
+export default AppLayout;
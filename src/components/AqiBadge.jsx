@@ -0,0 +1,24 @@
+import React from "react";
+import { useSettings } from "../hooks/useSettings";
+import { AQI_STANDARDS } from "../utils/aqi";
+
+// Index and category (see computeAqi, under the selected standard), with the
+// category's health guidance on hover
+const AqiBadge = ({ aqi }) => {
+  const { aqiStandard } = useSettings();
+
+  return (
+    <span
+      className="inline-flex items-center gap-1.5 px-2 py-0.5 rounded-full bg-slate-100 text-xs font-medium text-slate-700"
+      title={`${AQI_STANDARDS[aqiStandard].label}: ${aqi.category.guidance}`}
+    >
+      <span
+        className="w-2.5 h-2.5 rounded-full"
+        style={{ backgroundColor: aqi.category.color }}
+      />
+      {aqi.index} · {aqi.category.label}
+    </span>
+  );
+};
+
+export default AqiBadge;
@@ -0,0 +1,47 @@
+import React from "react";
+import { HeartPulse } from "lucide-react";
+import { useSettings } from "../hooks/useSettings";
+import { AQI_STANDARDS, computeAqi } from "../utils/aqi";
+import { getMetric } from "../utils/metrics";
+import { formatDateTime } from "../utils/timeFormat";
+
+// Current air quality of a sensor from its latest reading, colour-coded by
+// category, with plain-language health guidance. Renders nothing when the
+// reading has no pollutant the selected standard rates.
+const AqiBanner = ({ sensor, reading, timeZone }) => {
+  const { aqiStandard } = useSettings();
+  const aqi = computeAqi(reading, aqiStandard);
+  if (!aqi) return null;
+
+  return (
+    <div
+      className="bg-white rounded-lg shadow-md p-4 mb-4 border-l-8 flex items-start gap-4"
+      style={{ borderLeftColor: aqi.category.color }}
+    >
+      <HeartPulse className="w-6 h-6 text-slate-500 flex-shrink-0 mt-1" />
+      <div className="min-w-0">
+        <p className="text-slate-800">
+          <span className="font-semibold">{sensor.name}</span>
+          {": "}
+          <span className="font-bold">
+            {AQI_STANDARDS[aqiStandard].label} {aqi.index}
+          </span>
+          {" – "}
+          {aqi.category.label}
+          {aqi.dominant && (
+            <span className="text-sm text-slate-500">
+              {" "}
+              (driven by {getMetric(aqi.dominant).label})
+            </span>
+          )}
+        </p>
+        <p className="text-sm text-slate-600 mt-1">{aqi.category.guidance}</p>
+        <p className="text-xs text-slate-500 mt-1">
+          Latest reading, {formatDateTime(reading.timestamp, timeZone)}
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default AqiBanner;
@@ -0,0 +1,125 @@
+import React, { useState } from "react";
+import { FileText, Loader, AlertCircle } from "lucide-react";
+import { useApi } from "../hooks/useApi";
+import { useSettings } from "../hooks/useSettings";
+import { fetchAllReadings } from "../api/readings";
+import { downloadBlob } from "../utils/export";
+import {
+  buildAuditReport,
+  renderAuditReportHtml,
+  renderAuditReportPdf,
+} from "../utils/auditReport";
+
+// Generates a verification report for a sensor and time range, either as a
+// printable HTML page (opened in a new tab) or a PDF download. Statuses come
+// from `verification`/`verifiedAt`, i.e. from verifying in this session.
+const AuditReportMenu = ({
+  sensor,
+  timeRange,
+  verification,
+  verifiedAt,
+  disabled,
+}) => {
+  const api = useApi();
+  const { chainSettings } = useSettings();
+  const [open, setOpen] = useState(false);
+  const [generating, setGenerating] = useState(false);
+  const [error, setError] = useState(null);
+
+  const generate = async (format) => {
+    setOpen(false);
+    setError(null);
+    setGenerating(true);
+
+    // Opened right away: browsers block windows opened after an await
+    const reportWindow = format === "html" ? window.open("", "_blank") : null;
+
+    try {
+      const readings = await fetchAllReadings(api, sensor.id, { timeRange });
+      const report = await buildAuditReport({
+        sensor,
+        timeRange,
+        readings,
+        verification,
+        verifiedAt,
+        chainSettings,
+      });
+      const slug = sensor.name.toLowerCase().replace(/[^a-z0-9]+/g, "-");
+      const date = report.generated_at.slice(0, 10);
+
+      if (format === "html") {
+        const blob = new Blob([renderAuditReportHtml(report)], {
+          type: "text/html",
+        });
+        if (reportWindow) {
+          const url = URL.createObjectURL(blob);
+          reportWindow.location.href = url;
+          // Generous delay: the new window loads the blob asynchronously
+          setTimeout(() => URL.revokeObjectURL(url), 60 * 1000);
+        } else {
+          downloadBlob(blob, `${slug}-verification-report-${date}.html`);
+        }
+      } else {
+        downloadBlob(
+          renderAuditReportPdf(report),
+          `${slug}-verification-report-${date}.pdf`,
+        );
+      }
+    } catch (err) {
+      reportWindow?.close();
+      setError(`Report failed: ${err.message}`);
+    } finally {
+      setGenerating(false);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen((prev) => !prev)}
+        disabled={disabled || generating}
+        title="Verification report for auditors"
+        className="px-4 py-2 border border-gray-300 text-slate-700 rounded-lg hover:bg-gray-50 transition-colors disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-2"
+      >
+        {generating ? (
+          <Loader className="w-4 h-4 animate-spin" />
+        ) : (
+          <FileText className="w-4 h-4" />
+        )}
+        Report
+      </button>
+
+      {open && (
+        <div className="absolute right-0 mt-2 w-44 bg-white rounded-lg shadow-xl border border-gray-200 z-50 py-1">
+          <button
+            onClick={() => generate("html")}
+            className="w-full text-left px-4 py-2 text-sm text-slate-700 hover:bg-slate-50 transition-colors"
+          >
+            Printable HTML
+          </button>
+          <button
+            onClick={() => generate("pdf")}
+            className="w-full text-left px-4 py-2 text-sm text-slate-700 hover:bg-slate-50 transition-colors"
+          >
+            PDF
+          </button>
+        </div>
+      )}
+
+      {error && (
+        <div className="absolute right-0 mt-2 w-72 p-3 bg-red-50 border border-red-200 rounded-lg flex items-start gap-2 z-50">
+          <AlertCircle className="w-4 h-4 text-red-500 flex-shrink-0 mt-0.5" />
+          <p className="text-red-700 text-sm flex-1">{error}</p>
+          <button
+            onClick={() => setError(null)}
+            className="text-sm text-red-700 hover:text-red-900"
+          >
+            ×
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AuditReportMenu;
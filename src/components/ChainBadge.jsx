@@ -0,0 +1,40 @@
+import React from "react";
+import { CheckCircle, AlertTriangle, XCircle } from "lucide-react";
+import { useSettings } from "../hooks/useSettings";
+import { clusterLabel } from "../utils/chainConfig";
+
+// Chart header badge summarising the chain status of the plotted readings
+// (see countStatuses) and naming the cluster they're anchored on
+const ChainBadge = ({ counts }) => {
+  const { chainSettings } = useSettings();
+  const cluster = clusterLabel(chainSettings);
+
+  const total = Object.values(counts).reduce((sum, n) => sum + n, 0);
+  const anchored = total - counts.pending;
+
+  let summary = `${anchored}/${total} on chain`;
+  if (counts.verified > 0) summary += `, ${counts.verified} verified`;
+  if (counts.invalid > 0) summary += `, ${counts.invalid} invalid`;
+
+  let icon = <CheckCircle className="w-5 h-5 text-green-500" />;
+  if (counts.invalid > 0) {
+    icon = <XCircle className="w-5 h-5 text-red-500" />;
+  } else if (counts.pending > 0) {
+    icon = <AlertTriangle className="w-5 h-5 text-yellow-500" />;
+  }
+
+  return (
+    <div
+      className="flex items-center gap-2"
+      title={`Readings are anchored on Solana ${cluster}`}
+    >
+      {icon}
+      <span className="text-sm text-slate-600">{summary}</span>
+      <span className="px-2 py-0.5 rounded-full bg-slate-100 text-xs font-medium text-slate-600">
+        {cluster}
+      </span>
+    </div>
+  );
+};
+
+export default ChainBadge;
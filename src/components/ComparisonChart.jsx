@@ -0,0 +1,134 @@
+import React from "react";
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer,
+  Brush,
+} from "recharts";
+import { comparisonColor, seriesKey } from "../utils/comparison";
+import {
+  formatDate,
+  formatDateTime,
+  formatTick,
+  timeTicks,
+} from "../utils/timeFormat";
+import { formatMetric, getMetric, metricTitle } from "../utils/metrics";
+import MetricIcon from "./MetricIcon";
+
+const MAX_TICKS = 8;
+
+// Overlays one registry metric from several sensors on a shared, bucketed
+// time axis. Clicking a legend entry hides or shows that sensor.
+const ComparisonChart = ({
+  metric,
+  data,
+  sensors,
+  bucketMs,
+  timeZone,
+  hiddenSensors,
+  onToggleSensor,
+}) => {
+  const start = data[0]?.time ?? 0;
+  const end = data[data.length - 1]?.time ?? 0;
+  const tickLabel = (time) => formatTick(time, end - start, timeZone);
+  const bucketLabel = (time) =>
+    bucketMs >= 24 * 60 * 60 * 1000
+      ? formatDate(time, timeZone)
+      : formatDateTime(time, timeZone);
+
+  const ComparisonTooltip = ({ active, payload, label }) => {
+    if (!active || !payload || payload.length === 0) return null;
+
+    return (
+      <div className="bg-white p-4 rounded-lg shadow-lg border border-gray-200">
+        <p className="text-sm text-gray-600 mb-2">{bucketLabel(label)}</p>
+        {payload.map((entry) => (
+          <p
+            key={entry.dataKey}
+            className="text-sm font-semibold"
+            style={{ color: entry.color }}
+          >
+            {entry.name}: {formatMetric(entry.value, metric)}
+          </p>
+        ))}
+      </div>
+    );
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center gap-3">
+          <MetricIcon metric={metric} />
+          <h2 className="text-xl font-bold text-slate-800">
+            {getMetric(metric).label}
+          </h2>
+        </div>
+        <span className="text-sm text-slate-600">
+          Comparing {sensors.length} sensors
+        </span>
+      </div>
+      <ResponsiveContainer width="100%" height={300}>
+        <LineChart data={data}>
+          <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" />
+          <XAxis
+            dataKey="time"
+            type="number"
+            scale="time"
+            domain={["dataMin", "dataMax"]}
+            ticks={timeTicks(start, end, timeZone, MAX_TICKS)}
+            tickFormatter={tickLabel}
+            stroke="#64748b"
+            style={{ fontSize: "12px" }}
+          />
+          <YAxis
+            stroke="#64748b"
+            style={{ fontSize: "12px" }}
+            label={{
+              value: metricTitle(metric),
+              angle: -90,
+              position: "insideLeft",
+            }}
+          />
+          <Tooltip content={<ComparisonTooltip />} />
+          <Legend
+            onClick={(entry) => {
+              const sensor = sensors.find(
+                (s) => seriesKey(metric, s.id) === entry.dataKey,
+              );
+              if (sensor) onToggleSensor(sensor.id);
+            }}
+            wrapperStyle={{ cursor: "pointer" }}
+          />
+          {sensors.map((sensor, index) => (
+            <Line
+              key={sensor.id}
+              type="monotone"
+              dataKey={seriesKey(metric, sensor.id)}
+              name={sensor.name}
+              stroke={comparisonColor(index)}
+              strokeWidth={2}
+              dot={false}
+              activeDot={{ r: 5 }}
+              connectNulls
+              hide={hiddenSensors.includes(sensor.id)}
+            />
+          ))}
+          <Brush
+            dataKey="time"
+            height={30}
+            stroke="#64748b"
+            tickFormatter={tickLabel}
+          />
+        </LineChart>
+      </ResponsiveContainer>
+    </div>
+  );
+};
+
+export default ComparisonChart;
@@ -0,0 +1,96 @@
+import React, { useState } from "react";
+import { Download, Loader, AlertCircle } from "lucide-react";
+import { useApi } from "../hooks/useApi";
+import { fetchAllReadings } from "../api/readings";
+import {
+  EXPORT_FORMATS,
+  buildReadingsExport,
+  downloadBlob,
+} from "../utils/export";
+
+// Export button for a sensor's readings in the given time range. The
+// readings are fetched fresh (all pages), so the file doesn't depend on what
+// the page happens to have loaded. `verification` holds the last results of
+// verifying readings in this session, by reading id.
+const ExportMenu = ({ sensor, timeRange, verification, disabled }) => {
+  const api = useApi();
+  const [open, setOpen] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+
+  const exporting = progress !== null;
+
+  const runExport = async (format) => {
+    setOpen(false);
+    setError(null);
+    setProgress("Fetching readings...");
+
+    try {
+      const readings = await fetchAllReadings(api, sensor.id, {
+        timeRange,
+        onProgress: (loaded, total) =>
+          setProgress(`Fetching ${loaded} of ${total}...`),
+      });
+      const { blob, filename } = await buildReadingsExport(format, {
+        sensor,
+        timeRange,
+        readings,
+        verification,
+        onProgress: (done, total) =>
+          setProgress(`Writing ${done} of ${total}...`),
+      });
+      downloadBlob(blob, filename);
+    } catch (err) {
+      setError(`Export failed: ${err.message}`);
+    } finally {
+      setProgress(null);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen((prev) => !prev)}
+        disabled={disabled || exporting}
+        title="Export readings in the selected time range"
+        className="px-4 py-2 border border-gray-300 text-slate-700 rounded-lg hover:bg-gray-50 transition-colors disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-2"
+      >
+        {exporting ? (
+          <Loader className="w-4 h-4 animate-spin" />
+        ) : (
+          <Download className="w-4 h-4" />
+        )}
+        {exporting ? progress : "Export"}
+      </button>
+
+      {open && (
+        <div className="absolute right-0 mt-2 w-44 bg-white rounded-lg shadow-xl border border-gray-200 z-50 py-1">
+          {EXPORT_FORMATS.map((format) => (
+            <button
+              key={format.value}
+              onClick={() => runExport(format.value)}
+              className="w-full text-left px-4 py-2 text-sm text-slate-700 hover:bg-slate-50 transition-colors"
+            >
+              {format.label}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {error && (
+        <div className="absolute right-0 mt-2 w-72 p-3 bg-red-50 border border-red-200 rounded-lg flex items-start gap-2 z-50">
+          <AlertCircle className="w-4 h-4 text-red-500 flex-shrink-0 mt-0.5" />
+          <p className="text-red-700 text-sm flex-1">{error}</p>
+          <button
+            onClick={() => setError(null)}
+            className="text-sm text-red-700 hover:text-red-900"
+          >
+            ×
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ExportMenu;
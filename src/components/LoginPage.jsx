@@ -1,13 +1,16 @@
 import React, { useState } from "react";
 import { User, Lock, AlertCircle, LogIn } from "lucide-react";
+import { Link, useLocation } from "react-router-dom";
 import { useAuth } from "../contexts/AuthContext";
+import { ApiError, request } from "../api/client";
 
-const LoginPage = ({ onSwitchToRegister }) => {
+const LoginPage = () => {
   const [username, setUsername] = useState("");
   const [password, setPassword] = useState("");
   const [error, setError] = useState("");
   const [loading, setLoading] = useState(false);
   const { login } = useAuth();
+  const location = useLocation();
 
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -15,26 +18,22 @@ const LoginPage = ({ onSwitchToRegister }) => {
     setLoading(true);
 
     try {
-      const response = await fetch("https://localhost:3000/users/login", {
+      const data = await request("/users/login", {
         method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify({ username, password }),
+        body: { username, password },
       });
-
-      const data = await response.json();
-
-      if (response.ok) {
-        login(data.body.token, data.body.username, data.body.role);
-      } else {
+      login(data.token, data.username, data.role, data.refresh_token);
+    } catch (err) {
+      if (err instanceof ApiError) {
         setError(
-          data.message || "Login failed. Please check your credentials.",
+          err.data?.error_msg ||
+            err.data?.message ||
+            "Login failed. Please check your credentials.",
         );
+      } else {
+        setError("Network error. Please check your connection.");
+        console.error("Login error:", err);
       }
-    } catch (err) {
-      setError("Network error. Please check your connection.");
-      console.error("Login error:", err);
     } finally {
       setLoading(false);
     }
@@ -124,12 +123,13 @@ const LoginPage = ({ onSwitchToRegister }) => {
         <div className="mt-6 text-center">
           <p className="text-gray-600">
             Don't have an account?{" "}
-            <button
-              onClick={onSwitchToRegister}
+            <Link
+              to="/register"
+              state={location.state}
               className="text-blue-600 font-semibold hover:underline"
             >
               Create one here
-            </button>
+            </Link>
           </p>
         </div>
       </div>
@@ -0,0 +1,34 @@
+import React from "react";
+import {
+  Activity,
+  Cloud,
+  CloudFog,
+  Droplets,
+  Factory,
+  Gauge,
+  Leaf,
+  Thermometer,
+  Wind,
+} from "lucide-react";
+import { getMetric } from "../utils/metrics";
+
+const ICONS = {
+  co2: Wind,
+  temperature: Thermometer,
+  humidity: Droplets,
+  pm25: CloudFog,
+  pm10: Cloud,
+  no2: Factory,
+  voc: Leaf,
+  aqi: Gauge,
+};
+
+// Icon of a registry metric, in the metric's colour
+const MetricIcon = ({ metric, className = "w-6 h-6" }) => {
+  const Icon = ICONS[metric] ?? Activity;
+  return (
+    <Icon className={className} style={{ color: getMetric(metric).color }} />
+  );
+};
+
+export default MetricIcon;
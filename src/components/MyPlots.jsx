@@ -1,7 +1,8 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useMemo } from "react";
 import {
-  LineChart,
+  ComposedChart,
   Line,
+  Area,
   XAxis,
   YAxis,
   CartesianGrid,
@@ -9,152 +10,275 @@ import {
   Legend,
   ResponsiveContainer,
   Brush,
+  ReferenceArea,
+  ReferenceLine,
 } from "recharts";
 import {
-  Thermometer,
   Wind,
   Calendar,
   RefreshCw,
   AlertCircle,
-  CheckCircle,
-  TrendingUp,
   LogOut,
+  Radio,
+  ZoomIn,
 } from "lucide-react";
+import { useNavigate, useParams, useSearchParams } from "react-router-dom";
 import { useAuth } from "../contexts/AuthContext";
+import { useApi } from "../hooks/useApi";
+import { useConnectivity } from "../hooks/useConnectivity";
+import { useQuery } from "../hooks/useQuery";
+import { useSensors } from "../hooks/useSensors";
+import { fetchRangeReadings } from "../api/readings";
+import {
+  fetchQuery,
+  getQueryState,
+  setQueryData,
+  subscribeQuery,
+} from "../api/queryCache";
+import { useLiveReadings } from "../hooks/useLiveReadings";
+import { useElementWidth } from "../hooks/useElementWidth";
+import { useReadingStatistics } from "../hooks/useReadingStatistics";
+import { useSettings } from "../hooks/useSettings";
+import NotFoundPage from "./NotFoundPage";
+import ComparisonChart from "./ComparisonChart";
+import {
+  alignSeries,
+  bucketSizeFor,
+  comparisonColor,
+} from "../utils/comparison";
+import {
+  isCustomRange,
+  timeRangeDuration,
+  timeRangeKey,
+} from "../utils/timeRange";
+import { useTimeRange } from "../hooks/useTimeRange";
+import TimeRangePicker from "./TimeRangePicker";
+import ExportMenu from "./ExportMenu";
+import TimeZoneSelect from "./TimeZoneSelect";
+import StatisticsPanel from "./StatisticsPanel";
+import MetricIcon from "./MetricIcon";
+import AqiBanner from "./AqiBanner";
+import AqiBadge from "./AqiBadge";
+import ChainBadge from "./ChainBadge";
+import AlertRulesPanel from "./AlertRulesPanel";
+import { useAlertRules } from "../hooks/useAlertRules";
+import { useAlerts } from "../hooks/useAlerts";
+import { findAllBreaches } from "../utils/alerts";
+import {
+  CHAIN_STATUSES,
+  countStatuses,
+  readingStatus,
+} from "../utils/chainStatus";
+import {
+  aggregateReadings,
+  bucketLabel,
+  bucketStarter,
+  chartBucketSize,
+} from "../utils/downsample";
+import {
+  formatDateTime,
+  formatTick,
+  resolveTimeZone,
+  timeTicks,
+} from "../utils/timeFormat";
+import {
+  METRIC_KEYS,
+  formatMetric,
+  hasValue,
+  metricTitle,
+  metricsIn,
+} from "../utils/metrics";
+import { aqiCategory, categoryBands, pollutantIndex } from "../utils/aqi";
+
+// Above this many points only pending and invalid readings get a marker
+const MAX_MARKED_POINTS = 300;
+const NO_READINGS = [];
+// Live readings re-run the statistics at most this often
+const LIVE_STATISTICS_INTERVAL_MS = 10 * 1000;
 
 const PollutionPlotsDashboard = () => {
-  const { logout, token } = useAuth();
-  const [selectedSensor, setSelectedSensor] = useState(null);
-  const [sensors, setSensors] = useState([]); // ← Start empty
-  const [sensorsLoading, setSensorsLoading] = useState(true);
-  const [sensorReadings, setSensorReadings] = useState([]);
-  const [loading, setLoading] = useState(false);
-  const [error, setError] = useState(null);
-  const [timeRange, setTimeRange] = useState("24h");
-  const [showCO2, setShowCO2] = useState(true);
-  const [showTemp, setShowTemp] = useState(true);
-
-  // Fetch user's sensors on mount
-  useEffect(() => {
-    const fetchUserSensors = async () => {
-      setSensorsLoading(true);
-      setError(null);
-
-      try {
-        // BACKEND API CALL:
-        const response = await fetch("https://localhost:3000/sensors", {
-          headers: {
-            Authorization: `Bearer ${token}`,
-          },
-        });
-
-        const data = await response.json();
-
-        switch (response.status) {
-          case 200:
-            // Success
-            //if (response.ok && data.body && Array.isArray(data.body)) {
-            setSensors(data.body);
-
-            // Auto-select first sensor
-            if (data.body.length > 0) {
-              setSelectedSensor(data.body[0].id);
-            }
-            break;
-
-          case 401:
-            // Unauthorized - token expired or invalid
-            setError("Session expired. Please log in again.");
-            setTimeout(() => logout(), 2000);
-            break;
-
-          case 500:
-            // Server error
-            setError(data.error_msg || "Server error. Please try again later.");
-            break;
-
-          default:
-            setError(
-              `Error: ${response.status} - ${data.error_msg || "Unknown error"}`,
-            );
-        }
-      } catch (err) {
-        console.error("Error fetching sensors:", err);
-      } finally {
-        setSensorsLoading(false);
+  const { logout } = useAuth();
+  const api = useApi();
+  const navigate = useNavigate();
+  const { sensorId } = useParams();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const {
+    sensors,
+    loading: sensorsLoading,
+    error: sensorsError,
+  } = useSensors();
+  const [comparisonError, setComparisonError] = useState(null);
+  // Metric keys unticked in the display toggles
+  const [hiddenMetrics, setHiddenMetrics] = useState([]);
+  const [liveMode, setLiveMode] = useState(false);
+  // Readings of the sensors overlaid for comparison, keyed by sensor id
+  const [comparisonReadings, setComparisonReadings] = useState({});
+  const [hiddenSensors, setHiddenSensors] = useState([]);
+  // Brush selection on the single-sensor charts, as data indices
+  const [brushWindow, setBrushWindow] = useState(null);
+  const [chartsRef, chartsWidth] = useElementWidth();
+  const { timeZoneMode, aqiStandard } = useSettings();
+  // Refetch the compared sensors after the backend comes back from an outage
+  const { reconnects } = useConnectivity();
+
+  // Selected sensor and time range live in the URL (/plots/:sensorId?range=7d)
+  const selectedSensor = sensorId ? Number(sensorId) : null;
+  const [timeRange, setTimeRange] = useTimeRange("24h");
+  const rangeKey = timeRangeKey(timeRange);
+  const readingsKey = ["readings", selectedSensor, rangeKey];
+
+  // Readings come from the shared cache, so switching back to a sensor or
+  // range shows them at once while they are revalidated; only readings
+  // newer than the last sync are downloaded
+  const readingsQuery = useQuery(
+    readingsKey,
+    ({ signal }) =>
+      fetchRangeReadings(api, selectedSensor, { timeRange, signal }),
+    { enabled: !!selectedSensor },
+  );
+  const sensorReadings = readingsQuery.data ?? NO_READINGS;
+  const loading = readingsQuery.loading;
+  const error =
+    sensorsError?.message ?? readingsQuery.error?.message ?? comparisonError;
+  // Sensors overlaid on the selected one (?compare=2,5)
+  const compareParam = searchParams.get("compare") || "";
+  const compareIds = compareParam
+    .split(",")
+    .map(Number)
+    .filter((id) => id && id !== selectedSensor);
+
+  const setSelectedSensor = (id) => {
+    navigate({ pathname: `/plots/${id}`, search: searchParams.toString() });
+  };
+
+  const toggleCompare = (id) => {
+    const nextIds = compareIds.includes(id)
+      ? compareIds.filter((c) => c !== id)
+      : [...compareIds, id];
+    setSearchParams((prev) => {
+      const next = new URLSearchParams(prev);
+      if (nextIds.length > 0) {
+        next.set("compare", nextIds.join(","));
+      } else {
+        next.delete("compare");
       }
-    };
+      return next;
+    });
+  };
 
-    fetchUserSensors();
-  }, [token, logout]);
+  const toggleMetric = (key) => {
+    setHiddenMetrics((prev) =>
+      prev.includes(key) ? prev.filter((k) => k !== key) : [...prev, key],
+    );
+  };
 
-  // Fetch readings when sensor or time range changes
-  useEffect(() => {
-    if (selectedSensor) {
-      fetchSensorReadings(selectedSensor);
-    }
-  }, [selectedSensor, timeRange]);
+  const toggleHiddenSensor = (id) => {
+    setHiddenSensors((prev) =>
+      prev.includes(id) ? prev.filter((h) => h !== id) : [...prev, id],
+    );
+  };
 
-  // Fetch sensor readings from backend
-  const fetchSensorReadings = async (sensorId) => {
-    setLoading(true);
-    setError(null);
+  // In live mode, pushed readings are appended as they arrive and readings
+  // that fall out of the selected range are dropped. Absolute windows are
+  // fixed in the past, so live mode only applies to presets.
+  const liveAvailable = !isCustomRange(timeRange);
+  const liveStatus = useLiveReadings(selectedSensor, {
+    enabled: liveMode && liveAvailable,
+    onReading: (reading) => {
+      const cutoff = Date.now() - timeRangeDuration(timeRange);
+      setQueryData(readingsKey, (prev = []) =>
+        prev.some((r) => r.id === reading.id)
+          ? prev
+          : [
+              ...prev.filter((r) => new Date(r.timestamp).getTime() >= cutoff),
+              reading,
+            ],
+      );
+    },
+  });
 
-    try {
-      // BACKEND API CALL:
-      const response = await fetch(
-        `https://localhost:3000/sensors/${sensorId}/readings?range=${timeRange}`,
+  // Dates are shown in the chosen display zone (local, UTC or the site's)
+  const timeZone = resolveTimeZone(
+    timeZoneMode,
+    sensors.find((s) => s.id === selectedSensor),
+  );
+
+  // Percentiles, trends and profiles, computed in a worker
+  const analysis = useReadingStatistics(sensorReadings, {
+    timeZone,
+    throttleMs: liveMode ? LIVE_STATISTICS_INTERVAL_MS : 0,
+  });
+
+  // Alert rules of the selected sensor, evaluated against the loaded readings.
+  // Breaches go to the app-wide alert inbox.
+  const alertRules = useAlertRules(selectedSensor);
+  const { reportBreaches } = useAlerts();
+  const breaches = useMemo(
+    () => findAllBreaches(sensorReadings, alertRules.rules),
+    [sensorReadings, alertRules.rules],
+  );
+
+  // reportBreaches skips breaches already in the inbox
+  useEffect(() => {
+    const sensor = sensors.find((s) => s.id === selectedSensor);
+    if (sensor && breaches.length > 0) reportBreaches(sensor, breaches);
+  }, [breaches, sensors, selectedSensor, reportBreaches]);
+
+  // Auto-select first sensor when the URL doesn't name one
+  useEffect(() => {
+    if (!sensorId && sensors.length > 0) {
+      navigate(
         {
-          headers: {
-            "Content-Type": "application/json",
-            Authorization: `Bearer ${token}`,
-          },
+          pathname: `/plots/${sensors[0].id}`,
+          search: searchParams.toString(),
         },
+        { replace: true },
       );
-
-      const data = await response.json();
-
-      switch (response.status) {
-        case 200:
-          // Success
-          setSensorReadings(data.body);
-          break;
-
-        case 401:
-          // Unauthorized - token expired or invalid
-          setError("Session expired. Please log in again.");
-          setTimeout(() => logout(), 2000);
-          break;
-
-        case 403:
-          // Forbidden - user doesn't own this resource
-          setError(
-            data.error_msg ||
-              "You do not have permission to access this resource",
-          );
-          break;
-
-        case 409:
-          // Conflicts - resource already exists
-          setError(data.error_msg || "Resource already exists");
-          break;
-
-        case 500:
-          // Server error
-          setError(data.error_msg || "Server error. Please try again later.");
-          break;
-
-        default:
-          setError(
-            `Error: ${response.status} - ${data.error_msg || "Unknown error"}`,
-          );
-      }
-    } catch (err) {
-      setError(err.message);
-    } finally {
-      setLoading(false);
     }
-  };
+  }, [sensorId, sensors, searchParams, navigate]);
+
+  // A new sensor or range starts with the whole chart selected
+  useEffect(() => {
+    setBrushWindow(null);
+  }, [selectedSensor, rangeKey]);
+
+  // Fetch readings of the sensors being compared, through the same cache:
+  // cached readings are shown first, then replaced by the revalidated ones.
+  // Subscribing keeps the fetches alive until the comparison or range
+  // changes, at which point they are aborted.
+  useEffect(() => {
+    const ids = compareParam.split(",").map(Number).filter(Boolean);
+    const keyFor = (id) => ["readings", id, rangeKey];
+    setComparisonError(null);
+    setComparisonReadings(
+      Object.fromEntries(
+        ids.map((id) => [id, getQueryState(keyFor(id)).data ?? []]),
+      ),
+    );
+    if (ids.length === 0) return;
+
+    let cancelled = false;
+    const unsubscribes = ids.map((id) => subscribeQuery(keyFor(id), () => {}));
+
+    Promise.all(
+      ids.map((id) =>
+        fetchQuery(keyFor(id), ({ signal }) =>
+          fetchRangeReadings(api, id, { timeRange, signal }),
+        ).then((readings) => [id, readings]),
+      ),
+    )
+      .then((entries) => {
+        if (!cancelled) setComparisonReadings(Object.fromEntries(entries));
+      })
+      .catch((err) => {
+        if (!cancelled) setComparisonError(err.message);
+      });
+
+    return () => {
+      cancelled = true;
+      unsubscribes.forEach((unsubscribe) => unsubscribe());
+    };
+  }, [compareParam, rangeKey, timeRange, api, reconnects]);
 
   if (sensorsLoading) {
     return (
@@ -199,35 +323,148 @@ const PollutionPlotsDashboard = () => {
     );
   }
 
-  // Format data for charts
-  const chartData = sensorReadings.map((reading) => ({
-    timestamp: new Date(reading.timestamp).toLocaleTimeString("en-US", {
-      hour: "2-digit",
-      minute: "2-digit",
-      hour12: false,
-    }),
-    co2: parseFloat(reading.co2.toFixed(2)),
-    temperature: parseFloat(reading.temperature.toFixed(2)),
-    fullDate: new Date(reading.timestamp).toLocaleString(),
+  // Long ranges are drawn as buckets sized to the chart's width: a mean line
+  // with a min–max band. Ranges that fit show every reading.
+  const chartBucketMs = chartBucketSize(
+    sensorReadings.length,
+    timeRangeDuration(timeRange),
+    chartsWidth,
+  );
+
+  // Start of the chart point a timestamp falls in
+  const bucketStart = chartBucketMs && bucketStarter(chartBucketMs, timeZone);
+  const pointTime = (timestamp) => {
+    const time = new Date(timestamp).getTime();
+    return bucketStart ? bucketStart(time) : time;
+  };
+
+  // Format data for charts. Metrics a reading lacks are left out of its row,
+  // leaving a gap in that metric's line.
+  const chartRows = chartBucketMs
+    ? aggregateReadings(sensorReadings, METRIC_KEYS, chartBucketMs, timeZone)
+    : sensorReadings.map((reading) => ({
+        time: new Date(reading.timestamp).getTime(),
+        count: 1,
+        ...Object.fromEntries(
+          METRIC_KEYS.filter((key) => hasValue(reading, key)).map((key) => [
+            key,
+            parseFloat(reading[key].toFixed(2)),
+          ]),
+        ),
+        status: readingStatus(reading),
+        txSignature: reading.tx_signature,
+      }));
+  const chartData = chartRows.map((row) => ({
+    ...row,
+    fullDate: formatDateTime(row.time, timeZone),
   }));
 
-  // Calculate statistics
-  const stats = {
-    avgCO2: (
-      sensorReadings.reduce((sum, r) => sum + r.co2, 0) /
-        sensorReadings.length || 0
-    ).toFixed(2),
-    maxCO2: Math.max(...sensorReadings.map((r) => r.co2), 0).toFixed(2),
-    avgTemp: (
-      sensorReadings.reduce((sum, r) => sum + r.temperature, 0) /
-        sensorReadings.length || 0
-    ).toFixed(2),
-    maxTemp: Math.max(...sensorReadings.map((r) => r.temperature), 0).toFixed(
-      2,
-    ),
-    totalReadings: sensorReadings.length,
+  // Time axis with ticks on round wall-clock times in the display zone,
+  // roughly one per 100px
+  const chartStart = chartData[0]?.time ?? 0;
+  const chartEnd = chartData[chartData.length - 1]?.time ?? 0;
+  const axisTicks = timeTicks(
+    chartStart,
+    chartEnd,
+    timeZone,
+    Math.max(Math.floor(chartsWidth / 100), 2),
+  );
+  const tickLabel = (time) => formatTick(time, chartEnd - chartStart, timeZone);
+
+  // The brush selection, while it covers only part of the chart
+  const selection =
+    brushWindow &&
+    brushWindow.endIndex < chartData.length &&
+    brushWindow.endIndex - brushWindow.startIndex < chartData.length - 1
+      ? brushWindow
+      : null;
+
+  // Loads the selected window as a custom range, at a finer resolution
+  const zoomToSelection = () => {
+    setTimeRange({
+      from: new Date(chartData[selection.startIndex].time),
+      to: new Date(chartData[selection.endIndex].time + chartBucketMs),
+    });
+  };
+
+  // Points are coloured by chain status. Dense charts only mark the readings
+  // that need attention, so the line stays readable.
+  const markAllPoints = chartData.length <= MAX_MARKED_POINTS;
+  const renderStatusDot = ({ cx, cy, payload, index }) => {
+    if (
+      !markAllPoints &&
+      payload.status !== "pending" &&
+      payload.status !== "invalid"
+    ) {
+      return <g key={index} />;
+    }
+    return (
+      <circle
+        key={index}
+        cx={cx}
+        cy={cy}
+        r={markAllPoints ? 2.5 : 3.5}
+        fill={CHAIN_STATUSES[payload.status].color}
+        stroke="none"
+      />
+    );
   };
 
+  const statusCounts = countStatuses(sensorReadings);
+
+  // Mean and peak of every metric the sensor reports
+  const metricStats = metricsIn(sensorReadings).map((metric) => {
+    const values = sensorReadings
+      .filter((r) => hasValue(r, metric.key))
+      .map((r) => r[metric.key]);
+    const avg = values.reduce((sum, v) => sum + v, 0) / values.length;
+    // Pollutants also get the index category of their mean, labelled as the
+    // range average (the current category is in the AQI banner)
+    const index = pollutantIndex(aqiStandard, metric.key, avg);
+    return {
+      metric,
+      avg,
+      max: values.reduce((max, v) => Math.max(max, v), -Infinity),
+      aqi:
+        index === null
+          ? null
+          : { index, category: aqiCategory(aqiStandard, index) },
+    };
+  });
+
+  // Shaded breach periods and dashed limit lines for a metric's alert rules
+  const renderAlertOverlays = (metric) => [
+    ...breaches
+      .filter((b) => b.rule.metric === metric)
+      .map((b) => (
+        <ReferenceArea
+          key={`area-${b.rule.id}-${b.start}`}
+          x1={pointTime(b.start)}
+          x2={pointTime(b.end)}
+          fill="#ef4444"
+          fillOpacity={0.12}
+          ifOverflow="extendDomain"
+        />
+      )),
+    ...alertRules.rules
+      .filter((rule) => rule.metric === metric)
+      .flatMap((rule) =>
+        [rule.min, rule.max]
+          .filter((limit) => limit !== null && limit !== undefined)
+          .map((limit) => (
+            <ReferenceLine
+              key={`line-${rule.id}-${limit}`}
+              y={limit}
+              stroke="#ef4444"
+              strokeDasharray="4 4"
+            />
+          )),
+      ),
+  ];
+
+  // Metric key of a tooltip entry; range bands use "<metric>Range"
+  const metricOf = (entry) => entry.dataKey.replace(/Range$/, "");
+
   // Custom tooltip for charts
   const CustomTooltip = ({ active, payload }) => {
     if (active && payload && payload.length) {
@@ -235,6 +472,8 @@ const PollutionPlotsDashboard = () => {
         <div className="bg-white p-4 rounded-lg shadow-lg border border-gray-200">
           <p className="text-sm text-gray-600 mb-2">
             {payload[0].payload.fullDate}
+            {chartBucketMs &&
+              ` · ${bucketLabel(chartBucketMs)} mean of ${payload[0].payload.count}`}
           </p>
           {payload.map((entry, index) => (
             <p
@@ -242,9 +481,13 @@ const PollutionPlotsDashboard = () => {
               className="text-sm font-semibold"
               style={{ color: entry.color }}
             >
-              {entry.name}: {entry.value} {entry.name === "CO₂" ? "ppm" : "°C"}
+              {entry.name}:{" "}
+              {Array.isArray(entry.value)
+                ? `${formatMetric(entry.value[0], metricOf(entry), { unit: false })} – ${formatMetric(entry.value[1], metricOf(entry))}`
+                : formatMetric(entry.value, metricOf(entry))}
             </p>
           ))}
+          <ChainStatusLine point={payload[0].payload} />
         </div>
       );
     }
@@ -253,6 +496,51 @@ const PollutionPlotsDashboard = () => {
 
   const currentSensor = sensors.find((s) => s.id === selectedSensor);
 
+  if (!currentSensor) {
+    if (!sensorId) return null; // Redirecting to the first sensor
+    return (
+      <NotFoundPage
+        title="Sensor Not Found"
+        message={`Sensor ${sensorId} doesn't exist or isn't assigned to your account.`}
+      />
+    );
+  }
+
+  // Comparison mode: the selected sensor plus every sensor in ?compare=
+  const comparedSensors = [
+    currentSensor,
+    ...compareIds.map((id) => sensors.find((s) => s.id === id)).filter(Boolean),
+  ];
+  const comparing = comparedSensors.length > 1;
+
+  // Toggles list every metric the shown readings report
+  const reportedMetrics = metricsIn(
+    comparing
+      ? [
+          sensorReadings,
+          ...compareIds.map((id) => comparisonReadings[id] || []),
+        ].flat()
+      : sensorReadings,
+  );
+  const shownMetrics = reportedMetrics.filter(
+    (metric) => !hiddenMetrics.includes(metric.key),
+  );
+  const bucketMs = bucketSizeFor(timeRangeDuration(timeRange));
+  const comparisonData = comparing
+    ? alignSeries(
+        comparedSensors.map((sensor) => ({
+          id: sensor.id,
+          readings:
+            sensor.id === selectedSensor
+              ? sensorReadings
+              : comparisonReadings[sensor.id] || [],
+        })),
+        METRIC_KEYS,
+        bucketMs,
+        timeZone,
+      )
+    : [];
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-slate-50 to-slate-100 p-6">
       <div className="max-w-7xl mx-auto">
@@ -273,7 +561,7 @@ const PollutionPlotsDashboard = () => {
                 Select Sensor
               </label>
               <select
-                value={selectedSensor}
+                value={selectedSensor ?? ""}
                 onChange={(e) => setSelectedSensor(Number(e.target.value))}
                 className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
               >
@@ -290,57 +578,103 @@ const PollutionPlotsDashboard = () => {
               <label className="block text-sm font-semibold text-slate-700 mb-2">
                 Time Range
               </label>
-              <select
+              <TimeRangePicker
                 value={timeRange}
-                onChange={(e) => setTimeRange(e.target.value)}
-                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-              >
-                <option value="24h">Last 24 Hours</option>
-                <option value="7d">Last 7 Days</option>
-                <option value="30d">Last 30 Days</option>
-              </select>
+                onChange={setTimeRange}
+                timeZone={timeZone}
+              />
             </div>
 
             {/* Refresh Button */}
-            <div className="flex items-end">
+            <div className="flex items-start md:pt-7">
               <button
-                onClick={() => fetchSensorReadings(selectedSensor)}
-                disabled={loading}
+                onClick={readingsQuery.refetch}
+                disabled={readingsQuery.fetching}
                 className="w-full px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:bg-gray-400 disabled:cursor-not-allowed flex items-center justify-center gap-2"
               >
                 <RefreshCw
-                  className={`w-4 h-4 ${loading ? "animate-spin" : ""}`}
+                  className={`w-4 h-4 ${readingsQuery.fetching ? "animate-spin" : ""}`}
                 />
-                {loading ? "Loading..." : "Refresh Data"}
+                {readingsQuery.fetching ? "Loading..." : "Refresh Data"}
               </button>
             </div>
           </div>
 
           {/* Display Toggles */}
-          <div className="mt-4 flex gap-4">
-            <label className="flex items-center gap-2 cursor-pointer">
-              <input
-                type="checkbox"
-                checked={showCO2}
-                onChange={(e) => setShowCO2(e.target.checked)}
-                className="w-4 h-4 text-blue-600 rounded focus:ring-2 focus:ring-blue-500"
+          <div className="mt-4 flex flex-wrap items-center gap-4">
+            {reportedMetrics.map((metric) => (
+              <label
+                key={metric.key}
+                className="flex items-center gap-2 cursor-pointer"
+              >
+                <input
+                  type="checkbox"
+                  checked={!hiddenMetrics.includes(metric.key)}
+                  onChange={() => toggleMetric(metric.key)}
+                  className="w-4 h-4 rounded focus:ring-2 focus:ring-blue-500"
+                  style={{ accentColor: metric.color }}
+                />
+                <span className="text-sm font-medium text-slate-700">
+                  Show {metric.label}
+                </span>
+              </label>
+            ))}
+
+            <div className="ml-auto flex items-center gap-3">
+              <TimeZoneSelect sensor={currentSensor} />
+              <ExportMenu
+                sensor={currentSensor}
+                timeRange={timeRange}
+                disabled={sensorReadings.length === 0}
               />
-              <span className="text-sm font-medium text-slate-700">
-                Show CO₂
-              </span>
-            </label>
-            <label className="flex items-center gap-2 cursor-pointer">
-              <input
-                type="checkbox"
-                checked={showTemp}
-                onChange={(e) => setShowTemp(e.target.checked)}
-                className="w-4 h-4 text-orange-600 rounded focus:ring-2 focus:ring-orange-500"
+              <LiveToggle
+                enabled={liveMode && liveAvailable}
+                disabled={!liveAvailable}
+                status={liveStatus}
+                onToggle={() => setLiveMode((prev) => !prev)}
               />
-              <span className="text-sm font-medium text-slate-700">
-                Show Temperature
-              </span>
-            </label>
+            </div>
           </div>
+
+          {/* Comparison Selection */}
+          {sensors.length > 1 && (
+            <div className="mt-4 pt-4 border-t border-gray-200 flex flex-wrap items-center gap-2">
+              <span className="text-sm font-semibold text-slate-700 mr-2">
+                Compare with:
+              </span>
+              {sensors
+                .filter((sensor) => sensor.id !== selectedSensor)
+                .map((sensor) => {
+                  // Position among the charted sensors, which fixes the
+                  // colour of its lines
+                  const index = comparedSensors.findIndex(
+                    (s) => s.id === sensor.id,
+                  );
+                  const selected = index !== -1;
+                  return (
+                    <button
+                      key={sensor.id}
+                      onClick={() => toggleCompare(sensor.id)}
+                      className={`px-3 py-1 rounded-full border text-sm transition-colors flex items-center gap-2 ${
+                        selected
+                          ? "border-slate-400 bg-slate-100 text-slate-800"
+                          : "border-gray-200 text-slate-600 hover:bg-slate-50"
+                      }`}
+                    >
+                      <span
+                        className="w-2.5 h-2.5 rounded-full"
+                        style={{
+                          backgroundColor: selected
+                            ? comparisonColor(index)
+                            : "#cbd5e1",
+                        }}
+                      />
+                      {sensor.name}
+                    </button>
+                  );
+                })}
+            </div>
+          )}
         </div>
 
         {/* Error Display */}
@@ -354,145 +688,201 @@ const PollutionPlotsDashboard = () => {
           </div>
         )}
 
+        {/* Current air quality of each shown sensor */}
+        {!loading &&
+          !error &&
+          comparedSensors.map((sensor) => {
+            const readings =
+              sensor.id === selectedSensor
+                ? sensorReadings
+                : comparisonReadings[sensor.id] || [];
+            return (
+              <AqiBanner
+                key={sensor.id}
+                sensor={sensor}
+                reading={readings[readings.length - 1]}
+                timeZone={timeZone}
+              />
+            );
+          })}
+
         {/* Statistics Cards */}
         {!loading && !error && sensorReadings.length > 0 && (
           <div className="grid md:grid-cols-4 gap-4 mb-6">
-            <StatCard
-              icon={Wind}
-              label="Avg CO₂"
-              value={`${stats.avgCO2} ppm`}
-              color="blue"
-            />
-            <StatCard
-              icon={TrendingUp}
-              label="Peak CO₂"
-              value={`${stats.maxCO2} ppm`}
-              color="red"
-            />
-            <StatCard
-              icon={Thermometer}
-              label="Avg Temperature"
-              value={`${stats.avgTemp} °C`}
-              color="orange"
-            />
+            {metricStats.map(({ metric, avg, max, aqi }) => (
+              <MetricStatCard
+                key={metric.key}
+                metric={metric}
+                avg={avg}
+                max={max}
+                aqi={aqi}
+              />
+            ))}
             <StatCard
               icon={Calendar}
               label="Total Readings"
-              value={stats.totalReadings}
+              value={sensorReadings.length}
               color="green"
             />
           </div>
         )}
 
-        {/* Charts */}
-        {!loading && !error && sensorReadings.length > 0 && (
+        {/* Comparison Charts */}
+        {!loading && !error && comparing && (
           <>
-            {/* CO2 Chart */}
-            {showCO2 && (
-              <div className="bg-white rounded-lg shadow-md p-6 mb-6">
-                <div className="flex items-center justify-between mb-4">
-                  <div className="flex items-center gap-3">
-                    <Wind className="w-6 h-6 text-blue-600" />
-                    <h2 className="text-xl font-bold text-slate-800">
-                      CO₂ Levels
-                    </h2>
-                  </div>
-                  <div className="flex items-center gap-2">
-                    <CheckCircle className="w-5 h-5 text-green-500" />
-                    <span className="text-sm text-slate-600">
-                      Blockchain Verified
-                    </span>
-                  </div>
-                </div>
-                <ResponsiveContainer width="100%" height={300}>
-                  <LineChart data={chartData}>
-                    <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" />
-                    <XAxis
-                      dataKey="timestamp"
-                      stroke="#64748b"
-                      style={{ fontSize: "12px" }}
-                    />
-                    <YAxis
-                      stroke="#64748b"
-                      style={{ fontSize: "12px" }}
-                      label={{
-                        value: "CO₂ (ppm)",
-                        angle: -90,
-                        position: "insideLeft",
-                      }}
-                    />
-                    <Tooltip content={<CustomTooltip />} />
-                    <Legend />
-                    <Line
-                      type="monotone"
-                      dataKey="co2"
-                      stroke="#3b82f6"
-                      strokeWidth={2}
-                      dot={false}
-                      name="CO₂"
-                      activeDot={{ r: 5 }}
-                    />
-                    <Brush dataKey="timestamp" height={30} stroke="#3b82f6" />
-                  </LineChart>
-                </ResponsiveContainer>
+            {shownMetrics.map((metric) => (
+              <ComparisonChart
+                key={metric.key}
+                metric={metric.key}
+                data={comparisonData}
+                sensors={comparedSensors}
+                bucketMs={bucketMs}
+                timeZone={timeZone}
+                hiddenSensors={hiddenSensors}
+                onToggleSensor={toggleHiddenSensor}
+              />
+            ))}
+          </>
+        )}
+
+        {/* Charts */}
+        {!loading && !error && !comparing && sensorReadings.length > 0 && (
+          <div ref={chartsRef}>
+            {chartBucketMs && (
+              <div className="bg-white rounded-lg shadow-md px-6 py-3 mb-6 flex items-center justify-between gap-4">
+                <p className="text-sm text-slate-600">
+                  Showing {bucketLabel(chartBucketMs)} means with min–max bands.
+                  Select a window with the brush to zoom in to full resolution.
+                </p>
+                <button
+                  onClick={zoomToSelection}
+                  disabled={!selection}
+                  className="px-3 py-1.5 border border-gray-300 text-slate-700 rounded-lg text-sm hover:bg-gray-50 transition-colors disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-2 flex-shrink-0"
+                >
+                  <ZoomIn className="w-4 h-4" />
+                  Zoom to selection
+                </button>
               </div>
             )}
 
-            {/* Temperature Chart */}
-            {showTemp && (
-              <div className="bg-white rounded-lg shadow-md p-6">
-                <div className="flex items-center justify-between mb-4">
-                  <div className="flex items-center gap-3">
-                    <Thermometer className="w-6 h-6 text-orange-600" />
-                    <h2 className="text-xl font-bold text-slate-800">
-                      Temperature
-                    </h2>
-                  </div>
-                  <div className="flex items-center gap-2">
-                    <CheckCircle className="w-5 h-5 text-green-500" />
-                    <span className="text-sm text-slate-600">
-                      Blockchain Verified
-                    </span>
+            {/* One chart per shown metric */}
+            <div className="space-y-6">
+              {shownMetrics.map((metric) => (
+                <div
+                  key={metric.key}
+                  className="bg-white rounded-lg shadow-md p-6"
+                >
+                  <div className="flex items-center justify-between mb-4">
+                    <div className="flex items-center gap-3">
+                      <MetricIcon metric={metric.key} />
+                      <h2 className="text-xl font-bold text-slate-800">
+                        {metric.label}
+                      </h2>
+                    </div>
+                    <ChainBadge counts={statusCounts} />
                   </div>
+                  <ResponsiveContainer width="100%" height={300}>
+                    <ComposedChart data={chartData}>
+                      <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" />
+                      <XAxis
+                        dataKey="time"
+                        type="number"
+                        scale="time"
+                        domain={["dataMin", "dataMax"]}
+                        ticks={axisTicks}
+                        tickFormatter={tickLabel}
+                        stroke="#64748b"
+                        style={{ fontSize: "12px" }}
+                      />
+                      <YAxis
+                        stroke="#64748b"
+                        style={{ fontSize: "12px" }}
+                        label={{
+                          value: metricTitle(metric.key),
+                          angle: -90,
+                          position: "insideLeft",
+                        }}
+                      />
+                      <Tooltip content={<CustomTooltip />} />
+                      <Legend />
+                      {/* Index categories shaded behind pollutants */}
+                      {categoryBands(aqiStandard, metric.key).map((band) => (
+                        <ReferenceArea
+                          key={band.category.key}
+                          y1={band.from}
+                          y2={band.to === Infinity ? undefined : band.to}
+                          fill={band.category.color}
+                          fillOpacity={0.08}
+                          ifOverflow="hidden"
+                        />
+                      ))}
+                      {chartBucketMs && (
+                        <Area
+                          type="monotone"
+                          dataKey={`${metric.key}Range`}
+                          stroke="none"
+                          fill={metric.color}
+                          fillOpacity={0.15}
+                          name={`${metric.label} range`}
+                          legendType="none"
+                          activeDot={false}
+                          connectNulls
+                        />
+                      )}
+                      <Line
+                        type="monotone"
+                        dataKey={metric.key}
+                        stroke={metric.color}
+                        strokeWidth={2}
+                        dot={renderStatusDot}
+                        name={metric.label}
+                        activeDot={{ r: 5 }}
+                        connectNulls
+                      />
+                      {renderAlertOverlays(metric.key)}
+                      <Brush
+                        dataKey="time"
+                        height={30}
+                        tickFormatter={tickLabel}
+                        stroke={metric.color}
+                        startIndex={selection?.startIndex}
+                        endIndex={selection?.endIndex}
+                        onDragEnd={setBrushWindow}
+                      />
+                    </ComposedChart>
+                  </ResponsiveContainer>
                 </div>
-                <ResponsiveContainer width="100%" height={300}>
-                  <LineChart data={chartData}>
-                    <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" />
-                    <XAxis
-                      dataKey="timestamp"
-                      stroke="#64748b"
-                      style={{ fontSize: "12px" }}
-                    />
-                    <YAxis
-                      stroke="#64748b"
-                      style={{ fontSize: "12px" }}
-                      label={{
-                        value: "Temperature (°C)",
-                        angle: -90,
-                        position: "insideLeft",
-                      }}
-                    />
-                    <Tooltip content={<CustomTooltip />} />
-                    <Legend />
-                    <Line
-                      type="monotone"
-                      dataKey="temperature"
-                      stroke="#f97316"
-                      strokeWidth={2}
-                      dot={false}
-                      name="Temperature"
-                      activeDot={{ r: 5 }}
-                    />
-                    <Brush dataKey="timestamp" height={30} stroke="#f97316" />
-                  </LineChart>
-                </ResponsiveContainer>
-              </div>
-            )}
-          </>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {/* Analysis */}
+        {!loading && !error && sensorReadings.length > 0 && (
+          <StatisticsPanel
+            stats={analysis.stats}
+            computing={analysis.computing}
+            error={analysis.error}
+          />
+        )}
+
+        {/* Alert Rules */}
+        {!loading && (
+          <div className="mt-6">
+            <AlertRulesPanel
+              key={selectedSensor}
+              rules={alertRules.rules}
+              storage={alertRules.storage}
+              error={alertRules.error}
+              breaches={breaches}
+              onAdd={alertRules.addRule}
+              onRemove={alertRules.removeRule}
+            />
+          </div>
         )}
 
         {/* Empty State */}
-        {!loading && !error && sensorReadings.length === 0 && (
+        {!loading && !error && !comparing && sensorReadings.length === 0 && (
           <div className="bg-white rounded-lg shadow-md p-12 text-center">
             <AlertCircle className="w-16 h-16 text-gray-400 mx-auto mb-4" />
             <h3 className="text-xl font-semibold text-slate-800 mb-2">
@@ -525,9 +915,10 @@ const PollutionPlotsDashboard = () => {
             <br />
             <strong>Last Updated:</strong>{" "}
             {sensorReadings.length > 0
-              ? new Date(
+              ? formatDateTime(
                   sensorReadings[sensorReadings.length - 1].timestamp,
-                ).toLocaleString()
+                  timeZone,
+                )
               : "N/A"}
           </p>
         </div>
@@ -536,6 +927,87 @@ const PollutionPlotsDashboard = () => {
   );
 };
 
+// Chain status and transaction of a chart point, for the tooltip
+const ChainStatusLine = ({ point }) => {
+  const status = CHAIN_STATUSES[point.status];
+  return (
+    <div className="mt-2 pt-2 border-t border-gray-100 text-xs">
+      <span className="font-semibold" style={{ color: status.color }}>
+        {status.text}
+      </span>
+      {point.txSignature && (
+        <p className="font-mono text-slate-500 max-w-xs break-all">
+          {point.txSignature}
+        </p>
+      )}
+    </div>
+  );
+};
+
+const LiveToggle = ({ enabled, disabled, status, onToggle }) => {
+  const statusDisplay = {
+    off: { dot: "bg-gray-400", text: "Live", className: "border-gray-300" },
+    connecting: {
+      dot: "bg-yellow-500 animate-pulse",
+      text: "Connecting...",
+      className: "border-yellow-300 bg-yellow-50 text-yellow-800",
+    },
+    live: {
+      dot: "bg-green-500 animate-pulse",
+      text: "Live",
+      className: "border-green-300 bg-green-50 text-green-800",
+    },
+    reconnecting: {
+      dot: "bg-orange-500 animate-pulse",
+      text: "Reconnecting...",
+      className: "border-orange-300 bg-orange-50 text-orange-800",
+    },
+  }[enabled ? status : "off"];
+
+  return (
+    <button
+      onClick={onToggle}
+      disabled={disabled}
+      title={
+        disabled
+          ? "Live updates are only available for ranges ending now"
+          : enabled
+            ? "Stop live updates"
+            : "Stream new readings as they arrive"
+      }
+      className={`px-3 py-1.5 rounded-lg border text-sm font-medium transition-colors flex items-center gap-2 hover:opacity-80 disabled:opacity-50 disabled:cursor-not-allowed ${statusDisplay.className}`}
+    >
+      <Radio className="w-4 h-4" />
+      <span className={`w-2 h-2 rounded-full ${statusDisplay.dot}`} />
+      {statusDisplay.text}
+    </button>
+  );
+};
+
+// Mean of a metric over the loaded range, with its peak underneath
+// and, for pollutants, the index category of the mean
+const MetricStatCard = ({ metric, avg, max, aqi }) => (
+  <div
+    className="bg-white border rounded-lg p-4"
+    style={{ borderColor: metric.color, color: metric.color }}
+  >
+    <div className="flex items-center gap-3 mb-2">
+      <MetricIcon metric={metric.key} className="w-5 h-5" />
+      <span className="text-sm font-semibold">Avg {metric.label}</span>
+    </div>
+    <p className="text-2xl font-bold">{formatMetric(avg, metric.key)}</p>
+    <p className="text-sm text-slate-600">
+      Peak {formatMetric(max, metric.key)}
+    </p>
+    {aqi && (
+      <div className="mt-2 flex items-center gap-2">
+        <span className="text-xs text-slate-500">Range average</span>
+        <AqiBadge aqi={aqi} />
+      </div>
+    )}
+  </div>
+);
+
 const StatCard = ({ icon: Icon, label, value, color }) => {
   const colorMap = {
     blue: "bg-blue-50 text-blue-700 border-blue-200",
@@ -1,252 +1,392 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useRef } from "react";
 import {
   Loader,
   AlertCircle,
+  AlertTriangle,
   ExternalLink,
   Shield,
-  CheckCircle,
-  XCircle,
   MapPin,
   Calendar,
   Activity,
   ChevronLeft,
   ChevronRight,
+  ArrowUp,
+  ArrowDown,
+  ArrowUpDown,
+  Plus,
+  Pencil,
+  Trash2,
+  X,
 } from "lucide-react";
-import { useAuth } from "../contexts/AuthContext";
+import { useNavigate, useParams, useSearchParams } from "react-router-dom";
+import { useApi } from "../hooks/useApi";
+import { useQuery } from "../hooks/useQuery";
+import { useSensors } from "../hooks/useSensors";
+import NotFoundPage from "./NotFoundPage";
+import SensorForm from "./SensorForm";
+import ExportMenu from "./ExportMenu";
+import AuditReportMenu from "./AuditReportMenu";
+import TimeRangePicker from "./TimeRangePicker";
+import TimeZoneSelect from "./TimeZoneSelect";
+import AqiBadge from "./AqiBadge";
+import { useTimeRange } from "../hooks/useTimeRange";
+import { timeRangeKey } from "../utils/timeRange";
+import {
+  PAGE_SIZES,
+  SORT_FIELDS,
+  fetchAllReadings,
+  fetchReadingsPage,
+} from "../api/readings";
+import { verifyReadings, verifyReadingOnChain } from "../api/verification";
+import { useSettings } from "../hooks/useSettings";
+import { explorerTxUrl, rpcUrlFor } from "../utils/chainConfig";
+import { describeMismatch } from "../utils/readingProof";
+import { getStatusDisplay } from "../utils/chainStatus";
+import { formatDate, formatTime, resolveTimeZone } from "../utils/timeFormat";
+import { useAlertRules } from "../hooks/useAlertRules";
+import { describeRule, violatedRules } from "../utils/alerts";
+import { METRICS, formatMetric, hasValue, metricTitle } from "../utils/metrics";
+import { computeAqi } from "../utils/aqi";
 
 const MySensorsPage = () => {
-  const { token, logout } = useAuth();
-  const [sensors, setSensors] = useState([]);
-  const [selectedSensor, setSelectedSensor] = useState(null);
-  const [readings, setSensorReadings] = useState([]);
-  const [sensorsLoading, setSensorsLoading] = useState(true);
-  const [readingsLoading, setReadingsLoading] = useState(false);
+  const api = useApi();
+  const {
+    sensors,
+    setSensors,
+    loading: sensorsLoading,
+    error: sensorsError,
+    refetch: refetchSensors,
+  } = useSensors();
+  const navigate = useNavigate();
+  const { sensorId } = useParams();
+  const [searchParams, setSearchParams] = useSearchParams();
+  // Verification results by reading id, kept across page changes, and when
+  // each one was obtained
+  const [verification, setVerification] = useState({});
+  const [verifiedAt, setVerifiedAt] = useState({});
   const [verifying, setVerifying] = useState(false);
-  const [error, setError] = useState(null);
+  // Counts of the running (or last) bulk verification
+  const [verifyProgress, setVerifyProgress] = useState(null);
+  const verifyControllerRef = useRef(null);
+  // "backend" trusts GET /verify/:id; "chain" checks each transaction
+  // through the Solana RPC endpoint instead
+  const [verifyMode, setVerifyMode] = useState("backend");
+  // Why readings failed the on-chain check, by reading id
+  const [proofDetails, setProofDetails] = useState({});
+  // Failed verifications and sensor changes; load errors come from the
+  // queries below
+  const [actionError, setActionError] = useState(null);
+  const [formMode, setFormMode] = useState(null); // null, 'create' or 'edit'
+  const { chainSettings, timeZoneMode, aqiStandard } = useSettings();
+
+  // Selected sensor, time range, page and sort order live in the URL
+  // (/sensors/:sensorId?range=30d&page=3&size=25&sort=co2&order=asc)
+  const selectedSensor = sensorId ? Number(sensorId) : null;
+  const [timeRange, setTimeRange] = useTimeRange("30d");
+  const rangeKey = timeRangeKey(timeRange);
+  const requestedPage = Math.max(1, Number(searchParams.get("page")) || 1);
+  const readingsPerPage = PAGE_SIZES.includes(Number(searchParams.get("size")))
+    ? Number(searchParams.get("size"))
+    : PAGE_SIZES[0];
+  const sortField = SORT_FIELDS.includes(searchParams.get("sort"))
+    ? searchParams.get("sort")
+    : "timestamp";
+  const sortOrder = searchParams.get("order") === "asc" ? "asc" : "desc";
+  const { rules: alertRules } = useAlertRules(selectedSensor);
+
+  // The visible page, cached per sensor, range, page and sort order so going
+  // back to a page shows it at once while it is revalidated
+  const readingsQuery = useQuery(
+    [
+      "readingsPage",
+      selectedSensor,
+      rangeKey,
+      requestedPage,
+      readingsPerPage,
+      sortField,
+      sortOrder,
+    ],
+    ({ signal }) =>
+      fetchReadingsPage(api, selectedSensor, {
+        timeRange,
+        signal,
+        page: requestedPage,
+        pageSize: readingsPerPage,
+        sort: sortField,
+        order: sortOrder,
+      }),
+    { enabled: !!selectedSensor },
+  );
+  const readings = readingsQuery.data?.readings ?? []; // current page only
+  const totalReadings = readingsQuery.data?.total ?? 0;
+  const readingsLoading = readingsQuery.loading;
+  // A column per metric the page reports, plus the sorted one so it doesn't
+  // vanish on a page where every reading lacks it
+  const tableMetrics = METRICS.filter(
+    (metric) =>
+      metric.key === sortField ||
+      readings.some((reading) => hasValue(reading, metric.key)),
+  );
+  // Index column, when the page has readings the selected standard can rate
+  const showAqi = readings.some((reading) => computeAqi(reading, aqiStandard));
+  const error =
+    actionError ??
+    sensorsError?.message ??
+    readingsQuery.error?.message ??
+    null;
+
+  // Switching sensors keeps the time range but drops the page param, so the
+  // new sensor starts from page 1
+  const sensorPath = (id) => {
+    const next = new URLSearchParams(searchParams);
+    next.delete("page");
+    const search = next.toString();
+    return `/sensors${id ? `/${id}` : ""}${search ? `?${search}` : ""}`;
+  };
 
-  // Pagination state
-  const [currentPage, setCurrentPage] = useState(1);
-  const readingsPerPage = 10;
+  const setSelectedSensor = (id) => {
+    navigate(sensorPath(id));
+  };
 
-  // Fetch user's sensors on mount
-  useEffect(() => {
-    const fetchSensors = async () => {
-      setSensorsLoading(true);
-      setError(null);
-
-      try {
-        const response = await fetch("https://localhost:3000/sensors", {
-          headers: {
-            Authorization: `Bearer ${token}`,
-          },
-        });
-
-        const data = await response.json();
-
-        switch (response.status) {
-          case 200:
-            setSensors(data.body);
-            if (data.body.length > 0) {
-              setSelectedSensor(data.body[0].id);
-            }
-            break;
-
-          case 401:
-            setError("Session expired. Please log in again.");
-            setTimeout(() => logout(), 2000);
-            break;
-
-          case 500:
-            setError(data.error_msg || "Server error. Please try again later.");
-            break;
-
-          default:
-            setError(
-              `Error: ${response.status} - ${data.error_msg || "Unknown error"}`,
-            );
-        }
-      } catch (err) {
-        setError(err.message);
-      } finally {
-        setSensorsLoading(false);
+  const setCurrentPage = (page) => {
+    setSearchParams((prev) => {
+      const next = new URLSearchParams(prev);
+      if (page > 1) {
+        next.set("page", page);
+      } else {
+        next.delete("page");
       }
-    };
-
-    fetchSensors();
-  }, [token, logout]);
+      return next;
+    });
+  };
 
-  // Fetch readings when sensor changes
-  useEffect(() => {
-    if (selectedSensor) {
-      fetchReadings(selectedSensor);
-      setCurrentPage(1); // Reset to first page when changing sensors
-    }
-  }, [selectedSensor]);
+  // Changing page size or sort order goes back to the first page
+  const setPageSize = (size) => {
+    setSearchParams((prev) => {
+      const next = new URLSearchParams(prev);
+      next.set("size", size);
+      next.delete("page");
+      return next;
+    });
+  };
 
-  const fetchReadings = async (sensorId) => {
-    setReadingsLoading(true);
-    setError(null);
+  // Clicking the sorted column flips its order; a new column starts with the
+  // largest/newest values first
+  const toggleSort = (field) => {
+    setSearchParams((prev) => {
+      const next = new URLSearchParams(prev);
+      next.set("sort", field);
+      next.set(
+        "order",
+        field === sortField && sortOrder === "desc" ? "asc" : "desc",
+      );
+      next.delete("page");
+      return next;
+    });
+  };
 
-    try {
-      const response = await fetch(
-        `https://localhost:3000/sensors/${sensorId}/readings?range=30d`,
+  // Auto-select first sensor when the URL doesn't name one
+  useEffect(() => {
+    if (!sensorId && sensors.length > 0) {
+      navigate(
         {
-          headers: {
-            Authorization: `Bearer ${token}`,
-          },
+          pathname: `/sensors/${sensors[0].id}`,
+          search: searchParams.toString(),
         },
+        { replace: true },
       );
+    }
+  }, [sensorId, sensors, searchParams, navigate]);
 
-      const data = await response.json();
-
-      switch (response.status) {
-        case 200:
-          setSensorReadings(data.body);
-          break;
+  // A page past the end (e.g. after the range shrank) jumps to the last one
+  useEffect(() => {
+    const lastPage = Math.ceil(totalReadings / readingsPerPage);
+    if (!readingsLoading && lastPage > 0 && requestedPage > lastPage) {
+      setSearchParams(
+        (prev) => {
+          const next = new URLSearchParams(prev);
+          next.set("page", lastPage);
+          return next;
+        },
+        { replace: true },
+      );
+    }
+  }, [
+    readingsLoading,
+    totalReadings,
+    readingsPerPage,
+    requestedPage,
+    setSearchParams,
+  ]);
+
+  // A running bulk verification is cancelled when the sensor or range
+  // changes, and on unmount. Page changes don't interrupt it.
+  useEffect(() => {
+    setVerifyProgress(null);
+    return () => verifyControllerRef.current?.abort();
+  }, [selectedSensor, rangeKey]);
 
-        case 401:
-          setError("Session expired. Please log in again.");
-          setTimeout(() => logout(), 2000);
-          break;
+  // Verifies every on-chain reading of the sensor in the selected range, not
+  // just the visible page
+  const verifyAllReadings = async () => {
+    const controller = new AbortController();
+    verifyControllerRef.current = controller;
+    setVerifying(true);
+    setActionError(null);
+    setVerifyProgress(null);
 
-        case 403:
-          setError(
-            data.error_msg ||
-              "You do not have permission to access this resource",
+    try {
+      const all = await fetchAllReadings(api, selectedSensor, {
+        timeRange,
+        signal: controller.signal,
+      });
+      const onChain = all.filter((r) => r.tx_signature);
+
+      // Reset their status to "On Chain" (undefined) until re-verified
+      const withoutOnChain = (prev) => {
+        const next = { ...prev };
+        onChain.forEach((r) => delete next[r.id]);
+        return next;
+      };
+      setVerification(withoutOnChain);
+      setProofDetails(withoutOnChain);
+      setVerifyProgress({
+        total: onChain.length,
+        verified: 0,
+        invalid: 0,
+        failed: 0,
+      });
+
+      await verifyReadings(api, onChain, {
+        signal: controller.signal,
+        verify:
+          verifyMode === "chain"
+            ? (reading, options) =>
+                verifyReadingOnChain(reading, {
+                  ...options,
+                  rpcUrl: rpcUrlFor(chainSettings),
+                })
+            : undefined,
+        onResult: (reading, result) => {
+          // On-chain checks resolve to { verified, mismatches, error }
+          const verified =
+            result !== null && typeof result === "object"
+              ? result.verified
+              : result;
+          if (verified !== null) {
+            setVerification((prev) => ({ ...prev, [reading.id]: verified }));
+            setVerifiedAt((prev) => ({ ...prev, [reading.id]: Date.now() }));
+          }
+          if (verified === false && typeof result === "object") {
+            setProofDetails((prev) => ({ ...prev, [reading.id]: result }));
+          }
+          const counter =
+            verified === null ? "failed" : verified ? "verified" : "invalid";
+          setVerifyProgress(
+            (prev) => prev && { ...prev, [counter]: prev[counter] + 1 },
           );
-          break;
+        },
+      });
+    } catch (err) {
+      if (err.name === "AbortError") {
+        setVerifyProgress((prev) => prev && { ...prev, cancelled: true });
+      } else {
+        setActionError("Verification failed: " + err.message);
+      }
+    } finally {
+      if (verifyControllerRef.current === controller) {
+        verifyControllerRef.current = null;
+        setVerifying(false);
+      }
+    }
+  };
 
-        case 409:
-          setError(data.error_msg || "Resource already exists");
-          break;
+  const cancelVerification = () => {
+    verifyControllerRef.current?.abort();
+  };
 
-        case 500:
-          setError(data.error_msg || "Server error. Please try again later.");
-          break;
+  // Sensor management. Each change is applied to the list immediately and
+  // rolled back if the backend rejects it.
+  const createSensor = async (payload) => {
+    const tempId = `temp-${Date.now()}`;
+    setSensors((prev) => [...prev, { ...payload, id: tempId, pending: true }]);
 
-        default:
-          setError(
-            `Error: ${response.status} - ${data.error_msg || "Unknown error"}`,
-          );
+    try {
+      const created = await api.post("/sensors", payload);
+      setFormMode(null);
+      // Backends that don't echo the new sensor: reload the list to get it
+      if (created?.id === undefined || created?.id === null) {
+        setSensors((prev) => prev.filter((s) => s.id !== tempId));
+        refetchSensors();
+        return;
       }
+      setSensors((prev) =>
+        prev.map((s) => (s.id === tempId ? { ...payload, ...created } : s)),
+      );
+      navigate(sensorPath(created.id));
     } catch (err) {
-      setError(err.message);
-    } finally {
-      setReadingsLoading(false);
+      setSensors((prev) => prev.filter((s) => s.id !== tempId));
+      throw err;
     }
   };
 
-  const verifyAllReadings = async () => {
-    setVerifying(true);
-    setError(null);
-
-    // Reset verification status for current page to "On Chain" (undefined)
-    setSensorReadings((prevReadings) =>
-      prevReadings.map((r) => {
-        const isOnCurrentPage = currentReadings.some((cr) => cr.id === r.id);
-        return isOnCurrentPage && r.tx_signature
-          ? { ...r, verified: undefined } // Reset to "On Chain"
-          : r;
-      }),
-    );
+  const updateSensor = async (payload) => {
+    const previous = sensors.find((s) => s.id === selectedSensor);
+    const replaceSensor = (sensor) =>
+      setSensors((prev) => prev.map((s) => (s.id === sensor.id ? sensor : s)));
 
-    // Small delay to show the reset
-    await new Promise((resolve) => setTimeout(resolve, 100));
+    replaceSensor({ ...previous, ...payload, pending: true });
 
     try {
-      // Only verify readings on the CURRENT PAGE
-      for (const reading of currentReadings) {
-        if (!reading.tx_signature) continue;
-
-        try {
-          const response = await fetch(
-            `https://localhost:3000/verify/${reading.id}`,
-            {
-              method: "GET",
-              headers: { Authorization: `Bearer ${token}` },
-            },
-          );
+      const updated = await api.patch(`/sensors/${previous.id}`, payload);
+      replaceSensor({ ...previous, ...payload, ...updated });
+      setFormMode(null);
+    } catch (err) {
+      replaceSensor(previous);
+      throw err;
+    }
+  };
 
-          const data = await response.json();
-
-          switch (response.status) {
-            case 200:
-              setSensorReadings((prevReadings) =>
-                prevReadings.map((r) =>
-                  r.id === reading.id
-                    ? { ...r, verified: data.body.verification }
-                    : r,
-                ),
-              );
-              break;
-
-            case 401:
-              setError("Session expired. Please log in again.");
-              setTimeout(() => logout(), 2000);
-              return; // Stop verification
-
-            case 404:
-              console.warn(`Reading ${reading.id} not found`);
-              setSensorReadings((prevReadings) =>
-                prevReadings.map((r) =>
-                  r.id === reading.id ? { ...r, verified: false } : r,
-                ),
-              );
-              break;
-
-            case 500:
-              console.error(`Server error verifying reading ${reading.id}`);
-              setSensorReadings((prevReadings) =>
-                prevReadings.map((r) =>
-                  r.id === reading.id ? { ...r, verified: false } : r,
-                ),
-              );
-              break;
-
-            default:
-              console.error(
-                `Unexpected error (${response.status}) verifying reading ${reading.id}`,
-              );
-              setSensorReadings((prevReadings) =>
-                prevReadings.map((r) =>
-                  r.id === reading.id ? { ...r, verified: false } : r,
-                ),
-              );
-          }
-        } catch (err) {
-          console.error(`Verification failed for reading ${reading.id}:`, err);
-          setSensorReadings((prevReadings) =>
-            prevReadings.map((r) =>
-              r.id === reading.id ? { ...r, verified: false } : r,
-            ),
-          );
-        }
+  const decommissionSensor = async (sensor) => {
+    if (
+      !window.confirm(
+        `Decommission "${sensor.name}"? It will stop appearing in your sensors.`,
+      )
+    ) {
+      return;
+    }
 
-        // Small delay between each request
-        await new Promise((resolve) => setTimeout(resolve, 200));
-      }
+    const index = sensors.findIndex((s) => s.id === sensor.id);
+    setActionError(null);
+    setFormMode(null);
+    setSensors((prev) => prev.filter((s) => s.id !== sensor.id));
+    navigate(sensorPath(null), { replace: true });
+
+    try {
+      await api.delete(`/sensors/${sensor.id}`);
     } catch (err) {
-      setError("Verification failed: " + err.message);
-    } finally {
-      setVerifying(false);
+      setSensors((prev) => [
+        ...prev.slice(0, index),
+        sensor,
+        ...prev.slice(index),
+      ]);
+      navigate(sensorPath(sensor.id), { replace: true });
+      setActionError(`Could not decommission "${sensor.name}": ${err.message}`);
     }
   };
 
-  // Pagination logic
-  const totalPages = Math.ceil(readings.length / readingsPerPage);
-  const indexOfLastReading = currentPage * readingsPerPage;
-  const indexOfFirstReading = indexOfLastReading - readingsPerPage;
-  const currentReadings = readings.slice(
-    indexOfFirstReading,
-    indexOfLastReading,
-  );
+  // Pagination logic (the server returns only the current page)
+  const totalPages = Math.ceil(totalReadings / readingsPerPage);
+  const currentPage = requestedPage;
+  const indexOfFirstReading = (currentPage - 1) * readingsPerPage;
+  const indexOfLastReading = indexOfFirstReading + readings.length;
 
   const goToNextPage = () => {
-    setCurrentPage((prev) => Math.min(prev + 1, totalPages));
+    setCurrentPage(Math.min(currentPage + 1, totalPages));
   };
 
   const goToPrevPage = () => {
-    setCurrentPage((prev) => Math.max(prev - 1, 1));
+    setCurrentPage(Math.max(currentPage - 1, 1));
   };
 
   const goToPage = (pageNumber) => {
@@ -254,6 +394,18 @@ const MySensorsPage = () => {
   };
 
   const currentSensor = sensors.find((s) => s.id === selectedSensor);
+  const timeZone = resolveTimeZone(timeZoneMode, currentSensor);
+
+  if (!sensorsLoading && selectedSensor && !currentSensor) {
+    return (
+      <NotFoundPage
+        title="Sensor Not Found"
+        message={`Sensor ${sensorId} doesn't exist or isn't assigned to your account.`}
+        backTo="/sensors"
+        backLabel="Back to My Sensors"
+      />
+    );
+  }
 
   if (sensorsLoading) {
     return (
@@ -268,7 +420,7 @@ const MySensorsPage = () => {
     );
   }
 
-  if (sensors.length === 0) {
+  if (sensors.length === 0 && !formMode) {
     return (
       <div className="min-h-screen bg-gradient-to-br from-slate-50 to-slate-100 p-6 flex items-center justify-center">
         <div className="bg-white rounded-lg shadow-xl p-8 max-w-md text-center">
@@ -276,9 +428,16 @@ const MySensorsPage = () => {
           <h2 className="text-2xl font-bold text-slate-800 mb-2">
             No Sensors Found
           </h2>
-          <p className="text-slate-600">
+          <p className="text-slate-600 mb-6">
             You don't have any sensors registered yet.
           </p>
+          <button
+            onClick={() => setFormMode("create")}
+            className="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors inline-flex items-center gap-2"
+          >
+            <Plus className="w-4 h-4" />
+            Add Sensor
+          </button>
         </div>
       </div>
     );
@@ -297,23 +456,49 @@ const MySensorsPage = () => {
         <div className="grid lg:grid-cols-3 gap-6">
           <div className="lg:col-span-1">
             <div className="bg-white rounded-lg shadow-md p-6">
-              <h2 className="text-xl font-bold text-slate-800 mb-4 flex items-center gap-2">
-                <Activity className="w-5 h-5 text-blue-600" />
-                Your Sensors
-              </h2>
+              <div className="flex items-center justify-between mb-4">
+                <h2 className="text-xl font-bold text-slate-800 flex items-center gap-2">
+                  <Activity className="w-5 h-5 text-blue-600" />
+                  Your Sensors
+                </h2>
+                {!formMode && (
+                  <button
+                    onClick={() => setFormMode("create")}
+                    className="px-3 py-1.5 bg-blue-600 text-white text-sm rounded-lg hover:bg-blue-700 transition-colors flex items-center gap-1"
+                  >
+                    <Plus className="w-4 h-4" />
+                    Add
+                  </button>
+                )}
+              </div>
               <div className="space-y-3">
+                {formMode && (
+                  <SensorForm
+                    key={formMode === "edit" ? selectedSensor : "new"}
+                    sensor={formMode === "edit" ? currentSensor : null}
+                    onSubmit={formMode === "edit" ? updateSensor : createSensor}
+                    onCancel={() => setFormMode(null)}
+                  />
+                )}
                 {sensors.map((sensor) => (
                   <button
                     key={sensor.id}
-                    onClick={() => setSelectedSensor(sensor.id)}
-                    className={`w-full text-left p-4 rounded-lg border-2 transition-all ${
+                    onClick={() => {
+                      setFormMode(null);
+                      setSelectedSensor(sensor.id);
+                    }}
+                    disabled={sensor.pending}
+                    className={`w-full text-left p-4 rounded-lg border-2 transition-all disabled:opacity-60 ${
                       selectedSensor === sensor.id
                         ? "border-blue-500 bg-blue-50"
                         : "border-gray-200 hover:border-blue-300 bg-white"
                     }`}
                   >
-                    <div className="font-semibold text-slate-800">
+                    <div className="font-semibold text-slate-800 flex items-center gap-2">
                       {sensor.name}
+                      {sensor.pending && (
+                        <Loader className="w-3 h-3 text-blue-500 animate-spin" />
+                      )}
                     </div>
                     <div className="text-sm text-slate-600 flex items-center gap-1 mt-1">
                       <MapPin className="w-3 h-3" />
@@ -334,25 +519,73 @@ const MySensorsPage = () => {
                       {currentSensor.name}
                     </h2>
 
-                    {readings.length > 0 && (
+                    <div className="flex items-center gap-2">
                       <button
-                        onClick={verifyAllReadings}
-                        disabled={verifying}
-                        className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:bg-gray-400 disabled:cursor-not-allowed flex items-center gap-2"
+                        onClick={() => setFormMode("edit")}
+                        disabled={!!formMode || currentSensor.pending}
+                        title="Rename or move sensor"
+                        className="p-2 rounded-lg border border-gray-300 text-slate-600 hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
                       >
-                        {verifying ? (
-                          <>
-                            <Loader className="w-4 h-4 animate-spin" />
-                            Verifying Page...
-                          </>
-                        ) : (
+                        <Pencil className="w-4 h-4" />
+                      </button>
+                      <button
+                        onClick={() => decommissionSensor(currentSensor)}
+                        disabled={currentSensor.pending}
+                        title="Decommission sensor"
+                        className="p-2 rounded-lg border border-red-200 text-red-600 hover:bg-red-50 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                      >
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+
+                      <ExportMenu
+                        sensor={currentSensor}
+                        timeRange={timeRange}
+                        verification={verification}
+                        disabled={currentSensor.pending || totalReadings === 0}
+                      />
+                      <AuditReportMenu
+                        sensor={currentSensor}
+                        timeRange={timeRange}
+                        verification={verification}
+                        verifiedAt={verifiedAt}
+                        disabled={
+                          verifying ||
+                          currentSensor.pending ||
+                          totalReadings === 0
+                        }
+                      />
+
+                      {verifying ? (
+                        <button
+                          onClick={cancelVerification}
+                          className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 transition-colors flex items-center gap-2"
+                        >
+                          <X className="w-4 h-4" />
+                          Cancel
+                        </button>
+                      ) : (
+                        totalReadings > 0 && (
                           <>
-                            <Shield className="w-4 h-4" />
-                            Verify Page
+                            <select
+                              value={verifyMode}
+                              onChange={(e) => setVerifyMode(e.target.value)}
+                              title="Backend trusts the server's answer; On-chain checks each transaction through the Solana RPC endpoint"
+                              className="px-2 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                            >
+                              <option value="backend">Backend</option>
+                              <option value="chain">On-chain (RPC)</option>
+                            </select>
+                            <button
+                              onClick={verifyAllReadings}
+                              className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors flex items-center gap-2"
+                            >
+                              <Shield className="w-4 h-4" />
+                              Verify All
+                            </button>
                           </>
-                        )}
-                      </button>
-                    )}
+                        )
+                      )}
+                    </div>
                   </div>
 
                   <div className="flex items-center gap-4 text-sm text-slate-600">
@@ -362,9 +595,29 @@ const MySensorsPage = () => {
                     </span>
                     <span className="flex items-center gap-1">
                       <Calendar className="w-4 h-4" />
-                      {readings.length} total readings
+                      {totalReadings} total readings
                     </span>
                   </div>
+
+                  <div className="mt-4 flex flex-wrap items-start gap-4">
+                    <div className="max-w-md flex-1">
+                      <TimeRangePicker
+                        value={timeRange}
+                        onChange={(range) =>
+                          setTimeRange(range, { resetPage: true })
+                        }
+                        timeZone={timeZone}
+                      />
+                    </div>
+                    <TimeZoneSelect sensor={currentSensor} />
+                  </div>
+
+                  {(verifying || verifyProgress) && (
+                    <VerificationProgress
+                      progress={verifyProgress}
+                      running={verifying}
+                    />
+                  )}
                 </div>
 
                 {error && (
@@ -387,35 +640,88 @@ const MySensorsPage = () => {
                       <table className="w-full">
                         <thead className="bg-slate-50 border-b border-gray-200">
                           <tr>
-                            <th className="px-6 py-3 text-left text-xs font-semibold text-slate-700 uppercase tracking-wider">
-                              Timestamp
-                            </th>
-                            <th className="px-6 py-3 text-left text-xs font-semibold text-slate-700 uppercase tracking-wider">
-                              CO₂ (ppm)
-                            </th>
-                            <th className="px-6 py-3 text-left text-xs font-semibold text-slate-700 uppercase tracking-wider">
-                              Temp (°C)
-                            </th>
-                            <th className="px-6 py-3 text-left text-xs font-semibold text-slate-700 uppercase tracking-wider">
-                              Blockchain
-                            </th>
+                            <SortableHeader
+                              field="timestamp"
+                              label="Timestamp"
+                              sortField={sortField}
+                              sortOrder={sortOrder}
+                              onSort={toggleSort}
+                            />
+                            {tableMetrics.map((metric) => (
+                              <SortableHeader
+                                key={metric.key}
+                                field={metric.key}
+                                label={metricTitle(metric.key)}
+                                sortField={sortField}
+                                sortOrder={sortOrder}
+                                onSort={toggleSort}
+                              />
+                            ))}
+                            {showAqi && (
+                              <th className="px-6 py-3 text-left text-xs font-semibold text-slate-700 uppercase tracking-wider">
+                                Air quality
+                              </th>
+                            )}
+                            <SortableHeader
+                              field="status"
+                              label="Blockchain"
+                              sortField={sortField}
+                              sortOrder={sortOrder}
+                              onSort={toggleSort}
+                            />
                           </tr>
                         </thead>
                         <tbody className="divide-y divide-gray-200">
-                          {currentReadings.map((reading) => (
-                            <ReadingRow key={reading.id} reading={reading} />
+                          {readings.map((reading) => (
+                            <ReadingRow
+                              key={reading.id}
+                              reading={
+                                reading.id in verification
+                                  ? {
+                                      ...reading,
+                                      verified: verification[reading.id],
+                                    }
+                                  : reading
+                              }
+                              metrics={tableMetrics}
+                              aqi={
+                                showAqi
+                                  ? computeAqi(reading, aqiStandard)
+                                  : undefined
+                              }
+                              violations={violatedRules(reading, alertRules)}
+                              proof={proofDetails[reading.id]}
+                              timeZone={timeZone}
+                            />
                           ))}
                         </tbody>
                       </table>
                     </div>
 
-                    {totalPages > 1 && (
-                      <div className="px-6 py-4 border-t border-gray-200 flex items-center justify-between">
-                        <div className="text-sm text-slate-600">
-                          Showing {indexOfFirstReading + 1}-
-                          {Math.min(indexOfLastReading, readings.length)} of{" "}
-                          {readings.length} readings
-                        </div>
+                    <div className="px-6 py-4 border-t border-gray-200 flex items-center justify-between">
+                      <div className="text-sm text-slate-600 flex items-center gap-4">
+                        <span>
+                          Showing {indexOfFirstReading + 1}-{indexOfLastReading}{" "}
+                          of {totalReadings} readings
+                        </span>
+                        <label className="flex items-center gap-2">
+                          Per page
+                          <select
+                            value={readingsPerPage}
+                            onChange={(e) =>
+                              setPageSize(Number(e.target.value))
+                            }
+                            className="px-2 py-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                          >
+                            {PAGE_SIZES.map((size) => (
+                              <option key={size} value={size}>
+                                {size}
+                              </option>
+                            ))}
+                          </select>
+                        </label>
+                      </div>
+                      {totalPages > 1 && (
                         <div className="flex items-center gap-2">
                           <button
                             onClick={goToPrevPage}
@@ -469,8 +775,8 @@ const MySensorsPage = () => {
                             <ChevronRight className="w-5 h-5" />
                           </button>
                         </div>
-                      </div>
-                    )}
+                      )}
+                    </div>
                   </>
                 )}
 
@@ -491,69 +797,154 @@ const MySensorsPage = () => {
   );
 };
 
-const ReadingRow = ({ reading }) => {
-  const hasBlockchainProof =
-    reading.tx_signature && reading.tx_signature.trim() !== "";
+const SortableHeader = ({ field, label, sortField, sortOrder, onSort }) => {
+  const active = field === sortField;
+  const SortIcon = !active
+    ? ArrowUpDown
+    : sortOrder === "asc"
+      ? ArrowUp
+      : ArrowDown;
 
-  const getStatusDisplay = () => {
-    if (!hasBlockchainProof) {
-      return {
-        className: "bg-yellow-50 text-yellow-700 border border-yellow-200",
-        icon: Shield,
-        text: "Pending",
-      };
-    }
+  return (
+    <th
+      aria-sort={
+        active ? (sortOrder === "asc" ? "ascending" : "descending") : "none"
+      }
+      className="px-6 py-3 text-left text-xs font-semibold text-slate-700 uppercase tracking-wider"
+    >
+      <button
+        onClick={() => onSort(field)}
+        className={`inline-flex items-center gap-1 uppercase tracking-wider hover:text-blue-700 transition-colors ${
+          active ? "text-blue-700" : ""
+        }`}
+      >
+        {label}
+        <SortIcon className={`w-3 h-3 ${active ? "" : "opacity-40"}`} />
+      </button>
+    </th>
+  );
+};
 
-    if (reading.verified === undefined) {
-      return {
-        className: "bg-blue-50 text-blue-700 border border-blue-200",
-        icon: Shield,
-        text: "On Chain",
-      };
-    }
+// Progress bar and counts of a bulk verification. `progress` is null while
+// the readings to verify are still being fetched.
+const VerificationProgress = ({ progress, running }) => {
+  if (!progress) {
+    return (
+      <div className="mt-4 flex items-center gap-2 text-sm text-slate-600">
+        <Loader className="w-4 h-4 animate-spin" />
+        Collecting on-chain readings...
+      </div>
+    );
+  }
 
-    if (reading.verified === true) {
-      return {
-        className: "bg-green-50 text-green-700 border border-green-200",
-        icon: CheckCircle,
-        text: "Verified",
-      };
-    }
+  const { total, verified, invalid, failed, cancelled } = progress;
+  const done = verified + invalid + failed;
+  const percent = total > 0 ? Math.round((done / total) * 100) : 100;
 
-    return {
-      className: "bg-red-50 text-red-700 border border-red-200",
-      icon: XCircle,
-      text: "Invalid",
-    };
-  };
+  let label = `Verifying ${done} of ${total}...`;
+  if (cancelled) label = `Cancelled after ${done} of ${total}`;
+  else if (!running) label = `Verified ${done} of ${total}`;
+
+  return (
+    <div className="mt-4">
+      <div className="flex items-center justify-between text-sm mb-1">
+        <span className="font-medium text-slate-700">{label}</span>
+        <span className="flex items-center gap-3">
+          <span className="text-green-700">{verified} verified</span>
+          <span className="text-red-700">{invalid} invalid</span>
+          <span className="text-slate-500">{failed} failed</span>
+        </span>
+      </div>
+      <div className="h-2 bg-gray-200 rounded-full overflow-hidden">
+        <div
+          className={`h-full transition-all ${
+            cancelled ? "bg-gray-400" : "bg-blue-600"
+          }`}
+          style={{ width: `${percent}%` }}
+        />
+      </div>
+    </div>
+  );
+};
+
+// Reading value, flagged when it violates one of the sensor's alert rules.
+// Readings that lack the metric show a dash.
+const MetricCell = ({ value, metric, violations }) => {
+  if (violations.length === 0) {
+    return (
+      <td className="px-6 py-4 whitespace-nowrap">
+        <span
+          className={`text-sm font-semibold ${
+            typeof value === "number" ? "text-slate-800" : "text-slate-400"
+          }`}
+        >
+          {formatMetric(value, metric, { unit: false })}
+        </span>
+      </td>
+    );
+  }
+
+  return (
+    <td className="px-6 py-4 whitespace-nowrap">
+      <span
+        title={violations.map(describeRule).join("\n")}
+        className="inline-flex items-center gap-1 text-sm font-semibold text-red-700"
+      >
+        <AlertTriangle className="w-4 h-4" />
+        {formatMetric(value, metric, { unit: false })}
+      </span>
+    </td>
+  );
+};
 
-  const status = getStatusDisplay();
+// `aqi` is the reading's index (null when it can't be rated), or undefined
+// when the table has no index column
+const ReadingRow = ({
+  reading,
+  metrics,
+  aqi,
+  violations = [],
+  proof,
+  timeZone,
+}) => {
+  const { chainSettings } = useSettings();
+  const hasBlockchainProof =
+    reading.tx_signature && reading.tx_signature.trim() !== "";
+
+  const status = getStatusDisplay(reading);
   const StatusIcon = status.icon;
 
   return (
     <tr className="hover:bg-slate-50 transition-colors">
       <td className="px-6 py-4 whitespace-nowrap">
         <div className="text-sm font-medium text-slate-800">
-          {new Date(reading.timestamp).toLocaleDateString()}
+          {formatDate(reading.timestamp, timeZone)}
         </div>
         <div className="text-xs text-slate-500">
-          {new Date(reading.timestamp).toLocaleTimeString()}
+          {formatTime(reading.timestamp, timeZone)}
         </div>
       </td>
-      <td className="px-6 py-4 whitespace-nowrap">
-        <span className="text-sm font-semibold text-slate-800">
-          {reading.co2.toFixed(2)}
-        </span>
-      </td>
-      <td className="px-6 py-4 whitespace-nowrap">
-        <span className="text-sm font-semibold text-slate-800">
-          {reading.temperature.toFixed(2)}
-        </span>
-      </td>
+      {metrics.map(({ key }) => (
+        <MetricCell
+          key={key}
+          value={reading[key]}
+          metric={key}
+          violations={violations.filter((rule) => rule.metric === key)}
+        />
+      ))}
+      {aqi !== undefined && (
+        <td className="px-6 py-4 whitespace-nowrap">
+          {aqi ? (
+            <AqiBadge aqi={aqi} />
+          ) : (
+            <span className="text-sm text-slate-400">–</span>
+          )}
+        </td>
+      )}
       <td className="px-6 py-4">
         {hasBlockchainProof ? (
           <a
-            href={`https://explorer.solana.com/tx/${reading.tx_signature}?cluster=devnet`}
+            href={explorerTxUrl(reading.tx_signature, chainSettings)}
             target="_blank"
             rel="noopener noreferrer"
             className={`inline-flex items-center gap-2 px-3 py-1.5 rounded-lg hover:opacity-80 transition-all text-sm font-medium ${status.className}`}
@@ -570,6 +961,16 @@ const ReadingRow = ({ reading }) => {
             {status.text}
           </span>
         )}
+        {proof && (
+          <div className="mt-1 text-xs text-red-700 space-y-0.5">
+            {proof.error && <div>{proof.error}</div>}
+            {proof.mismatches.map((mismatch) => (
+              <div key={mismatch.field} className="break-all">
+                {describeMismatch(mismatch)}
+              </div>
+            ))}
+          </div>
+        )}
       </td>
     </tr>
   );
@@ -0,0 +1,28 @@
+import React from "react";
+import { Link } from "react-router-dom";
+import { AlertCircle } from "lucide-react";
+
+const NotFoundPage = ({
+  title = "Page Not Found",
+  message = "The page you are looking for doesn't exist or has been moved.",
+  backTo = "/plots",
+  backLabel = "Back to My Plots",
+}) => {
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-50 to-slate-100 p-6 flex items-center justify-center">
+      <div className="bg-white rounded-lg shadow-xl p-8 max-w-md text-center">
+        <AlertCircle className="w-16 h-16 text-gray-400 mx-auto mb-4" />
+        <h2 className="text-2xl font-bold text-slate-800 mb-2">{title}</h2>
+        <p className="text-slate-600 mb-6">{message}</p>
+        <Link
+          to={backTo}
+          className="inline-block px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+        >
+          {backLabel}
+        </Link>
+      </div>
+    </div>
+  );
+};
+
+export default NotFoundPage;
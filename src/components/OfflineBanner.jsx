@@ -0,0 +1,31 @@
+import React from "react";
+import { WifiOff } from "lucide-react";
+import { useConnectivity } from "../hooks/useConnectivity";
+import { useSettings } from "../hooks/useSettings";
+import { formatDateTime, resolveTimeZone } from "../utils/timeFormat";
+
+// Shown while the backend is unreachable. Pages keep showing the data they
+// last fetched; this says how old it is.
+const OfflineBanner = () => {
+  const { online, staleSince } = useConnectivity();
+  const { timeZoneMode } = useSettings();
+
+  if (online) return null;
+
+  return (
+    <div className="bg-slate-800 text-white">
+      <div className="max-w-7xl mx-auto px-6 py-3 flex items-center gap-2 text-sm">
+        <WifiOff className="w-4 h-4 flex-shrink-0" />
+        <span>
+          You're offline.{" "}
+          {staleSince
+            ? `Showing cached data, stale since ${formatDateTime(staleSince, resolveTimeZone(timeZoneMode))}.`
+            : "Data that was never loaded on this device can't be shown."}{" "}
+          Missed readings are fetched when the connection returns.
+        </span>
+      </div>
+    </div>
+  );
+};
+
+export default OfflineBanner;
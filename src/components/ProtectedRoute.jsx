@@ -0,0 +1,25 @@
+import React from "react";
+import { Navigate, useLocation } from "react-router-dom";
+import { useAuth } from "../contexts/AuthContext";
+import NotFoundPage from "./NotFoundPage";
+
+// Redirects anonymous users to the login page, remembering where they were
+// heading so they can be sent back after signing in. With `requiredRole`,
+// users lacking the role get a plain 404 so the route isn't even disclosed.
+const ProtectedRoute = ({ children, requiredRole }) => {
+  const { isAuthenticated, user } = useAuth();
+  const location = useLocation();
+
+  if (!isAuthenticated) {
+    const from = `${location.pathname}${location.search}${location.hash}`;
+    return <Navigate to="/login" state={{ from }} replace />;
+  }
+
+  if (requiredRole && user?.role !== requiredRole) {
+    return <NotFoundPage />;
+  }
+
+  return children;
+};
+
+export default ProtectedRoute;
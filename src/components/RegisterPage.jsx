@@ -1,13 +1,17 @@
 import React, { useState } from "react";
 import { User, Lock, AlertCircle, CheckCircle, UserPlus } from "lucide-react";
+import { Link, useLocation, useNavigate } from "react-router-dom";
+import { ApiError, request } from "../api/client";
 
-const RegisterPage = ({ onSwitchToLogin }) => {
+const RegisterPage = () => {
   const [username, setUsername] = useState("");
   const [password, setPassword] = useState("");
   const [confirmPassword, setConfirmPassword] = useState("");
   const [error, setError] = useState("");
   const [success, setSuccess] = useState(false);
   const [loading, setLoading] = useState(false);
+  const navigate = useNavigate();
+  const location = useLocation();
 
   const handleSubmit = async () => {
     setError("");
@@ -32,38 +36,29 @@ const RegisterPage = ({ onSwitchToLogin }) => {
     setLoading(true);
 
     try {
-      const response = await fetch("https://localhost:3000/users/register", {
+      await request("/users/register", {
         method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify({ username, password }),
+        body: { username, password },
       });
 
-      const data = await response.json();
-
-      switch (data.status) {
-        case 200:
-          // Success
-          setSuccess(true);
-          setTimeout(() => {
-            onSwitchToLogin();
-          }, 2000);
-          break;
-
-        case 409:
-          // Conflict - username taken
-          setError(
-            data.error_msg || "Username already taken. Please choose another.",
-          );
-          break;
-
-        default:
-          setError(data.message || "Registration failed. Please try again.");
-      }
+      setSuccess(true);
+      setTimeout(() => {
+        navigate("/login", { state: location.state });
+      }, 2000);
     } catch (err) {
-      setError("Network error. Please check your connection.");
-      console.error("Registration error:", err);
+      if (err instanceof ApiError) {
+        setError(
+          err.status === 409
+            ? err.data?.error_msg ||
+                "Username already taken. Please choose another."
+            : err.data?.error_msg ||
+                err.data?.message ||
+                "Registration failed. Please try again.",
+        );
+      } else {
+        setError("Network error. Please check your connection.");
+        console.error("Registration error:", err);
+      }
     } finally {
       setLoading(false);
     }
@@ -186,12 +181,13 @@ const RegisterPage = ({ onSwitchToLogin }) => {
         <div className="mt-6 text-center">
           <p className="text-gray-600">
             Already have an account?{" "}
-            <button
-              onClick={onSwitchToLogin}
+            <Link
+              to="/login"
+              state={location.state}
               className="text-green-600 font-semibold hover:underline"
             >
               Sign in here
-            </button>
+            </Link>
           </p>
         </div>
       </div>
@@ -0,0 +1,308 @@
+import React, { useState } from "react";
+import { AlertCircle, Loader, Save, X } from "lucide-react";
+import { ApiError } from "../api/client";
+import { isValidTimeZone } from "../utils/timeFormat";
+
+// Suggestions for the time zone field, where the browser can list them
+const TIME_ZONES = Intl.supportedValuesOf?.("timeZone") ?? [];
+
+const emptyValues = {
+  name: "",
+  location: "",
+  building: "",
+  floor: "",
+  latitude: "",
+  longitude: "",
+  timezone: "",
+  description: "",
+};
+
+const toFormValues = (sensor) =>
+  sensor
+    ? {
+        name: sensor.name ?? "",
+        location: sensor.location ?? "",
+        building: sensor.building ?? "",
+        floor: sensor.floor ?? "",
+        latitude: sensor.latitude ?? "",
+        longitude: sensor.longitude ?? "",
+        timezone: sensor.timezone ?? "",
+        description: sensor.description ?? "",
+      }
+    : emptyValues;
+
+const validate = (values) => {
+  const errors = {};
+  const name = values.name.trim();
+  const hasLat = String(values.latitude).trim() !== "";
+  const hasLng = String(values.longitude).trim() !== "";
+
+  if (name.length < 3) {
+    errors.name = "Name must be at least 3 characters long";
+  } else if (name.length > 64) {
+    errors.name = "Name must be at most 64 characters long";
+  }
+
+  if (!values.location.trim()) {
+    errors.location = "Location is required";
+  }
+
+  if (hasLat !== hasLng) {
+    errors.coordinates = "Provide both latitude and longitude, or neither";
+  } else if (hasLat) {
+    const lat = Number(values.latitude);
+    const lng = Number(values.longitude);
+    if (Number.isNaN(lat) || lat < -90 || lat > 90) {
+      errors.coordinates = "Latitude must be between -90 and 90";
+    } else if (Number.isNaN(lng) || lng < -180 || lng > 180) {
+      errors.coordinates = "Longitude must be between -180 and 180";
+    }
+  }
+
+  if (values.timezone.trim() && !isValidTimeZone(values.timezone.trim())) {
+    errors.timezone =
+      "Unknown time zone, use an IANA name such as Europe/Madrid";
+  }
+
+  if (values.description.length > 500) {
+    errors.description = "Description must be at most 500 characters long";
+  }
+
+  return errors;
+};
+
+// Builds the request payload. Empty optional fields are left out when
+// creating; when editing they are sent as null, so clearing a field clears
+// it on the server instead of keeping the old value.
+const toPayload = (values, { editing }) => {
+  const payload = {
+    name: values.name.trim(),
+    location: values.location.trim(),
+  };
+  const setOptional = (field, value) => {
+    if (value !== null) payload[field] = value;
+    else if (editing) payload[field] = null;
+  };
+  const text = (value) => String(value).trim() || null;
+
+  const hasCoordinates = String(values.latitude).trim() !== "";
+  setOptional("building", text(values.building));
+  setOptional("floor", text(values.floor));
+  setOptional("latitude", hasCoordinates ? Number(values.latitude) : null);
+  setOptional("longitude", hasCoordinates ? Number(values.longitude) : null);
+  setOptional("timezone", text(values.timezone));
+  setOptional("description", text(values.description));
+  return payload;
+};
+
+// Create/edit form for a sensor. `onSubmit` receives the payload and should
+// reject with an ApiError on failure; a 409 is shown inline on the name field.
+const SensorForm = ({ sensor, onSubmit, onCancel }) => {
+  const [values, setValues] = useState(() => toFormValues(sensor));
+  const [errors, setErrors] = useState({});
+  const [formError, setFormError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const isEdit = !!sensor;
+
+  const setField = (field) => (e) => {
+    setValues((prev) => ({ ...prev, [field]: e.target.value }));
+    setErrors((prev) => ({ ...prev, [field]: undefined }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setFormError(null);
+
+    const validationErrors = validate(values);
+    setErrors(validationErrors);
+    if (Object.keys(validationErrors).length > 0) return;
+
+    setSubmitting(true);
+    try {
+      await onSubmit(toPayload(values, { editing: Boolean(sensor) }));
+    } catch (err) {
+      if (err instanceof ApiError && err.status === 409) {
+        setErrors({ name: err.message });
+      } else {
+        setFormError(err.message);
+      }
+      setSubmitting(false);
+    }
+  };
+
+  const inputClassName = (field) =>
+    `w-full px-3 py-2 border rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
+      errors[field] ? "border-red-400" : "border-gray-300"
+    }`;
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      className="p-4 rounded-lg border-2 border-blue-200 bg-blue-50/50 space-y-3"
+    >
+      <h3 className="font-semibold text-slate-800">
+        {isEdit ? "Edit Sensor" : "New Sensor"}
+      </h3>
+
+      {formError && (
+        <div className="p-3 bg-red-50 border border-red-200 rounded-lg flex items-start gap-2">
+          <AlertCircle className="w-4 h-4 text-red-500 flex-shrink-0 mt-0.5" />
+          <p className="text-red-700 text-sm">{formError}</p>
+        </div>
+      )}
+
+      <div>
+        <label className="block text-xs font-semibold text-slate-700 mb-1">
+          Name
+        </label>
+        <input
+          type="text"
+          value={values.name}
+          onChange={setField("name")}
+          className={inputClassName("name")}
+          placeholder="e.g. Lab 2 - North Wall"
+          disabled={submitting}
+        />
+        {errors.name && (
+          <p className="text-xs text-red-600 mt-1">{errors.name}</p>
+        )}
+      </div>
+
+      <div>
+        <label className="block text-xs font-semibold text-slate-700 mb-1">
+          Location
+        </label>
+        <input
+          type="text"
+          value={values.location}
+          onChange={setField("location")}
+          className={inputClassName("location")}
+          placeholder="e.g. Building A, Floor 2"
+          disabled={submitting}
+        />
+        {errors.location && (
+          <p className="text-xs text-red-600 mt-1">{errors.location}</p>
+        )}
+      </div>
+
+      <div>
+        <label className="block text-xs font-semibold text-slate-700 mb-1">
+          Building and floor (optional)
+        </label>
+        <div className="grid grid-cols-2 gap-2">
+          <input
+            type="text"
+            value={values.building}
+            onChange={setField("building")}
+            className={inputClassName("building")}
+            placeholder="Building"
+            disabled={submitting}
+          />
+          <input
+            type="text"
+            value={values.floor}
+            onChange={setField("floor")}
+            className={inputClassName("floor")}
+            placeholder="Floor"
+            disabled={submitting}
+          />
+        </div>
+      </div>
+
+      <div>
+        <label className="block text-xs font-semibold text-slate-700 mb-1">
+          Coordinates (optional)
+        </label>
+        <div className="grid grid-cols-2 gap-2">
+          <input
+            type="number"
+            step="any"
+            value={values.latitude}
+            onChange={setField("latitude")}
+            className={inputClassName("coordinates")}
+            placeholder="Latitude"
+            disabled={submitting}
+          />
+          <input
+            type="number"
+            step="any"
+            value={values.longitude}
+            onChange={setField("longitude")}
+            className={inputClassName("coordinates")}
+            placeholder="Longitude"
+            disabled={submitting}
+          />
+        </div>
+        {errors.coordinates && (
+          <p className="text-xs text-red-600 mt-1">{errors.coordinates}</p>
+        )}
+      </div>
+
+      <div>
+        <label className="block text-xs font-semibold text-slate-700 mb-1">
+          Time zone (optional)
+        </label>
+        <input
+          type="text"
+          list="sensor-time-zones"
+          value={values.timezone}
+          onChange={setField("timezone")}
+          className={inputClassName("timezone")}
+          placeholder="e.g. Europe/Madrid"
+          disabled={submitting}
+        />
+        <datalist id="sensor-time-zones">
+          {TIME_ZONES.map((zone) => (
+            <option key={zone} value={zone} />
+          ))}
+        </datalist>
+        {errors.timezone && (
+          <p className="text-xs text-red-600 mt-1">{errors.timezone}</p>
+        )}
+      </div>
+
+      <div>
+        <label className="block text-xs font-semibold text-slate-700 mb-1">
+          Description (optional)
+        </label>
+        <textarea
+          value={values.description}
+          onChange={setField("description")}
+          rows={2}
+          className={inputClassName("description")}
+          disabled={submitting}
+        />
+        {errors.description && (
+          <p className="text-xs text-red-600 mt-1">{errors.description}</p>
+        )}
+      </div>
+
+      <div className="flex gap-2">
+        <button
+          type="submit"
+          disabled={submitting}
+          className="flex-1 px-3 py-2 bg-blue-600 text-white text-sm rounded-lg hover:bg-blue-700 transition-colors disabled:bg-gray-400 disabled:cursor-not-allowed flex items-center justify-center gap-2"
+        >
+          {submitting ? (
+            <Loader className="w-4 h-4 animate-spin" />
+          ) : (
+            <Save className="w-4 h-4" />
+          )}
+          {isEdit ? "Save" : "Create"}
+        </button>
+        <button
+          type="button"
+          onClick={onCancel}
+          disabled={submitting}
+          className="px-3 py-2 border border-gray-300 text-sm rounded-lg hover:bg-gray-50 transition-colors flex items-center gap-2"
+        >
+          <X className="w-4 h-4" />
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default SensorForm;
@@ -0,0 +1,438 @@
+import React, { useState } from "react";
+import {
+  MapIcon,
+  Building2,
+  Loader,
+  AlertCircle,
+  Plus,
+  Minus,
+  BarChart3,
+  Activity,
+  X,
+} from "lucide-react";
+import { useNavigate, useSearchParams } from "react-router-dom";
+import { useApi } from "../hooks/useApi";
+import { useQuery } from "../hooks/useQuery";
+import { useSensors } from "../hooks/useSensors";
+import { useElementWidth } from "../hooks/useElementWidth";
+import { useSettings } from "../hooks/useSettings";
+import { fetchLatestReading } from "../api/readings";
+import {
+  CO2_LEVELS,
+  NO_DATA_COLOR,
+  clampZoom,
+  co2Level,
+  fitView,
+  groupByFloor,
+  hasCoordinates,
+  projectSensor,
+  visibleTiles,
+} from "../utils/sensorMap";
+import { formatDateTime, resolveTimeZone } from "../utils/timeFormat";
+import { formatMetric } from "../utils/metrics";
+
+// Self-hosted tile server, e.g. "/tiles/{z}/{x}/{y}.png". Without one the
+// map shows sensors on a plain grid, so it works with no network access.
+const TILE_URL = import.meta.env.VITE_MAP_TILE_URL || "";
+
+const MAP_HEIGHT = 500;
+
+const markerColor = (reading) => co2Level(reading?.co2)?.color ?? NO_DATA_COLOR;
+
+// Sensors placed by coordinates, or by building and floor, with markers
+// coloured by their latest CO₂ reading (last 24 hours)
+const SensorMapPage = () => {
+  const api = useApi();
+  const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const { timeZoneMode } = useSettings();
+  const { sensors, loading, error: sensorsError } = useSensors();
+  const [selectedId, setSelectedId] = useState(null);
+  const [zoomOffset, setZoomOffset] = useState(0);
+  const [mapRef, mapWidth] = useElementWidth();
+
+  // "map" (coordinates) or "floors" (floor plan), kept in the URL
+  const view = searchParams.get("view") === "floors" ? "floors" : "map";
+
+  const setView = (next) => {
+    setSearchParams((prev) => {
+      const params = new URLSearchParams(prev);
+      if (next === "floors") {
+        params.set("view", "floors");
+      } else {
+        params.delete("view");
+      }
+      return params;
+    });
+  };
+
+  // Latest reading of every sensor, by sensor id. A sensor whose readings
+  // fail to load just shows as "no data".
+  const sensorIds = sensors.map((sensor) => sensor.id);
+  const latestQuery = useQuery(
+    ["latestReadings", sensorIds],
+    async ({ signal }) => {
+      const results = await Promise.allSettled(
+        sensorIds.map((id) => fetchLatestReading(api, id, { signal })),
+      );
+      signal.throwIfAborted();
+      return Object.fromEntries(
+        sensorIds.map((id, i) => [
+          id,
+          results[i].status === "fulfilled" ? results[i].value : null,
+        ]),
+      );
+    },
+    { enabled: sensorIds.length > 0 },
+  );
+  const latest = latestQuery.data ?? {};
+  const error = sensorsError?.message ?? null;
+
+  const selectedSensor = sensors.find((s) => s.id === selectedId);
+  const located = sensors.filter(hasCoordinates);
+  const fitted = fitView(located, mapWidth || 800, MAP_HEIGHT);
+  const mapView = fitted && {
+    center: fitted.center,
+    zoom: clampZoom(fitted.zoom + zoomOffset),
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-slate-50 to-slate-100 flex items-center justify-center">
+        <div className="text-center">
+          <Loader className="w-12 h-12 text-blue-500 mx-auto mb-4 animate-spin" />
+          <p className="text-slate-600">Loading sensors...</p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-50 to-slate-100 p-6">
+      <div className="max-w-7xl mx-auto">
+        <div className="mb-8 flex items-end justify-between gap-4">
+          <div>
+            <h1 className="text-4xl font-bold text-slate-800 mb-2">
+              Sensor Map
+            </h1>
+            <p className="text-slate-600">
+              Where your sensors are and their latest CO₂ levels
+            </p>
+          </div>
+          <div className="flex rounded-lg border border-gray-300 overflow-hidden bg-white">
+            <ViewButton
+              icon={MapIcon}
+              label="Map"
+              active={view === "map"}
+              onClick={() => setView("map")}
+            />
+            <ViewButton
+              icon={Building2}
+              label="Floor plan"
+              active={view === "floors"}
+              onClick={() => setView("floors")}
+            />
+          </div>
+        </div>
+
+        {error && (
+          <div className="bg-red-50 border border-red-200 rounded-lg p-4 mb-6 flex items-center gap-3">
+            <AlertCircle className="w-5 h-5 text-red-500 flex-shrink-0" />
+            <p className="text-red-800">{error}</p>
+          </div>
+        )}
+
+        <Legend />
+
+        {selectedSensor && (
+          <SensorCard
+            sensor={selectedSensor}
+            reading={latest[selectedSensor.id]}
+            timeZone={resolveTimeZone(timeZoneMode, selectedSensor)}
+            onClose={() => setSelectedId(null)}
+            onOpen={(path) => navigate(path)}
+          />
+        )}
+
+        {view === "map" ? (
+          <div className="bg-white rounded-lg shadow-md p-6">
+            {mapView ? (
+              <div ref={mapRef} className="relative">
+                <svg
+                  width="100%"
+                  height={MAP_HEIGHT}
+                  className="rounded-lg bg-slate-50 border border-gray-200"
+                >
+                  <defs>
+                    <pattern
+                      id="map-grid"
+                      width="40"
+                      height="40"
+                      patternUnits="userSpaceOnUse"
+                    >
+                      <path
+                        d="M 40 0 L 0 0 0 40"
+                        fill="none"
+                        stroke="#e2e8f0"
+                        strokeWidth="1"
+                      />
+                    </pattern>
+                  </defs>
+                  <rect width="100%" height="100%" fill="url(#map-grid)" />
+                  {TILE_URL &&
+                    mapWidth > 0 &&
+                    visibleTiles(TILE_URL, mapView, mapWidth, MAP_HEIGHT).map(
+                      (tile) => (
+                        <image
+                          key={tile.key}
+                          href={tile.url}
+                          x={tile.x}
+                          y={tile.y}
+                          width={tile.size}
+                          height={tile.size}
+                        />
+                      ),
+                    )}
+                  {mapWidth > 0 &&
+                    located.map((sensor) => {
+                      const { x, y } = projectSensor(
+                        sensor,
+                        mapView,
+                        mapWidth,
+                        MAP_HEIGHT,
+                      );
+                      return (
+                        <Marker
+                          key={sensor.id}
+                          x={x}
+                          y={y}
+                          sensor={sensor}
+                          reading={latest[sensor.id]}
+                          selected={sensor.id === selectedId}
+                          onSelect={() => setSelectedId(sensor.id)}
+                        />
+                      );
+                    })}
+                </svg>
+                <div className="absolute top-3 right-3 flex flex-col bg-white rounded-lg border border-gray-300 shadow-sm">
+                  <button
+                    onClick={() => setZoomOffset((prev) => prev + 1)}
+                    title="Zoom in"
+                    className="p-2 hover:bg-gray-50 border-b border-gray-200"
+                  >
+                    <Plus className="w-4 h-4" />
+                  </button>
+                  <button
+                    onClick={() => setZoomOffset((prev) => prev - 1)}
+                    title="Zoom out"
+                    className="p-2 hover:bg-gray-50"
+                  >
+                    <Minus className="w-4 h-4" />
+                  </button>
+                </div>
+              </div>
+            ) : (
+              <p className="text-slate-600 text-center py-12">
+                None of your sensors have coordinates yet. Add latitude and
+                longitude when editing a sensor, or use the floor plan view.
+              </p>
+            )}
+            {mapView && located.length < sensors.length && (
+              <p className="text-sm text-slate-500 mt-3">
+                {sensors.length - located.length} sensor(s) without coordinates
+                are only shown in the floor plan view.
+              </p>
+            )}
+          </div>
+        ) : (
+          <FloorPlans
+            sensors={sensors}
+            latest={latest}
+            selectedId={selectedId}
+            onSelect={setSelectedId}
+          />
+        )}
+      </div>
+    </div>
+  );
+};
+
+const ViewButton = ({ icon, label, active, onClick }) => {
+  const Icon = icon;
+  return (
+    <button
+      onClick={onClick}
+      className={`px-4 py-2 text-sm font-medium flex items-center gap-2 transition-colors ${
+        active ? "bg-blue-600 text-white" : "text-slate-700 hover:bg-gray-50"
+      }`}
+    >
+      <Icon className="w-4 h-4" />
+      {label}
+    </button>
+  );
+};
+
+const Legend = () => (
+  <div className="flex flex-wrap items-center gap-4 mb-4 text-sm text-slate-600">
+    {CO2_LEVELS.map((level, i) => (
+      <span key={level.label} className="flex items-center gap-2">
+        <span
+          className="w-3 h-3 rounded-full"
+          style={{ backgroundColor: level.color }}
+        />
+        {level.label} (
+        {level.max === Infinity
+          ? `> ${CO2_LEVELS[i - 1].max}`
+          : `≤ ${level.max}`}{" "}
+        ppm)
+      </span>
+    ))}
+    <span className="flex items-center gap-2">
+      <span
+        className="w-3 h-3 rounded-full"
+        style={{ backgroundColor: NO_DATA_COLOR }}
+      />
+      No recent data
+    </span>
+  </div>
+);
+
+const Marker = ({ x, y, sensor, reading, selected, onSelect }) => (
+  <g
+    transform={`translate(${x}, ${y})`}
+    onClick={onSelect}
+    className="cursor-pointer"
+  >
+    <title>
+      {sensor.name}
+      {reading ? ` – ${formatMetric(reading.co2, "co2")}` : " – no recent data"}
+    </title>
+    <circle
+      r={selected ? 11 : 9}
+      fill={markerColor(reading)}
+      stroke={selected ? "#1e293b" : "white"}
+      strokeWidth={selected ? 3 : 2}
+    />
+    <text
+      y={-15}
+      textAnchor="middle"
+      className="text-xs font-semibold fill-slate-700"
+      style={{ paintOrder: "stroke", stroke: "white", strokeWidth: 3 }}
+    >
+      {sensor.name}
+    </text>
+  </g>
+);
+
+// Plain SVG floor plans: one box per floor with its sensors laid out in a
+// grid, grouped by building
+const FLOOR_COLUMNS = 6;
+const CELL_WIDTH = 150;
+const CELL_HEIGHT = 80;
+
+const FloorPlans = ({ sensors, latest, selectedId, onSelect }) => (
+  <div className="space-y-6">
+    {groupByFloor(sensors).map((building) => (
+      <div key={building.name} className="bg-white rounded-lg shadow-md p-6">
+        <h2 className="text-xl font-bold text-slate-800 flex items-center gap-2 mb-4">
+          <Building2 className="w-5 h-5 text-blue-600" />
+          {building.name}
+        </h2>
+        <div className="space-y-4">
+          {building.floors.map((floor) => {
+            const columns = Math.min(floor.sensors.length, FLOOR_COLUMNS);
+            const rows = Math.ceil(floor.sensors.length / FLOOR_COLUMNS);
+            const width = columns * CELL_WIDTH;
+            const height = rows * CELL_HEIGHT;
+            return (
+              <div key={floor.name}>
+                <h3 className="text-sm font-semibold text-slate-700 mb-2">
+                  Floor {floor.name}
+                </h3>
+                <svg
+                  viewBox={`0 0 ${width} ${height}`}
+                  width={width}
+                  height={height}
+                  className="max-w-full"
+                >
+                  <rect
+                    x={1}
+                    y={1}
+                    width={width - 2}
+                    height={height - 2}
+                    rx={6}
+                    fill="#f8fafc"
+                    stroke="#cbd5e1"
+                    strokeWidth={2}
+                  />
+                  {floor.sensors.map((sensor, i) => (
+                    <Marker
+                      key={sensor.id}
+                      x={(i % FLOOR_COLUMNS) * CELL_WIDTH + CELL_WIDTH / 2}
+                      y={
+                        Math.floor(i / FLOOR_COLUMNS) * CELL_HEIGHT +
+                        CELL_HEIGHT / 2 +
+                        10
+                      }
+                      sensor={sensor}
+                      reading={latest[sensor.id]}
+                      selected={sensor.id === selectedId}
+                      onSelect={() => onSelect(sensor.id)}
+                    />
+                  ))}
+                </svg>
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    ))}
+  </div>
+);
+
+// Details of the clicked sensor, with links to its chart and readings
+const SensorCard = ({ sensor, reading, timeZone, onClose, onOpen }) => {
+  const level = co2Level(reading?.co2);
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-4 mb-4 flex flex-wrap items-center gap-4">
+      <span
+        className="w-4 h-4 rounded-full flex-shrink-0"
+        style={{ backgroundColor: markerColor(reading) }}
+      />
+      <div className="flex-1 min-w-0">
+        <p className="font-semibold text-slate-800">{sensor.name}</p>
+        <p className="text-sm text-slate-600">
+          {sensor.location}
+          {" · "}
+          {reading
+            ? `${formatMetric(reading.co2, "co2")}${level ? ` (${level.label})` : ""} at ${formatDateTime(reading.timestamp, timeZone)}`
+            : "No readings in the last 24 hours"}
+        </p>
+      </div>
+      <button
+        onClick={() => onOpen(`/plots/${sensor.id}`)}
+        className="px-3 py-1.5 bg-blue-600 text-white rounded-lg text-sm hover:bg-blue-700 transition-colors flex items-center gap-2"
+      >
+        <BarChart3 className="w-4 h-4" />
+        Chart
+      </button>
+      <button
+        onClick={() => onOpen(`/sensors/${sensor.id}`)}
+        className="px-3 py-1.5 border border-gray-300 text-slate-700 rounded-lg text-sm hover:bg-gray-50 transition-colors flex items-center gap-2"
+      >
+        <Activity className="w-4 h-4" />
+        Readings
+      </button>
+      <button
+        onClick={onClose}
+        title="Close"
+        className="p-1.5 text-slate-500 hover:text-slate-700"
+      >
+        <X className="w-4 h-4" />
+      </button>
+    </div>
+  );
+};
+
+export default SensorMapPage;
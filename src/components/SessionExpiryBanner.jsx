@@ -0,0 +1,74 @@
+import React, { useState, useEffect } from "react";
+import { Clock, RefreshCw } from "lucide-react";
+import { useAuth } from "../contexts/AuthContext";
+
+const formatRemaining = (ms) => {
+  const totalSeconds = Math.max(Math.ceil(ms / 1000), 0);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, "0");
+  return `${minutes}:${seconds}`;
+};
+
+const SessionExpiryBanner = () => {
+  const {
+    sessionExpiring,
+    sessionExpiresAt,
+    refreshSupported,
+    refreshSession,
+    logout,
+  } = useAuth();
+  const [now, setNow] = useState(() => Date.now());
+  const [refreshing, setRefreshing] = useState(false);
+
+  // Tick once a second while the countdown is visible
+  useEffect(() => {
+    if (!sessionExpiring) return;
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [sessionExpiring]);
+
+  if (!sessionExpiring || !sessionExpiresAt) return null;
+
+  const handleRefresh = async () => {
+    setRefreshing(true);
+    await refreshSession();
+    setRefreshing(false);
+  };
+
+  return (
+    <div className="bg-yellow-50 border-b border-yellow-200">
+      <div className="max-w-7xl mx-auto px-6 py-3 flex items-center justify-between gap-4">
+        <p className="text-sm text-yellow-800 flex items-center gap-2">
+          <Clock className="w-4 h-4 flex-shrink-0" />
+          Your session expires in{" "}
+          <span className="font-semibold">
+            {formatRemaining(sessionExpiresAt - now)}
+          </span>
+          {refreshSupported ? "." : ". Please save your work and log in again."}
+        </p>
+        <div className="flex items-center gap-2">
+          {refreshSupported && (
+            <button
+              onClick={handleRefresh}
+              disabled={refreshing}
+              className="px-3 py-1.5 bg-yellow-600 text-white text-sm rounded-lg hover:bg-yellow-700 transition-colors disabled:bg-gray-400 disabled:cursor-not-allowed flex items-center gap-2"
+            >
+              <RefreshCw
+                className={`w-4 h-4 ${refreshing ? "animate-spin" : ""}`}
+              />
+              Stay signed in
+            </button>
+          )}
+          <button
+            onClick={logout}
+            className="px-3 py-1.5 border border-yellow-300 text-yellow-800 text-sm rounded-lg hover:bg-yellow-100 transition-colors"
+          >
+            Log out now
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SessionExpiryBanner;
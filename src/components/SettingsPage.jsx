@@ -0,0 +1,265 @@
+import React, { useState } from "react";
+import {
+  Settings,
+  Save,
+  RotateCcw,
+  CheckCircle,
+  HeartPulse,
+} from "lucide-react";
+import { useSettings } from "../hooks/useSettings";
+import {
+  CLUSTERS,
+  DEFAULT_CHAIN_SETTINGS,
+  EXPLORERS,
+  explorerTxUrl,
+  rpcUrlFor,
+  validateChainSettings,
+} from "../utils/chainConfig";
+import { AQI_STANDARDS } from "../utils/aqi";
+
+// Signature used to preview explorer links
+const EXAMPLE_SIGNATURE =
+  "5VERv8NMvzbJMEkV8xnrLkEaWRtSz9CosKDYjCJjBRnbJLgp8uirBgmQpjKhoR4tjF3ZpRzrFmBV6UjKdiSZkQUW";
+
+const SettingsPage = () => {
+  const {
+    chainSettings,
+    saveChainSettings,
+    resetChainSettings,
+    aqiStandard,
+    saveAqiStandard,
+  } = useSettings();
+  const [values, setValues] = useState(chainSettings);
+  const [errors, setErrors] = useState({});
+  const [saved, setSaved] = useState(false);
+
+  const setField = (field) => (e) => {
+    setValues((prev) => ({ ...prev, [field]: e.target.value }));
+    setErrors((prev) => ({ ...prev, [field]: undefined }));
+    setSaved(false);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const validationErrors = validateChainSettings(values);
+    setErrors(validationErrors);
+    if (Object.keys(validationErrors).length > 0) return;
+
+    saveChainSettings({
+      ...values,
+      rpcUrl: values.rpcUrl.trim(),
+      explorerTemplate: values.explorerTemplate.trim(),
+    });
+    setSaved(true);
+  };
+
+  const handleReset = () => {
+    resetChainSettings();
+    setValues(DEFAULT_CHAIN_SETTINGS);
+    setErrors({});
+    setSaved(false);
+  };
+
+  const inputClassName = (field) =>
+    `w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
+      errors[field] ? "border-red-400" : "border-gray-300"
+    }`;
+
+  const previewUrl = validateChainSettings(values).explorerTemplate
+    ? null
+    : explorerTxUrl(EXAMPLE_SIGNATURE, values);
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-50 to-slate-100 p-6">
+      <div className="max-w-3xl mx-auto">
+        <div className="mb-8">
+          <h1 className="text-4xl font-bold text-slate-800 mb-2">Settings</h1>
+          <p className="text-slate-600">
+            Blockchain network and explorer used for verification and
+            transaction links, and how air quality is rated
+          </p>
+        </div>
+
+        <form
+          onSubmit={handleSubmit}
+          className="bg-white rounded-lg shadow-md p-6 space-y-5"
+        >
+          <h2 className="text-xl font-bold text-slate-800 flex items-center gap-2">
+            <Settings className="w-5 h-5 text-blue-600" />
+            Blockchain
+          </h2>
+
+          <div>
+            <label className="block text-sm font-semibold text-slate-700 mb-2">
+              Cluster
+            </label>
+            <select
+              value={values.cluster}
+              onChange={setField("cluster")}
+              className={inputClassName("cluster")}
+            >
+              {CLUSTERS.map((cluster) => (
+                <option key={cluster.value} value={cluster.value}>
+                  {cluster.label}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label className="block text-sm font-semibold text-slate-700 mb-2">
+              RPC URL
+              {values.cluster !== "custom" && (
+                <span className="font-normal text-slate-500">
+                  {" "}
+                  (optional, overrides the cluster's public endpoint)
+                </span>
+              )}
+            </label>
+            <input
+              type="url"
+              value={values.rpcUrl}
+              onChange={setField("rpcUrl")}
+              placeholder={rpcUrlFor({ ...values, rpcUrl: "" })}
+              className={inputClassName("rpcUrl")}
+            />
+            {errors.rpcUrl && (
+              <p className="text-xs text-red-600 mt-1">{errors.rpcUrl}</p>
+            )}
+          </div>
+
+          <div>
+            <label className="block text-sm font-semibold text-slate-700 mb-2">
+              Explorer
+            </label>
+            <select
+              value={values.explorer}
+              onChange={setField("explorer")}
+              className={inputClassName("explorer")}
+            >
+              {EXPLORERS.map((explorer) => (
+                <option key={explorer.value} value={explorer.value}>
+                  {explorer.label}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          {values.explorer === "custom" && (
+            <div>
+              <label className="block text-sm font-semibold text-slate-700 mb-2">
+                Explorer URL template
+              </label>
+              <input
+                type="text"
+                value={values.explorerTemplate}
+                onChange={setField("explorerTemplate")}
+                placeholder="https://explorer.example.com/tx/{signature}{cluster}"
+                className={inputClassName("explorerTemplate")}
+              />
+              <p className="text-xs text-slate-500 mt-1">
+                {"{signature}"} is replaced by the transaction signature,{" "}
+                {"{cluster}"} by the cluster query (e.g. ?cluster=devnet) and{" "}
+                {"{rpcUrl}"} by the encoded RPC URL.
+              </p>
+              {errors.explorerTemplate && (
+                <p className="text-xs text-red-600 mt-1">
+                  {errors.explorerTemplate}
+                </p>
+              )}
+            </div>
+          )}
+
+          {previewUrl && (
+            <div className="text-sm text-slate-600">
+              Example link:{" "}
+              <a
+                href={previewUrl}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="text-blue-600 hover:underline break-all"
+              >
+                {previewUrl}
+              </a>
+            </div>
+          )}
+
+          <div className="flex items-center gap-3 pt-2">
+            <button
+              type="submit"
+              className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors flex items-center gap-2"
+            >
+              <Save className="w-4 h-4" />
+              Save
+            </button>
+            <button
+              type="button"
+              onClick={handleReset}
+              className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors flex items-center gap-2"
+            >
+              <RotateCcw className="w-4 h-4" />
+              Reset to defaults
+            </button>
+            {saved && (
+              <span className="text-sm text-green-700 flex items-center gap-1">
+                <CheckCircle className="w-4 h-4" />
+                Saved
+              </span>
+            )}
+          </div>
+        </form>
+
+        {/* Applied as soon as it is picked */}
+        <div className="bg-white rounded-lg shadow-md p-6 mt-6 space-y-4">
+          <h2 className="text-xl font-bold text-slate-800 flex items-center gap-2">
+            <HeartPulse className="w-5 h-5 text-blue-600" />
+            Air quality index
+          </h2>
+
+          <div>
+            <label className="block text-sm font-semibold text-slate-700 mb-2">
+              Standard
+            </label>
+            <select
+              value={aqiStandard}
+              onChange={(e) => saveAqiStandard(e.target.value)}
+              className={inputClassName("aqiStandard")}
+            >
+              {Object.entries(AQI_STANDARDS).map(([key, standard]) => (
+                <option key={key} value={key}>
+                  {standard.label}
+                </option>
+              ))}
+            </select>
+            <p className="text-xs text-slate-500 mt-1">
+              Rates PM2.5, PM10 and NO₂ readings on the plots, readings table
+              and current-status banners.
+            </p>
+          </div>
+
+          <ul className="space-y-2">
+            {AQI_STANDARDS[aqiStandard].categories.map((category) => (
+              <li key={category.key} className="flex items-start gap-3 text-sm">
+                <span
+                  className="w-3 h-3 rounded-full flex-shrink-0 mt-1"
+                  style={{ backgroundColor: category.color }}
+                />
+                <span>
+                  <span className="font-semibold text-slate-800">
+                    {category.label}
+                  </span>
+                  <span className="text-slate-600">
+                    {" – "}
+                    {category.guidance}
+                  </span>
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SettingsPage;
@@ -0,0 +1,271 @@
+import React, { useState } from "react";
+import {
+  BarChart3,
+  Loader,
+  AlertCircle,
+  TrendingUp,
+  TrendingDown,
+} from "lucide-react";
+import { weekdayLabel } from "../utils/statistics";
+import { METRICS, formatMetric } from "../utils/metrics";
+
+const SUMMARY_COLUMNS = [
+  { key: "min", label: "Min" },
+  { key: "max", label: "Max" },
+  { key: "mean", label: "Mean" },
+  { key: "median", label: "Median" },
+  { key: "p95", label: "P95" },
+  { key: "stdDev", label: "Std dev" },
+];
+
+const formatDuration = (ms) => {
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 60) return `${minutes} min`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 48) return `${hours} h ${minutes % 60} min`;
+  return `${Math.floor(hours / 24)} d ${hours % 24} h`;
+};
+
+// How strong a correlation coefficient is, in words
+const describeCorrelation = (r) => {
+  const strength = Math.abs(r);
+  const label =
+    strength >= 0.7
+      ? "strong"
+      : strength >= 0.4
+        ? "moderate"
+        : strength >= 0.2
+          ? "weak"
+          : "no clear";
+  return `${label}${strength >= 0.2 ? (r > 0 ? " positive" : " negative") : ""} correlation`;
+};
+
+// Analysis of the loaded readings: summary statistics, time above
+// thresholds, trends, a weekly profile heatmap and the CO₂–temperature
+// correlation. `stats` comes from `useReadingStatistics`. Only the metrics
+// the readings report are listed.
+const StatisticsPanel = ({ stats, computing, error }) => {
+  const [profileMetric, setProfileMetric] = useState("co2");
+  const metrics = stats ? METRICS.filter((m) => stats.metrics[m.key]) : [];
+  // Falls back to the first reported metric when the chosen one is missing
+  const profileKey = stats?.metrics[profileMetric]
+    ? profileMetric
+    : metrics[0]?.key;
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mt-6">
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center gap-3">
+          <BarChart3 className="w-6 h-6 text-slate-700" />
+          <h2 className="text-xl font-bold text-slate-800">Analysis</h2>
+        </div>
+        {computing && (
+          <span className="text-sm text-slate-500 flex items-center gap-2">
+            <Loader className="w-4 h-4 animate-spin" />
+            Computing...
+          </span>
+        )}
+      </div>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg flex items-center gap-2">
+          <AlertCircle className="w-4 h-4 text-red-500 flex-shrink-0" />
+          <p className="text-red-700 text-sm">Analysis failed: {error}</p>
+        </div>
+      )}
+
+      {stats && (
+        <div className={`space-y-6 ${computing ? "opacity-60" : ""}`}>
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-xs font-semibold text-slate-600 uppercase tracking-wider border-b border-gray-200">
+                  <th className="py-2 pr-4">Metric</th>
+                  {SUMMARY_COLUMNS.map((column) => (
+                    <th key={column.key} className="py-2 pr-4">
+                      {column.label}
+                    </th>
+                  ))}
+                  <th className="py-2 pr-4">Trend</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {metrics.map((metric) => (
+                  <SummaryRow
+                    key={metric.key}
+                    metric={metric}
+                    analysis={stats.metrics[metric.key]}
+                  />
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="grid md:grid-cols-2 gap-6">
+            <div>
+              <h3 className="text-sm font-semibold text-slate-700 mb-2">
+                Time above thresholds
+              </h3>
+              <ul className="space-y-1 text-sm text-slate-700">
+                {metrics.flatMap((metric) =>
+                  stats.metrics[metric.key].thresholds.map((entry) => (
+                    <li
+                      key={`${metric.key}-${entry.threshold}`}
+                      className="flex justify-between gap-4"
+                    >
+                      <span>
+                        {metric.label} &gt; {entry.threshold} {metric.unit}
+                      </span>
+                      <span className="font-semibold">
+                        {formatDuration(entry.durationMs)} (
+                        {(entry.share * 100).toFixed(1)}%)
+                      </span>
+                    </li>
+                  )),
+                )}
+              </ul>
+            </div>
+
+            <div>
+              <h3 className="text-sm font-semibold text-slate-700 mb-2">
+                CO₂ vs temperature
+              </h3>
+              {stats.correlation === null ? (
+                <p className="text-sm text-slate-500">
+                  Not enough variation to correlate.
+                </p>
+              ) : (
+                <p className="text-sm text-slate-700">
+                  r = <strong>{stats.correlation.toFixed(2)}</strong>,{" "}
+                  {describeCorrelation(stats.correlation)}
+                </p>
+              )}
+            </div>
+          </div>
+
+          <div>
+            <div className="flex items-center justify-between mb-2">
+              <h3 className="text-sm font-semibold text-slate-700">
+                Weekly profile (mean by day and hour)
+              </h3>
+              <select
+                value={profileKey}
+                onChange={(e) => setProfileMetric(e.target.value)}
+                className="px-2 py-1 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              >
+                {metrics.map((metric) => (
+                  <option key={metric.key} value={metric.key}>
+                    {metric.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+            {profileKey ? (
+              <ProfileHeatmap
+                profile={stats.metrics[profileKey].profile}
+                metric={metrics.find((m) => m.key === profileKey)}
+              />
+            ) : (
+              <p className="text-sm text-slate-500">No readings.</p>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const SummaryRow = ({ metric, analysis }) => {
+  const { summary, trend } = analysis;
+  const format = (value) => formatMetric(value, metric.key);
+  const TrendIcon = trend?.slopePerDay < 0 ? TrendingDown : TrendingUp;
+
+  return (
+    <tr>
+      <td className="py-2 pr-4 font-semibold text-slate-800">{metric.label}</td>
+      {SUMMARY_COLUMNS.map((column) => (
+        <td key={column.key} className="py-2 pr-4 text-slate-700">
+          {summary ? format(summary[column.key]) : "–"}
+        </td>
+      ))}
+      <td className="py-2 pr-4 text-slate-700">
+        {trend ? (
+          <span
+            className="flex items-center gap-1"
+            title={`Linear fit, R² = ${trend.r2.toFixed(2)}`}
+          >
+            <TrendIcon className="w-4 h-4" />
+            {trend.slopePerDay >= 0 ? "+" : ""}
+            {trend.slopePerDay.toFixed(metric.precision + 1)} {metric.unit}/day
+          </span>
+        ) : (
+          "–"
+        )}
+      </td>
+    </tr>
+  );
+};
+
+// 7×24 grid shaded from the lowest to the highest hourly mean
+const ProfileHeatmap = ({ profile, metric }) => {
+  const values = profile.flat().filter((value) => value !== null);
+  if (values.length === 0) {
+    return <p className="text-sm text-slate-500">No readings.</p>;
+  }
+  const min = values.reduce((lo, v) => Math.min(lo, v), Infinity);
+  const max = values.reduce((hi, v) => Math.max(hi, v), -Infinity);
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="text-xs border-separate border-spacing-0.5">
+        <thead>
+          <tr>
+            <th />
+            {profile[0].map((_, hour) => (
+              <th key={hour} className="font-normal text-slate-500 w-6">
+                {hour % 3 === 0 ? hour : ""}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {profile.map((row, day) => (
+            <tr key={day}>
+              <th className="font-normal text-slate-500 pr-2 text-left">
+                {weekdayLabel(day)}
+              </th>
+              {row.map((value, hour) => (
+                <td
+                  key={hour}
+                  title={
+                    value === null
+                      ? `${weekdayLabel(day)} ${hour}:00, no readings`
+                      : `${weekdayLabel(day)} ${hour}:00, ${formatMetric(value, metric.key)}`
+                  }
+                  className="w-6 h-5 rounded-sm"
+                  style={
+                    value === null
+                      ? { backgroundColor: "#f1f5f9" }
+                      : {
+                          backgroundColor: metric.color,
+                          opacity:
+                            max > min
+                              ? 0.1 + (0.9 * (value - min)) / (max - min)
+                              : 0.5,
+                        }
+                  }
+                />
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <p className="text-xs text-slate-500 mt-1">
+        {formatMetric(min, metric.key, { unit: false })} –{" "}
+        {formatMetric(max, metric.key)}
+      </p>
+    </div>
+  );
+};
+
+export default StatisticsPanel;
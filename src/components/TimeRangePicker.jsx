@@ -0,0 +1,150 @@
+import React, { useState } from "react";
+import { ChevronLeft, ChevronRight, Check } from "lucide-react";
+import {
+  TIME_RANGE_PRESETS,
+  isCustomRange,
+  resolveTimeRange,
+  shiftTimeRange,
+  timeRangeKey,
+} from "../utils/timeRange";
+import { zoneOffset } from "../utils/timeFormat";
+
+// <input type="datetime-local"> works with "YYYY-MM-DDTHH:mm" wall-clock
+// strings, here in the display time zone rather than the browser's
+const toInputValue = (date, timeZone) =>
+  new Date(date.getTime() + zoneOffset(date.getTime(), timeZone))
+    .toISOString()
+    .slice(0, 16);
+
+// The offset is looked up again at the first guess, so times near a
+// daylight saving change land on the right side of it
+const fromInputValue = (value, timeZone) => {
+  const wall = Date.parse(`${value}Z`);
+  if (Number.isNaN(wall)) return null;
+  const guess = wall - zoneOffset(wall, timeZone);
+  return new Date(wall - zoneOffset(guess, timeZone));
+};
+
+// Preset selector plus an absolute from/to picker, with buttons stepping the
+// window back and forward by its own length. `timeZone` is the display zone
+// (undefined for the browser's).
+const TimeRangePicker = ({ value, onChange, timeZone }) => {
+  const custom = isCustomRange(value);
+  const bounds = resolveTimeRange(value);
+  const [editing, setEditing] = useState(false);
+  const [fromInput, setFromInput] = useState(() =>
+    toInputValue(bounds.from, timeZone),
+  );
+  const [toInput, setToInput] = useState(() =>
+    toInputValue(bounds.to, timeZone),
+  );
+
+  // Resync the inputs when `value` changes from outside (back/forward, an
+  // edited URL, zooming into a chart selection) or the display zone changes
+  const rangeKey = `${timeRangeKey(value)}|${timeZone ?? ""}`;
+  const [syncedKey, setSyncedKey] = useState(rangeKey);
+  if (syncedKey !== rangeKey) {
+    setSyncedKey(rangeKey);
+    setFromInput(toInputValue(bounds.from, timeZone));
+    setToInput(toInputValue(bounds.to, timeZone));
+    setEditing(false);
+  }
+
+  const showCustomInputs = custom || editing;
+  const draftFrom = fromInputValue(fromInput, timeZone);
+  const draftTo = fromInputValue(toInput, timeZone);
+  const draftValid = draftFrom && draftTo && draftFrom < draftTo;
+
+  const syncInputs = (range) => {
+    const { from, to } = resolveTimeRange(range);
+    setFromInput(toInputValue(from, timeZone));
+    setToInput(toInputValue(to, timeZone));
+  };
+
+  const handlePresetChange = (e) => {
+    if (e.target.value === "custom") {
+      syncInputs(value);
+      setEditing(true);
+      return;
+    }
+    setEditing(false);
+    onChange({ range: e.target.value });
+  };
+
+  const step = (direction) => {
+    onChange(shiftTimeRange(value, direction));
+  };
+
+  const applyCustom = () => {
+    if (!draftValid) return;
+    setEditing(false);
+    onChange({ from: draftFrom, to: draftTo });
+  };
+
+  // Stepping forward past the present makes no sense
+  const canStepForward = bounds.to.getTime() < Date.now() - 60 * 1000;
+
+  return (
+    <div className="space-y-2">
+      <div className="flex gap-2">
+        <button
+          onClick={() => step(-1)}
+          title="Previous window"
+          className="p-2 rounded-lg border border-gray-300 hover:bg-gray-50 transition-colors"
+        >
+          <ChevronLeft className="w-5 h-5" />
+        </button>
+        <select
+          value={showCustomInputs ? "custom" : value.range}
+          onChange={handlePresetChange}
+          className="flex-1 min-w-0 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+        >
+          {TIME_RANGE_PRESETS.map((preset) => (
+            <option key={preset.value} value={preset.value}>
+              {preset.label}
+            </option>
+          ))}
+          <option value="custom">Custom Range...</option>
+        </select>
+        <button
+          onClick={() => step(1)}
+          disabled={!canStepForward}
+          title="Next window"
+          className="p-2 rounded-lg border border-gray-300 hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+        >
+          <ChevronRight className="w-5 h-5" />
+        </button>
+      </div>
+
+      {showCustomInputs && (
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          <input
+            type="datetime-local"
+            value={fromInput}
+            max={toInput}
+            onChange={(e) => setFromInput(e.target.value)}
+            className="px-2 py-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          />
+          <span className="text-slate-500">to</span>
+          <input
+            type="datetime-local"
+            value={toInput}
+            min={fromInput}
+            onChange={(e) => setToInput(e.target.value)}
+            className="px-2 py-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          />
+          <button
+            onClick={applyCustom}
+            disabled={!draftValid}
+            className="px-3 py-1 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:bg-gray-400 disabled:cursor-not-allowed flex items-center gap-1"
+          >
+            <Check className="w-4 h-4" />
+            Apply
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TimeRangePicker;
@@ -0,0 +1,39 @@
+import React from "react";
+import { Globe } from "lucide-react";
+import { useSettings } from "../hooks/useSettings";
+import { TIME_ZONE_MODES } from "../utils/timeFormat";
+
+// Picks the time zone dates and times are displayed in. The choice applies
+// app-wide and is remembered in this browser.
+const TimeZoneSelect = ({ sensor }) => {
+  const { timeZoneMode, saveTimeZoneMode } = useSettings();
+
+  const optionLabel = (mode) => {
+    if (mode.value !== "site") return mode.label;
+    return sensor?.timezone
+      ? `${mode.label} (${sensor.timezone})`
+      : `${mode.label} (not set, local)`;
+  };
+
+  return (
+    <label
+      className="flex items-center gap-2 text-sm text-slate-700"
+      title="Time zone for dates and times"
+    >
+      <Globe className="w-4 h-4 text-slate-500" />
+      <select
+        value={timeZoneMode}
+        onChange={(e) => saveTimeZoneMode(e.target.value)}
+        className="px-2 py-1.5 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+      >
+        {TIME_ZONE_MODES.map((mode) => (
+          <option key={mode.value} value={mode.value}>
+            {optionLabel(mode)}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+};
+
+export default TimeZoneSelect;
@@ -0,0 +1,151 @@
+import React, { useState, useEffect, useCallback, useRef } from "react";
+import { useAuth } from "./AuthContext";
+import { AlertsContext } from "../hooks/useAlerts";
+import { describePeak, describeRule, worsePeak } from "../utils/alerts";
+
+const MAX_ALERTS = 100;
+
+// Breaches that ended longer ago than this only go to the inbox, without a
+// browser notification (e.g. when browsing last month's data)
+const NOTIFY_WINDOW_MS = 15 * 60 * 1000;
+
+const notificationsSupported = () => typeof Notification !== "undefined";
+
+const storageKey = (username) => `alert_inbox_${username}`;
+
+const readInbox = (username) => {
+  if (!username) return [];
+  try {
+    return JSON.parse(localStorage.getItem(storageKey(username))) || [];
+  } catch {
+    return [];
+  }
+};
+
+const alertKey = (breach) => `${breach.rule.id}:${breach.start}`;
+
+// A breach overlapping an alert of the same rule is that alert seen again,
+// possibly with a later start once live mode dropped its first readings
+const isSameBreach = (alert, breach) =>
+  alert.key === alertKey(breach) ||
+  (alert.ruleId === breach.rule.id &&
+    breach.start <= alert.end &&
+    breach.end >= alert.start);
+
+// In-app alert inbox, persisted per user, plus browser notifications for
+// fresh breaches while the tab is open
+export const AlertsProvider = ({ children }) => {
+  const { user } = useAuth();
+  const username = user?.username;
+  const [alerts, setAlerts] = useState([]);
+  const [permission, setPermission] = useState(() =>
+    notificationsSupported() ? Notification.permission : "unsupported",
+  );
+  // Mirrors `alerts` so reportBreaches can dedupe without a stale closure
+  const alertsRef = useRef([]);
+
+  // Load the signed-in user's inbox
+  useEffect(() => {
+    alertsRef.current = readInbox(username);
+    setAlerts(alertsRef.current);
+  }, [username]);
+
+  const updateAlerts = useCallback(
+    (next) => {
+      alertsRef.current = next;
+      setAlerts(next);
+      if (username) {
+        localStorage.setItem(storageKey(username), JSON.stringify(next));
+      }
+    },
+    [username],
+  );
+
+  const reportBreaches = useCallback(
+    (sensor, breaches) => {
+      const current = [...alertsRef.current];
+      const fresh = [];
+      let extended = false;
+
+      breaches.forEach((breach) => {
+        const index = current.findIndex((a) => isSameBreach(a, breach));
+        if (index === -1) {
+          fresh.push({
+            key: alertKey(breach),
+            ruleId: breach.rule.id,
+            sensorId: sensor.id,
+            sensorName: sensor.name,
+            metric: breach.rule.metric,
+            message: describeRule(breach.rule),
+            peak: breach.peak,
+            peakLabel: describePeak(breach.rule, breach.peak),
+            start: breach.start,
+            end: breach.end,
+            read: false,
+          });
+          return;
+        }
+
+        // Known: keep it up to date while the breach goes on, without
+        // notifying again
+        const alert = current[index];
+        const end = Math.max(alert.end, breach.end);
+        const peak = worsePeak(breach.rule, alert.peak, breach.peak);
+        if (end !== alert.end || peak !== alert.peak) {
+          current[index] = {
+            ...alert,
+            end,
+            peak,
+            peakLabel: describePeak(breach.rule, peak),
+          };
+          extended = true;
+        }
+      });
+
+      if (fresh.length === 0 && !extended) return;
+
+      updateAlerts(
+        [...fresh, ...current]
+          .sort((a, b) => b.start - a.start)
+          .slice(0, MAX_ALERTS),
+      );
+
+      if (notificationsSupported() && Notification.permission === "granted") {
+        fresh
+          .filter((alert) => Date.now() - alert.end < NOTIFY_WINDOW_MS)
+          .forEach((alert) => {
+            new Notification(`Alert: ${alert.sensorName}`, {
+              body: `${alert.message} (peak ${alert.peakLabel})`,
+              tag: alert.key,
+            });
+          });
+      }
+    },
+    [updateAlerts],
+  );
+
+  const markAllRead = useCallback(() => {
+    updateAlerts(alertsRef.current.map((a) => ({ ...a, read: true })));
+  }, [updateAlerts]);
+
+  const clearAlerts = useCallback(() => updateAlerts([]), [updateAlerts]);
+
+  const requestNotificationPermission = useCallback(async () => {
+    if (!notificationsSupported()) return;
+    setPermission(await Notification.requestPermission());
+  }, []);
+
+  const value = {
+    alerts,
+    unreadCount: alerts.filter((a) => !a.read).length,
+    reportBreaches,
+    markAllRead,
+    clearAlerts,
+    notificationPermission: permission,
+    requestNotificationPermission,
+  };
+
+  return (
+    <AlertsContext.Provider value={value}>{children}</AlertsContext.Provider>
+  );
+};
@@ -1,7 +1,59 @@
-import React, { createContext, useContext, useState, useEffect } from "react";
+import React, {
+  createContext,
+  useContext,
+  useState,
+  useEffect,
+  useCallback,
+} from "react";
+import { ApiError, request } from "../api/client";
+import { clearOfflineCache } from "../api/offlineStore";
+import { clearQueryCache } from "../api/queryCache";
+import { getTokenExpiry, getTokenIssuedAt, isTokenExpired } from "../utils/jwt";
 
 const AuthContext = createContext(null);
 
+// Endpoint used to exchange a token that is about to expire for a fresh one
+const REFRESH_PATH = import.meta.env.VITE_AUTH_REFRESH_PATH || "/users/refresh";
+
+// How long before expiry to refresh silently or warn the user, but at most
+// this share of the token's lifetime, so a short-lived token isn't refreshed
+// as soon as it arrives
+const SESSION_WARNING_MS = 2 * 60 * 1000;
+const SESSION_WARNING_SHARE = 0.2;
+
+// Minimum wait before a refresh, however short-lived the token
+const MIN_REFRESH_DELAY_MS = 10 * 1000;
+
+// Web Lock held while refreshing, so only one tab spends the refresh token
+const REFRESH_LOCK = "auth_refresh";
+
+// setTimeout overflows (and fires immediately) past ~24.8 days
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+
+// Statuses meaning the backend has no refresh endpoint at all
+const REFRESH_UNSUPPORTED_STATUSES = [404, 405, 501];
+
+const readStoredSession = () => {
+  const storedToken = localStorage.getItem("jwt_token");
+  const storedUser = localStorage.getItem("user");
+
+  if (!storedToken || !storedUser || isTokenExpired(storedToken)) {
+    return null;
+  }
+
+  return {
+    token: storedToken,
+    user: JSON.parse(storedUser),
+    refreshToken: localStorage.getItem("refresh_token"),
+  };
+};
+
+const clearStoredSession = () => {
+  localStorage.removeItem("jwt_token");
+  localStorage.removeItem("user");
+  localStorage.removeItem("refresh_token");
+};
+
 export const useAuth = () => {
   const context = useContext(AuthContext);
   if (!context) {
@@ -13,42 +65,147 @@ export const useAuth = () => {
 export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
   const [token, setToken] = useState(null);
+  const [refreshToken, setRefreshToken] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [refreshSupported, setRefreshSupported] = useState(true);
+  // Token the expiry warning was raised for; a new token clears the warning
+  const [warnedToken, setWarnedToken] = useState(null);
 
-  // Check for existing token on mount
-  useEffect(() => {
-    const storedToken = localStorage.getItem("jwt_token");
-    const storedUser = localStorage.getItem("user");
+  const applySession = useCallback((session) => {
+    setToken(session?.token ?? null);
+    setUser(session?.user ?? null);
+    setRefreshToken(session?.refreshToken ?? null);
+  }, []);
 
-    if (storedToken && storedUser) {
-      setToken(storedToken);
-      setUser(JSON.parse(storedUser));
-    }
+  // Check for existing, unexpired token on mount
+  useEffect(() => {
+    const session = readStoredSession();
+    if (!session) clearStoredSession();
+    applySession(session);
     setLoading(false);
-  }, []);
+  }, [applySession]);
 
-  const login = (token, username, role) => {
+  // Keep every tab in sync: logging in, refreshing or logging out in one tab
+  // updates localStorage, which fires a `storage` event in all the others.
+  useEffect(() => {
+    const handleStorage = (e) => {
+      if (e.key !== null && e.key !== "jwt_token") return;
+      applySession(readStoredSession());
+    };
+
+    window.addEventListener("storage", handleStorage);
+    return () => window.removeEventListener("storage", handleStorage);
+  }, [applySession]);
+
+  const login = useCallback((token, username, role, refreshToken = null) => {
     const userData = { username, role };
     localStorage.setItem("jwt_token", token);
     localStorage.setItem("user", JSON.stringify(userData));
+    if (refreshToken) {
+      localStorage.setItem("refresh_token", refreshToken);
+    } else {
+      localStorage.removeItem("refresh_token");
+    }
     setToken(token);
     setUser(userData);
-  };
+    setRefreshToken(refreshToken);
+  }, []);
 
-  const logout = () => {
-    localStorage.removeItem("jwt_token");
-    localStorage.removeItem("user");
-    setToken(null);
-    setUser(null);
-  };
+  // Stable identity so effects depending on it don't re-run on every render
+  const logout = useCallback(() => {
+    clearStoredSession();
+    clearOfflineCache();
+    clearQueryCache();
+    applySession(null);
+  }, [applySession]);
+
+  // Exchanges the current token for a fresh one. Resolves with whether the
+  // refresh succeeded; failures leave the current session untouched. Tabs
+  // take turns: one that finds the token already replaced in storage by
+  // another just adopts the new session.
+  const refreshSession = useCallback(async () => {
+    if (!token) return false;
+
+    const refresh = async () => {
+      if (localStorage.getItem("jwt_token") !== token) {
+        const session = readStoredSession();
+        applySession(session);
+        return session !== null;
+      }
+
+      try {
+        const data = await request(REFRESH_PATH, {
+          method: "POST",
+          token,
+          body: refreshToken ? { refresh_token: refreshToken } : {},
+        });
+
+        const nextRefreshToken = data.refresh_token ?? refreshToken;
+        localStorage.setItem("jwt_token", data.token);
+        if (nextRefreshToken) {
+          localStorage.setItem("refresh_token", nextRefreshToken);
+        }
+        setToken(data.token);
+        setRefreshToken(nextRefreshToken);
+        return true;
+      } catch (err) {
+        if (
+          err instanceof ApiError &&
+          REFRESH_UNSUPPORTED_STATUSES.includes(err.status)
+        ) {
+          setRefreshSupported(false);
+        } else {
+          console.error("Session refresh failed:", err);
+        }
+        return false;
+      }
+    };
+
+    return navigator.locks
+      ? navigator.locks.request(REFRESH_LOCK, refresh)
+      : refresh();
+  }, [token, refreshToken, applySession]);
+
+  const expiresAt = getTokenExpiry(token);
+
+  // Refresh (or warn) shortly before the token expires, and log out once it
+  // has. Tokens without an `exp` claim are left to the backend's 401s.
+  useEffect(() => {
+    if (!expiresAt) return;
+
+    const timers = [];
+    const schedule = (callback, at) => {
+      const delay = Math.max(at - Date.now(), 0);
+      if (delay <= MAX_TIMEOUT_MS) timers.push(setTimeout(callback, delay));
+    };
+
+    const now = Date.now();
+    const lifetime = expiresAt - (getTokenIssuedAt(token) ?? now);
+    const lead = Math.min(SESSION_WARNING_MS, lifetime * SESSION_WARNING_SHARE);
+    schedule(
+      async () => {
+        if (refreshSupported && (await refreshSession())) return;
+        setWarnedToken(token);
+      },
+      Math.max(expiresAt - lead, now + MIN_REFRESH_DELAY_MS),
+    );
+    schedule(logout, expiresAt);
+
+    return () => timers.forEach(clearTimeout);
+  }, [token, expiresAt, refreshSupported, refreshSession, logout]);
 
   const value = {
     user,
     token,
     isAuthenticated: !!token,
+    isAdmin: user?.role === "admin",
     login,
     logout,
     loading,
+    sessionExpiresAt: expiresAt,
+    sessionExpiring: !!token && warnedToken === token,
+    refreshSupported,
+    refreshSession,
   };
 
   return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
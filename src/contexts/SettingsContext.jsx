@@ -0,0 +1,73 @@
+import React, { useState, useCallback } from "react";
+import { SettingsContext } from "../hooks/useSettings";
+import { DEFAULT_CHAIN_SETTINGS } from "../utils/chainConfig";
+import { AQI_STANDARDS, DEFAULT_AQI_STANDARD } from "../utils/aqi";
+
+const STORAGE_KEY = "chain_settings";
+const TIME_ZONE_KEY = "display_time_zone";
+const AQI_STANDARD_KEY = "aqi_standard";
+
+// Saved overrides on top of the build's defaults, so settings added later
+// still get their default value
+const readStoredSettings = () => {
+  try {
+    return {
+      ...DEFAULT_CHAIN_SETTINGS,
+      ...JSON.parse(localStorage.getItem(STORAGE_KEY)),
+    };
+  } catch {
+    return DEFAULT_CHAIN_SETTINGS;
+  }
+};
+
+const readTimeZoneMode = () => localStorage.getItem(TIME_ZONE_KEY) || "local";
+
+const readAqiStandard = () => {
+  const stored = localStorage.getItem(AQI_STANDARD_KEY);
+  return stored in AQI_STANDARDS ? stored : DEFAULT_AQI_STANDARD;
+};
+
+// Blockchain cluster and explorer settings, the time zone dates are
+// displayed in ("local", "utc" or "site") and the air quality index standard
+// ("epa" or "caqi"), stored in this browser
+export const SettingsProvider = ({ children }) => {
+  const [chainSettings, setChainSettings] = useState(readStoredSettings);
+  const [timeZoneMode, setTimeZoneMode] = useState(readTimeZoneMode);
+  const [aqiStandard, setAqiStandard] = useState(readAqiStandard);
+
+  const saveChainSettings = useCallback((next) => {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+    setChainSettings(next);
+  }, []);
+
+  const resetChainSettings = useCallback(() => {
+    localStorage.removeItem(STORAGE_KEY);
+    setChainSettings(DEFAULT_CHAIN_SETTINGS);
+  }, []);
+
+  const saveTimeZoneMode = useCallback((mode) => {
+    localStorage.setItem(TIME_ZONE_KEY, mode);
+    setTimeZoneMode(mode);
+  }, []);
+
+  const saveAqiStandard = useCallback((standard) => {
+    localStorage.setItem(AQI_STANDARD_KEY, standard);
+    setAqiStandard(standard);
+  }, []);
+
+  const value = {
+    chainSettings,
+    saveChainSettings,
+    resetChainSettings,
+    timeZoneMode,
+    saveTimeZoneMode,
+    aqiStandard,
+    saveAqiStandard,
+  };
+
+  return (
+    <SettingsContext.Provider value={value}>
+      {children}
+    </SettingsContext.Provider>
+  );
+};
@@ -0,0 +1,51 @@
+import { useState, useEffect } from "react";
+import { useApi } from "./useApi";
+import {
+  createAlertRule,
+  deleteAlertRule,
+  loadAlertRules,
+} from "../api/alertRules";
+
+// Alert rules of one sensor, stored on the server or in localStorage
+export const useAlertRules = (sensorId) => {
+  const api = useApi();
+  const [rules, setRules] = useState([]);
+  const [storage, setStorage] = useState("server");
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!sensorId) {
+      setRules([]);
+      return;
+    }
+
+    let cancelled = false;
+    setError(null);
+
+    loadAlertRules(api, sensorId)
+      .then((result) => {
+        if (cancelled) return;
+        setRules(result.rules);
+        setStorage(result.storage);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [api, sensorId]);
+
+  const addRule = async (rule) => {
+    const created = await createAlertRule(api, sensorId, rule, storage);
+    setRules((prev) => [...prev, created]);
+  };
+
+  const removeRule = async (ruleId) => {
+    await deleteAlertRule(api, sensorId, ruleId, storage);
+    setRules((prev) => prev.filter((r) => r.id !== ruleId));
+  };
+
+  return { rules, storage, error, addRule, removeRule };
+};
@@ -0,0 +1,13 @@
+import { createContext, useContext } from "react";
+
+// Provided by AlertsProvider (contexts/AlertsContext.jsx). Kept apart from
+// the provider so that file only exports components, as fast refresh needs.
+export const AlertsContext = createContext(null);
+
+export const useAlerts = () => {
+  const context = useContext(AlertsContext);
+  if (!context) {
+    throw new Error("useAlerts must be used within AlertsProvider");
+  }
+  return context;
+};
@@ -0,0 +1,19 @@
+import { useMemo } from "react";
+import { createApiClient } from "../api/client";
+import { useAuth } from "../contexts/AuthContext";
+
+// Delay before logging out, so the "Session expired" message can be read
+const LOGOUT_DELAY_MS = 2000;
+
+export const useApi = () => {
+  const { token, logout } = useAuth();
+
+  return useMemo(
+    () =>
+      createApiClient({
+        token,
+        onUnauthorized: () => setTimeout(() => logout(), LOGOUT_DELAY_MS),
+      }),
+    [token, logout],
+  );
+};
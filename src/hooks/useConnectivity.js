@@ -0,0 +1,9 @@
+import { useSyncExternalStore } from "react";
+import { getConnectivity, subscribeConnectivity } from "../api/connectivity";
+
+// `{ online, staleSince, reconnects }`: whether the backend is reachable,
+// since when cached data is shown (ms, or null), and how many times the
+// connection has come back. Pages add `reconnects` to their fetch effects'
+// dependencies to catch up after an outage.
+export const useConnectivity = () =>
+  useSyncExternalStore(subscribeConnectivity, getConnectivity);
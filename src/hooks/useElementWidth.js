@@ -0,0 +1,22 @@
+import { useState, useEffect } from "react";
+
+// Tracks the rendered width of an element. Returns `[ref, width]`, where
+// `ref` is a callback ref; width is 0 until the element is mounted.
+export const useElementWidth = () => {
+  const [element, setElement] = useState(null);
+  const [width, setWidth] = useState(0);
+
+  useEffect(() => {
+    if (!element) return;
+
+    setWidth(element.clientWidth);
+    const observer = new ResizeObserver(([entry]) => {
+      setWidth(Math.round(entry.contentRect.width));
+    });
+    observer.observe(element);
+
+    return () => observer.disconnect();
+  }, [element]);
+
+  return [setElement, width];
+};
@@ -0,0 +1,62 @@
+import { useState, useEffect, useRef } from "react";
+import { openLiveChannel } from "../api/live";
+import { useAuth } from "../contexts/AuthContext";
+
+const INITIAL_RETRY_MS = 1000;
+const MAX_RETRY_MS = 30000;
+
+// Exponential backoff with jitter, so many tabs don't reconnect in lockstep
+const retryDelay = (attempt) => {
+  const base = Math.min(INITIAL_RETRY_MS * 2 ** attempt, MAX_RETRY_MS);
+  return base / 2 + Math.random() * (base / 2);
+};
+
+// Subscribes to new readings for a sensor while `enabled`. Returns the
+// connection status: 'off', 'connecting', 'live' or 'reconnecting'.
+export const useLiveReadings = (sensorId, { enabled, onReading }) => {
+  const { token } = useAuth();
+  const [status, setStatus] = useState("off");
+  const onReadingRef = useRef(onReading);
+
+  useEffect(() => {
+    onReadingRef.current = onReading;
+  });
+
+  useEffect(() => {
+    if (!enabled || !sensorId || !token) {
+      setStatus("off");
+      return;
+    }
+
+    let channel = null;
+    let retryTimer = null;
+    let attempt = 0;
+    let stopped = false;
+
+    const connect = () => {
+      setStatus(attempt === 0 ? "connecting" : "reconnecting");
+      channel = openLiveChannel(sensorId, token, {
+        onOpen: () => {
+          attempt = 0;
+          setStatus("live");
+        },
+        onReading: (reading) => onReadingRef.current(reading),
+        onError: () => {
+          if (stopped) return;
+          setStatus("reconnecting");
+          retryTimer = setTimeout(connect, retryDelay(attempt++));
+        },
+      });
+    };
+
+    connect();
+
+    return () => {
+      stopped = true;
+      clearTimeout(retryTimer);
+      channel?.close();
+    };
+  }, [enabled, sensorId, token]);
+
+  return status;
+};
@@ -0,0 +1,81 @@
+import {
+  useEffect,
+  useRef,
+  useSyncExternalStore,
+  useCallback,
+  useMemo,
+} from "react";
+import {
+  fetchQuery,
+  getQueryState,
+  hashQueryKey,
+  subscribeQuery,
+} from "../api/queryCache";
+import { useConnectivity } from "./useConnectivity";
+
+// Results younger than this are shown without refetching
+const DEFAULT_STALE_TIME_MS = 30 * 1000;
+
+// Reads `key` from the shared query cache, fetching it with `fetcher` when
+// it is missing or older than `staleTime` (stale-while-revalidate: cached
+// data is returned right away and replaced once the refetch lands). Also
+// refetches when the backend comes back after an outage. `fetcher` receives
+// `{ signal }`, aborted when the key changes or the component unmounts
+// before the fetch finishes, so a slow response for a previous key can never
+// be shown under the current one.
+// Returns `{ data, error, loading, fetching, refetch }`, where `loading`
+// means there is no data to show yet.
+export const useQuery = (
+  key,
+  fetcher,
+  { enabled = true, staleTime = DEFAULT_STALE_TIME_MS } = {},
+) => {
+  // Keys are usually array literals, new on every render; the hash gives
+  // them a stable identity
+  const hash = hashQueryKey(key);
+  const stableKey = useMemo(() => JSON.parse(hash), [hash]);
+  const { reconnects } = useConnectivity();
+  const fetcherRef = useRef(fetcher);
+
+  useEffect(() => {
+    fetcherRef.current = fetcher;
+  });
+
+  const state = useSyncExternalStore(
+    useCallback((listener) => subscribeQuery(stableKey, listener), [stableKey]),
+    () => getQueryState(stableKey),
+  );
+
+  const refetch = useCallback(
+    () =>
+      fetchQuery(stableKey, (options) => fetcherRef.current(options)).catch(
+        () => {
+          // Surfaced through the query's `error`, or cancelled
+        },
+      ),
+    [stableKey],
+  );
+
+  useEffect(() => {
+    if (!enabled) return;
+    const { updatedAt } = getQueryState(stableKey);
+    if (Date.now() - updatedAt >= staleTime) refetch();
+  }, [stableKey, enabled, staleTime, refetch]);
+
+  // Caught up with what was missed while offline. Only a reconnect since the
+  // last run refetches; a new key is handled by the effect above.
+  const handledReconnectsRef = useRef(reconnects);
+  useEffect(() => {
+    if (reconnects === handledReconnectsRef.current) return;
+    handledReconnectsRef.current = reconnects;
+    if (enabled) refetch();
+  }, [reconnects, enabled, refetch]);
+
+  return {
+    data: state.data,
+    error: state.error,
+    loading: enabled && state.data === undefined && !state.error,
+    fetching: state.fetching,
+    refetch,
+  };
+};
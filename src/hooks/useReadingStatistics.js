@@ -0,0 +1,87 @@
+import { useState, useEffect, useRef } from "react";
+import { analyzeReadings } from "../utils/statistics";
+
+// Analyses `readings` in a Web Worker, re-running whenever they or the time
+// zone change. With `throttleMs` (e.g. while live readings stream in) runs
+// are at least that far apart, the latest readings being analysed once the
+// interval is up. Returns `{ stats, computing, error }`; `stats` keeps the
+// previous result while a new one is computed.
+export const useReadingStatistics = (
+  readings,
+  { timeZone, throttleMs = 0 } = {},
+) => {
+  const [stats, setStats] = useState(null);
+  const [computing, setComputing] = useState(false);
+  const [error, setError] = useState(null);
+  const workerRef = useRef(null);
+  const requestIdRef = useRef(0);
+  const lastRunRef = useRef(0);
+
+  useEffect(() => {
+    if (typeof Worker === "undefined") return;
+
+    const worker = new Worker(
+      new URL("../workers/statistics.worker.js", import.meta.url),
+      { type: "module" },
+    );
+    worker.onmessage = ({ data }) => {
+      // A newer request is in flight; its answer will follow
+      if (data.id !== requestIdRef.current) return;
+      if (data.error) {
+        setError(data.error);
+      } else {
+        setStats(data.result);
+      }
+      setComputing(false);
+    };
+    workerRef.current = worker;
+
+    return () => {
+      worker.terminate();
+      workerRef.current = null;
+    };
+  }, []);
+
+  useEffect(() => {
+    if (readings.length === 0) {
+      // The answer to a request still in flight no longer applies
+      requestIdRef.current++;
+      setStats(null);
+      setComputing(false);
+      return;
+    }
+
+    const analyze = () => {
+      lastRunRef.current = Date.now();
+      const id = ++requestIdRef.current;
+      const options = { timeZone };
+      setComputing(true);
+      setError(null);
+
+      if (workerRef.current) {
+        workerRef.current.postMessage({ id, readings, options });
+        return;
+      }
+
+      // No worker support: compute on the main thread
+      try {
+        setStats(analyzeReadings(readings, options));
+      } catch (err) {
+        setError(err.message);
+      } finally {
+        setComputing(false);
+      }
+    };
+
+    const wait = lastRunRef.current + throttleMs - Date.now();
+    if (wait <= 0) {
+      analyze();
+      return;
+    }
+    // Readings that arrive before then replace this pending run
+    const timer = setTimeout(analyze, wait);
+    return () => clearTimeout(timer);
+  }, [readings, timeZone, throttleMs]);
+
+  return { stats, computing, error };
+};
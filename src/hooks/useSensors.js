@@ -0,0 +1,26 @@
+import { useCallback } from "react";
+import { useApi } from "./useApi";
+import { useQuery } from "./useQuery";
+import { setQueryData } from "../api/queryCache";
+
+const SENSORS_KEY = ["sensors"];
+
+// The user's sensors, shared by every page through the query cache.
+// `setSensors` updates the cached list (e.g. optimistically after an edit),
+// taking a new list or an updater function like a state setter.
+export const useSensors = () => {
+  const api = useApi();
+  const query = useQuery(SENSORS_KEY, ({ signal }) =>
+    api.get("/sensors", { signal, offlineCache: true }),
+  );
+
+  const setSensors = useCallback(
+    (updater) =>
+      setQueryData(SENSORS_KEY, (prev = []) =>
+        typeof updater === "function" ? updater(prev) : updater,
+      ),
+    [],
+  );
+
+  return { ...query, sensors: query.data ?? [], setSensors };
+};
@@ -0,0 +1,13 @@
+import { createContext, useContext } from "react";
+
+// Provided by SettingsProvider (contexts/SettingsContext.jsx), which stays a
+// components-only module for fast refresh
+export const SettingsContext = createContext(null);
+
+export const useSettings = () => {
+  const context = useContext(SettingsContext);
+  if (!context) {
+    throw new Error("useSettings must be used within SettingsProvider");
+  }
+  return context;
+};
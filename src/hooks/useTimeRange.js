@@ -0,0 +1,31 @@
+import { useMemo } from "react";
+import { useSearchParams } from "react-router-dom";
+import { applyTimeRangeParams, parseTimeRangeParams } from "../utils/timeRange";
+
+// Time window kept in the URL query, so it survives reloads and shared links
+export const useTimeRange = (defaultRange) => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const range = searchParams.get("range");
+  const from = searchParams.get("from");
+  const to = searchParams.get("to");
+
+  // The same object until the window itself changes, so it can be an effect
+  // dependency without refiring when other params (compare, page) change
+  const timeRange = useMemo(() => {
+    const windowParams = new URLSearchParams();
+    if (range !== null) windowParams.set("range", range);
+    if (from !== null) windowParams.set("from", from);
+    if (to !== null) windowParams.set("to", to);
+    return parseTimeRangeParams(windowParams, defaultRange);
+  }, [range, from, to, defaultRange]);
+
+  const setTimeRange = (nextRange, { resetPage = false } = {}) => {
+    setSearchParams((prev) => {
+      const next = applyTimeRangeParams(prev, nextRange);
+      if (resetPage) next.delete("page");
+      return next;
+    });
+  };
+
+  return [timeRange, setTimeRange];
+};
@@ -8,3 +8,11 @@ createRoot(document.getElementById("root")).render(
     <App />
   </StrictMode>,
 );
+
+// Caches the app shell so the dashboard opens without a connection. Not in
+// development, where it would serve stale modules over Vite's dev server.
+if (import.meta.env.PROD && "serviceWorker" in navigator) {
+  window.addEventListener("load", () => {
+    navigator.serviceWorker.register("/sw.js");
+  });
+}
@@ -0,0 +1,135 @@
+// Threshold alert rules. A rule watches one metric of one sensor:
+//   { id, sensor_id, metric, min, max, duration_minutes }
+// and is breached while the value is below `min` or above `max` (either may
+// be null). With a duration, the breach has to last at least that long:
+// "CO₂ above 1000 ppm for 10 minutes" is { metric: "co2", max: 1000,
+// min: null, duration_minutes: 10 }. Any metric of the registry can be
+// watched.
+//
+// A category rule instead watches the reading's air quality index and is
+// breached while it is in `category` or a worse one of `standard`, using the
+// same index and categories the dashboard shows:
+//   { metric: "aqi", category: "unhealthy", standard: "epa",
+//     min: null, max: null, duration_minutes: 0 }
+
+import {
+  AQI_STANDARDS,
+  aqiCategory,
+  categoryThreshold,
+  computeAqi,
+} from "./aqi";
+import { formatMetric, getMetric } from "./metrics";
+
+export const isCategoryRule = (rule) => Boolean(rule.category);
+
+// Value `rule` watches in a reading
+const ruleValue = (rule, reading) =>
+  isCategoryRule(rule)
+    ? (computeAqi(reading, rule.standard)?.index ?? null)
+    : reading[rule.metric];
+
+// `{ min, max }` the watched value has to stay within
+const ruleLimits = (rule) =>
+  isCategoryRule(rule)
+    ? { min: null, max: categoryThreshold(rule.standard, rule.category) }
+    : { min: rule.min, max: rule.max };
+
+// How far `value` is outside the band `rule` allows
+const breachDistance = (rule, value) => {
+  const { min, max } = ruleLimits(rule);
+  return Math.max(
+    max !== null && max !== undefined ? value - max : 0,
+    min !== null && min !== undefined ? min - value : 0,
+  );
+};
+
+// Whichever of two peaks of `rule` is further from the allowed band
+export const worsePeak = (rule, a, b) =>
+  breachDistance(rule, b) > breachDistance(rule, a) ? b : a;
+
+export const isBreach = (rule, value) => {
+  const { min, max } = ruleLimits(rule);
+  return (
+    typeof value === "number" &&
+    ((max !== null && max !== undefined && value > max) ||
+      (min !== null && min !== undefined && value < min))
+  );
+};
+
+const describeCategory = (rule) => {
+  const standard = AQI_STANDARDS[rule.standard];
+  const category = standard?.categories.find((c) => c.key === rule.category);
+  return `${standard?.label ?? "AQI"} ${category?.label ?? rule.category} or worse`;
+};
+
+export const describeRule = (rule) => {
+  const duration = rule.duration_minutes
+    ? ` for ${rule.duration_minutes} min`
+    : "";
+  if (isCategoryRule(rule)) return `${describeCategory(rule)}${duration}`;
+
+  const { label, unit } = getMetric(rule.metric);
+  const suffix = unit ? ` ${unit}` : "";
+  const hasMin = rule.min !== null && rule.min !== undefined;
+  const hasMax = rule.max !== null && rule.max !== undefined;
+
+  let condition;
+  if (hasMin && hasMax) {
+    condition = `outside ${rule.min}–${rule.max}${suffix}`;
+  } else if (hasMax) {
+    condition = `above ${rule.max}${suffix}`;
+  } else {
+    condition = `below ${rule.min}${suffix}`;
+  }
+
+  return `${label} ${condition}${duration}`;
+};
+
+// "152 (Unhealthy)" for a category rule's peak index, "1200 ppm" otherwise
+export const describePeak = (rule, peak) => {
+  if (!isCategoryRule(rule)) return formatMetric(peak, rule.metric);
+  return `${peak} (${aqiCategory(rule.standard, peak).label})`;
+};
+
+// Periods in which a rule was breached, as `{ rule, start, end, peak }` with
+// millisecond timestamps. `readings` must be sorted by timestamp. A period
+// starts at the first breaching reading and ends at the last consecutive one.
+export const findBreaches = (readings, rule) => {
+  const minDuration = (rule.duration_minutes || 0) * 60 * 1000;
+  const breaches = [];
+  let current = null;
+
+  const close = () => {
+    if (current && current.end - current.start >= minDuration) {
+      breaches.push(current);
+    }
+    current = null;
+  };
+
+  readings.forEach((reading) => {
+    const value = ruleValue(rule, reading);
+    const time = new Date(reading.timestamp).getTime();
+
+    if (!isBreach(rule, value)) {
+      close();
+      return;
+    }
+
+    if (!current) {
+      current = { rule, start: time, end: time, peak: value };
+    } else {
+      current.end = time;
+      current.peak = worsePeak(rule, current.peak, value);
+    }
+  });
+  close();
+
+  return breaches;
+};
+
+export const findAllBreaches = (readings, rules) =>
+  rules.flatMap((rule) => findBreaches(readings, rule));
+
+// Rules a single reading violates, ignoring durations (used to flag rows)
+export const violatedRules = (reading, rules) =>
+  rules.filter((rule) => isBreach(rule, ruleValue(rule, reading)));
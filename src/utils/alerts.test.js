@@ -0,0 +1,86 @@
+import { describe, expect, it } from "vitest";
+import {
+  describePeak,
+  describeRule,
+  findBreaches,
+  isBreach,
+  violatedRules,
+  worsePeak,
+} from "./alerts";
+import { pollutantIndex } from "./aqi";
+
+const at = (minute) => new Date(Date.UTC(2025, 0, 1, 0, minute)).toISOString();
+
+describe("threshold rules", () => {
+  const rule = { id: 1, metric: "co2", min: null, max: 1000 };
+
+  it("breaches above max", () => {
+    expect(isBreach(rule, 1001)).toBe(true);
+    expect(isBreach(rule, 1000)).toBe(false);
+    expect(isBreach(rule, undefined)).toBe(false);
+  });
+
+  it("describes the limits with the metric's unit", () => {
+    expect(describeRule({ ...rule, duration_minutes: 10 })).toBe(
+      "CO₂ above 1000 ppm for 10 min",
+    );
+    expect(describePeak(rule, 1234)).toBe("1234 ppm");
+  });
+
+  it("keeps the peak furthest outside the band", () => {
+    const band = { ...rule, min: 400, max: 1000 };
+    expect(worsePeak(band, 1100, 1300)).toBe(1300);
+    expect(worsePeak(band, 1100, 200)).toBe(200);
+    expect(worsePeak(band, 300, 1050)).toBe(300);
+  });
+});
+
+describe("AQI category rules", () => {
+  const rule = {
+    id: 2,
+    metric: "aqi",
+    category: "unhealthy",
+    standard: "epa",
+    min: null,
+    max: null,
+  };
+
+  it("breaches on the computed index, not a reported one", () => {
+    // PM2.5 55.5 µg/m³ is index 151, the first "Unhealthy" value
+    expect(violatedRules({ pm25: 55.5 }, [rule])).toEqual([rule]);
+    expect(violatedRules({ pm25: 55.4 }, [rule])).toEqual([]);
+    expect(violatedRules({ pm25: 10, aqi: 180 }, [rule])).toEqual([]);
+  });
+
+  it("falls back to a reported EPA index", () => {
+    expect(violatedRules({ aqi: 151 }, [rule])).toEqual([rule]);
+  });
+
+  it("follows the rule's standard", () => {
+    const caqi = { ...rule, category: "high", standard: "caqi" };
+    // CAQI "High" is an index above 75; PM2.5 60 µg/m³ is 77
+    expect(violatedRules({ pm25: 60 }, [caqi])).toEqual([caqi]);
+    expect(violatedRules({ pm25: 50 }, [caqi])).toEqual([]);
+  });
+
+  it("reports breach periods with the peak index", () => {
+    const readings = [
+      { timestamp: at(0), pm25: 20 },
+      { timestamp: at(5), pm25: 60 },
+      { timestamp: at(10), pm25: 130 },
+      { timestamp: at(15), pm25: 20 },
+    ];
+    const [breach, ...rest] = findBreaches(readings, rule);
+    expect(rest).toEqual([]);
+    expect(breach.start).toBe(Date.parse(at(5)));
+    expect(breach.end).toBe(Date.parse(at(10)));
+    expect(breach.peak).toBe(pollutantIndex("epa", "pm25", 130));
+  });
+
+  it("describes the category and the peak", () => {
+    expect(describeRule({ ...rule, duration_minutes: 30 })).toBe(
+      "US EPA AQI Unhealthy or worse for 30 min",
+    );
+    expect(describePeak(rule, 190)).toBe("190 (Unhealthy)");
+  });
+});
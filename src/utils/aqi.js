@@ -0,0 +1,294 @@
+// Air quality index from pollutant concentrations, under two standards:
+//   epa   US EPA AQI, 0–500 in six categories
+//   caqi  European Common Air Quality Index (hourly background grid), 0–100+
+//         in five categories
+// Each pollutant's concentration is mapped to a sub-index by linear
+// interpolation within its breakpoint band; a reading's index is the highest
+// sub-index, and that pollutant is the dominant one. Everything here is pure,
+// so charts, tables and alerts can share it.
+
+// Registry metric (µg/m³) → ppb, for standards that tabulate NO₂ in ppb
+const NO2_UGM3_TO_PPB = 24.45 / 46.01;
+
+// Bands are [concentration low, high, index low, high]; concentrations are in
+// the registry's units after `convert`, truncated to `digits` decimals
+export const AQI_STANDARDS = {
+  epa: {
+    label: "US EPA AQI",
+    categories: [
+      {
+        key: "good",
+        label: "Good",
+        max: 50,
+        color: "#00e400",
+        guidance:
+          "Air quality is satisfactory, and air pollution poses little or no risk.",
+      },
+      {
+        key: "moderate",
+        label: "Moderate",
+        max: 100,
+        color: "#ffff00",
+        guidance:
+          "Air quality is acceptable. People who are unusually sensitive to air pollution should consider reducing prolonged or heavy exertion.",
+      },
+      {
+        key: "sensitive",
+        label: "Unhealthy for Sensitive Groups",
+        max: 150,
+        color: "#ff7e00",
+        guidance:
+          "People with heart or lung disease, older adults, children and teenagers should reduce prolonged or heavy exertion. The general public is less likely to be affected.",
+      },
+      {
+        key: "unhealthy",
+        label: "Unhealthy",
+        max: 200,
+        color: "#ff0000",
+        guidance:
+          "Everyone may begin to experience health effects and should reduce prolonged or heavy exertion; sensitive groups should avoid it.",
+      },
+      {
+        key: "very_unhealthy",
+        label: "Very Unhealthy",
+        max: 300,
+        color: "#8f3f97",
+        guidance:
+          "Health alert: everyone is at increased risk. Avoid prolonged or heavy exertion and keep windows closed.",
+      },
+      {
+        key: "hazardous",
+        label: "Hazardous",
+        max: Infinity,
+        color: "#7e0023",
+        guidance:
+          "Health warning of emergency conditions: everyone should avoid physical activity and stay indoors with filtered air.",
+      },
+    ],
+    pollutants: {
+      pm25: {
+        digits: 1,
+        bands: [
+          [0, 9.0, 0, 50],
+          [9.1, 35.4, 51, 100],
+          [35.5, 55.4, 101, 150],
+          [55.5, 125.4, 151, 200],
+          [125.5, 225.4, 201, 300],
+          [225.5, 325.4, 301, 500],
+        ],
+      },
+      pm10: {
+        digits: 0,
+        bands: [
+          [0, 54, 0, 50],
+          [55, 154, 51, 100],
+          [155, 254, 101, 150],
+          [255, 354, 151, 200],
+          [355, 424, 201, 300],
+          [425, 604, 301, 500],
+        ],
+      },
+      no2: {
+        digits: 0,
+        convert: (value) => value * NO2_UGM3_TO_PPB,
+        bands: [
+          [0, 53, 0, 50],
+          [54, 100, 51, 100],
+          [101, 360, 101, 150],
+          [361, 649, 151, 200],
+          [650, 1249, 201, 300],
+          [1250, 2049, 301, 500],
+        ],
+      },
+    },
+    // Sensors that report an index themselves report it on this scale
+    acceptsReportedIndex: true,
+  },
+  caqi: {
+    label: "EU CAQI",
+    categories: [
+      {
+        key: "very_low",
+        label: "Very low",
+        max: 25,
+        color: "#79bc6a",
+        guidance: "Air quality is very good. Enjoy your usual activities.",
+      },
+      {
+        key: "low",
+        label: "Low",
+        max: 50,
+        color: "#bbcf4c",
+        guidance:
+          "Air quality is good. There is no need to change your usual activities.",
+      },
+      {
+        key: "medium",
+        label: "Medium",
+        max: 75,
+        color: "#eec20b",
+        guidance:
+          "Air quality is moderate. Sensitive people should consider reducing intense activity, especially outdoors.",
+      },
+      {
+        key: "high",
+        label: "High",
+        max: 100,
+        color: "#f29305",
+        guidance:
+          "Air quality is poor. Sensitive people should reduce physical exertion; everyone should consider reducing intense activity.",
+      },
+      {
+        key: "very_high",
+        label: "Very high",
+        max: Infinity,
+        color: "#e8416f",
+        guidance:
+          "Air quality is very poor. Everyone should reduce physical exertion; sensitive people should avoid it.",
+      },
+    ],
+    // The top band is open-ended and continues at the slope of the one
+    // below it
+    pollutants: {
+      pm25: {
+        digits: 1,
+        bands: [
+          [0, 15, 0, 25],
+          [15, 30, 25, 50],
+          [30, 55, 50, 75],
+          [55, 110, 75, 100],
+          [110, Infinity, 100, Infinity],
+        ],
+      },
+      pm10: {
+        digits: 0,
+        bands: [
+          [0, 25, 0, 25],
+          [25, 50, 25, 50],
+          [50, 90, 50, 75],
+          [90, 180, 75, 100],
+          [180, Infinity, 100, Infinity],
+        ],
+      },
+      no2: {
+        digits: 0,
+        bands: [
+          [0, 50, 0, 25],
+          [50, 100, 25, 50],
+          [100, 200, 50, 75],
+          [200, 400, 75, 100],
+          [400, Infinity, 100, Infinity],
+        ],
+      },
+    },
+    acceptsReportedIndex: false,
+  },
+};
+
+export const DEFAULT_AQI_STANDARD = "epa";
+
+export const AQI_POLLUTANTS = ["pm25", "pm10", "no2"];
+
+const standardFor = (standard) =>
+  AQI_STANDARDS[standard] ?? AQI_STANDARDS[DEFAULT_AQI_STANDARD];
+
+const truncate = (value, digits) => {
+  const factor = 10 ** digits;
+  return Math.floor(value * factor) / factor;
+};
+
+const isMeasurement = (value) =>
+  typeof value === "number" && Number.isFinite(value) && value >= 0;
+
+// Sub-index of one pollutant concentration (registry units), or null when
+// the standard doesn't cover the pollutant or the value is not a
+// concentration. Values past the top of a closed scale are capped there.
+export const pollutantIndex = (standard, metric, value) => {
+  const table = standardFor(standard).pollutants[metric];
+  if (!table || !isMeasurement(value)) return null;
+
+  const concentration = truncate(
+    table.convert ? table.convert(value) : value,
+    table.digits,
+  );
+  const { bands } = table;
+  const index = bands.findIndex(([, hi]) => concentration <= hi);
+  if (index === -1) return bands[bands.length - 1][3];
+
+  const [cLo, cHi, iLo, iHi] = bands[index];
+  if (cHi === Infinity) {
+    const [pLo, pHi, piLo, piHi] = bands[index - 1];
+    const slope = (piHi - piLo) / (pHi - pLo);
+    return Math.round(iLo + (concentration - cLo) * slope);
+  }
+  return Math.round(iLo + ((iHi - iLo) / (cHi - cLo)) * (concentration - cLo));
+};
+
+// Category an index falls in
+export const aqiCategory = (standard, index) =>
+  standardFor(standard).categories.find((category) => index <= category.max);
+
+// Index above which a reading is in category `key` or a worse one, so alert
+// rules fire on the same categories the dashboard shows. Null for the first
+// category (every reading is in it or worse) and for unknown keys.
+export const categoryThreshold = (standard, key) => {
+  const { categories } = standardFor(standard);
+  const index = categories.findIndex((category) => category.key === key);
+  return index > 0 ? categories[index - 1].max : null;
+};
+
+// `{ index, category, dominant }` for a reading, where `dominant` is the
+// pollutant with the highest sub-index (null for a sensor-reported index),
+// or null when the reading has nothing the standard can rate
+export const computeAqi = (reading, standard = DEFAULT_AQI_STANDARD) => {
+  let best = null;
+  AQI_POLLUTANTS.forEach((metric) => {
+    const index = pollutantIndex(standard, metric, reading?.[metric]);
+    if (index !== null && (best === null || index > best.index)) {
+      best = { index, dominant: metric };
+    }
+  });
+
+  if (
+    best === null &&
+    standardFor(standard).acceptsReportedIndex &&
+    isMeasurement(reading?.aqi)
+  ) {
+    best = { index: Math.round(reading.aqi), dominant: null };
+  }
+
+  return best && { ...best, category: aqiCategory(standard, best.index) };
+};
+
+// Category bands in a metric's own units, for shading behind its chart:
+// `[{ from, to, category }]`, the last one open-ended (`to` Infinity).
+// Pollutants get concentration ranges; the reported "aqi" metric gets index
+// ranges when the standard uses that scale. Other metrics get none.
+export const categoryBands = (standard, metric) => {
+  const definition = standardFor(standard);
+
+  if (metric === "aqi") {
+    if (!definition.acceptsReportedIndex) return [];
+    return definition.categories.map((category, i) => ({
+      from: i === 0 ? 0 : definition.categories[i - 1].max,
+      to: category.max,
+      category,
+    }));
+  }
+
+  const table = definition.pollutants[metric];
+  if (!table) return [];
+  // Band edges back in registry units (conversions are proportional)
+  const toRegistry = (concentration) =>
+    table.convert ? concentration / table.convert(1) : concentration;
+
+  // Each band runs up to the next one's start, closing the gaps left by
+  // truncation (e.g. 9.0–9.1 µg/m³), and is coloured by the category just
+  // inside its lowest index
+  return table.bands.map(([cLo, , iLo], i) => ({
+    from: toRegistry(cLo),
+    to:
+      i + 1 < table.bands.length ? toRegistry(table.bands[i + 1][0]) : Infinity,
+    category: aqiCategory(standard, iLo + 1),
+  }));
+};
@@ -0,0 +1,140 @@
+import { describe, expect, it } from "vitest";
+import {
+  aqiCategory,
+  categoryBands,
+  categoryThreshold,
+  computeAqi,
+  pollutantIndex,
+} from "./aqi";
+
+describe("pollutantIndex", () => {
+  it("interpolates EPA PM2.5 within its band", () => {
+    expect(pollutantIndex("epa", "pm25", 0)).toBe(0);
+    expect(pollutantIndex("epa", "pm25", 12)).toBe(56);
+  });
+
+  it("puts EPA PM2.5 band edges in the right band", () => {
+    expect(pollutantIndex("epa", "pm25", 9.0)).toBe(50);
+    expect(pollutantIndex("epa", "pm25", 9.1)).toBe(51);
+    expect(pollutantIndex("epa", "pm25", 35.4)).toBe(100);
+    expect(pollutantIndex("epa", "pm25", 35.5)).toBe(101);
+  });
+
+  it("truncates before looking up the band", () => {
+    // 9.05 truncates to 9.0, not up into the next band
+    expect(pollutantIndex("epa", "pm25", 9.05)).toBe(50);
+    expect(pollutantIndex("epa", "pm10", 54.9)).toBe(50);
+  });
+
+  it("caps the EPA scale at 500", () => {
+    expect(pollutantIndex("epa", "pm25", 325.4)).toBe(500);
+    expect(pollutantIndex("epa", "pm25", 1000)).toBe(500);
+    expect(pollutantIndex("epa", "pm10", 5000)).toBe(500);
+  });
+
+  it("converts NO₂ from µg/m³ to ppb for the EPA table", () => {
+    // 200 µg/m³ ≈ 106 ppb
+    expect(pollutantIndex("epa", "no2", 200)).toBe(102);
+  });
+
+  it("extends the open CAQI top band at the slope below it", () => {
+    expect(pollutantIndex("caqi", "pm25", 15)).toBe(25);
+    expect(pollutantIndex("caqi", "pm25", 110)).toBe(100);
+    expect(pollutantIndex("caqi", "no2", 500)).toBe(113);
+  });
+
+  it("returns null for pollutants the standard doesn't rate", () => {
+    expect(pollutantIndex("epa", "co2", 800)).toBeNull();
+    expect(pollutantIndex("caqi", "o3", 40)).toBeNull();
+  });
+
+  it("returns null for missing or invalid values", () => {
+    expect(pollutantIndex("epa", "pm25", undefined)).toBeNull();
+    expect(pollutantIndex("epa", "pm25", -1)).toBeNull();
+    expect(pollutantIndex("epa", "pm25", NaN)).toBeNull();
+  });
+
+  it("falls back to EPA for an unknown standard", () => {
+    expect(pollutantIndex("who", "pm25", 12)).toBe(56);
+  });
+});
+
+describe("aqiCategory", () => {
+  it("includes the upper edge in each category", () => {
+    expect(aqiCategory("epa", 50).key).toBe("good");
+    expect(aqiCategory("epa", 51).key).toBe("moderate");
+    expect(aqiCategory("epa", 150).key).toBe("sensitive");
+    expect(aqiCategory("epa", 500).key).toBe("hazardous");
+    expect(aqiCategory("caqi", 25).key).toBe("very_low");
+    expect(aqiCategory("caqi", 101).key).toBe("very_high");
+  });
+});
+
+describe("categoryThreshold", () => {
+  it("is the upper edge of the category below", () => {
+    expect(categoryThreshold("epa", "unhealthy")).toBe(150);
+    expect(categoryThreshold("caqi", "high")).toBe(75);
+  });
+
+  it("is null for the first category and unknown keys", () => {
+    expect(categoryThreshold("epa", "good")).toBeNull();
+    expect(categoryThreshold("epa", "very_high")).toBeNull();
+  });
+});
+
+describe("computeAqi", () => {
+  it("takes the highest sub-index as the dominant pollutant", () => {
+    const aqi = computeAqi({ pm25: 40, pm10: 20 }, "epa");
+    expect(aqi.index).toBe(112);
+    expect(aqi.dominant).toBe("pm25");
+    expect(aqi.category.key).toBe("sensitive");
+  });
+
+  it("uses a reported index on the EPA scale only", () => {
+    expect(computeAqi({ aqi: 72 }, "epa")).toMatchObject({
+      index: 72,
+      dominant: null,
+    });
+    expect(computeAqi({ aqi: 72 }, "caqi")).toBeNull();
+  });
+
+  it("prefers pollutant concentrations over a reported index", () => {
+    expect(computeAqi({ aqi: 10, pm25: 40 }, "epa").index).toBe(112);
+  });
+
+  it("returns null when nothing can be rated", () => {
+    expect(computeAqi({ co2: 500, temperature: 21 }, "epa")).toBeNull();
+    expect(computeAqi(undefined, "epa")).toBeNull();
+  });
+});
+
+describe("categoryBands", () => {
+  it("covers the concentration axis without gaps", () => {
+    const bands = categoryBands("epa", "pm25");
+    expect(bands.map((b) => b.category.key)).toEqual([
+      "good",
+      "moderate",
+      "sensitive",
+      "unhealthy",
+      "very_unhealthy",
+      "hazardous",
+    ]);
+    expect(bands[0]).toMatchObject({ from: 0, to: 9.1 });
+    expect(bands[1]).toMatchObject({ from: 9.1, to: 35.5 });
+    expect(bands[bands.length - 1].to).toBe(Infinity);
+  });
+
+  it("converts NO₂ band edges back to µg/m³", () => {
+    const [, moderate] = categoryBands("epa", "no2");
+    expect(moderate.from).toBeCloseTo(54 / (24.45 / 46.01));
+  });
+
+  it("gives index bands for a reported AQI on the EPA scale", () => {
+    expect(categoryBands("epa", "aqi")[1]).toMatchObject({ from: 50, to: 100 });
+    expect(categoryBands("caqi", "aqi")).toEqual([]);
+  });
+
+  it("gives no bands for metrics the standard doesn't rate", () => {
+    expect(categoryBands("epa", "co2")).toEqual([]);
+  });
+});
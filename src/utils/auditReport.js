@@ -0,0 +1,333 @@
+import {
+  DEFAULT_CHAIN_SETTINGS,
+  clusterLabel,
+  explorerTxUrl,
+} from "./chainConfig";
+import { formatTimeRange, resolveTimeRange } from "./timeRange";
+import { sha256Hex } from "./readingProof";
+import { CHAIN_STATUSES, readingStatus } from "./chainStatus";
+import { PAGE_HEIGHT, PAGE_WIDTH, createPdf, textWidth } from "./pdf";
+import { metricTitle, metricsIn } from "./metrics";
+
+// Readings lacking the metric are skipped
+const metricSummary = (allValues) => {
+  const values = allValues.filter((v) => typeof v === "number");
+  if (values.length === 0) return { min: null, max: null, avg: null };
+  // One pass instead of spreading into Math.min/max, which overflows the
+  // stack on long ranges
+  const { min, max, sum } = values.reduce(
+    (acc, v) => ({
+      min: Math.min(acc.min, v),
+      max: Math.max(acc.max, v),
+      sum: acc.sum + v,
+    }),
+    { min: Infinity, max: -Infinity, sum: 0 },
+  );
+  return { min, max, avg: Number((sum / values.length).toFixed(2)) };
+};
+
+// Collects everything an audit report shows, with a column and a summary
+// line for every registry metric the readings report. `verification` and
+// `verifiedAt`
+// map reading ids to the last verification result and when it was obtained;
+// `chainSettings` picks the cluster and explorer links.
+// `hash` is the hex SHA-256 of the JSON of every other field, so a copy of
+// the report can be checked against the original.
+export const buildAuditReport = async ({
+  sensor,
+  timeRange,
+  readings,
+  verification = {},
+  verifiedAt = {},
+  chainSettings = DEFAULT_CHAIN_SETTINGS,
+  generatedAt = new Date(),
+}) => {
+  const { from, to } = resolveTimeRange(timeRange, generatedAt);
+  const metrics = metricsIn(readings).map((metric) => metric.key);
+  const counts = Object.fromEntries(
+    Object.keys(CHAIN_STATUSES).map((status) => [status, 0]),
+  );
+
+  const rows = readings.map((reading) => {
+    const status = readingStatus({
+      ...reading,
+      verified: verification[reading.id] ?? reading.verified,
+    });
+    counts[status]++;
+    return {
+      id: reading.id,
+      timestamp: new Date(reading.timestamp).toISOString(),
+      ...Object.fromEntries(metrics.map((key) => [key, reading[key]])),
+      tx_signature: reading.tx_signature || "",
+      explorer_url: reading.tx_signature
+        ? explorerTxUrl(reading.tx_signature, chainSettings)
+        : null,
+      status,
+      verified_at: verifiedAt[reading.id]
+        ? new Date(verifiedAt[reading.id]).toISOString()
+        : null,
+    };
+  });
+
+  const contents = {
+    sensor: {
+      id: sensor.id,
+      name: sensor.name,
+      location: sensor.location ?? "",
+    },
+    range: {
+      label: formatTimeRange(timeRange),
+      from: from.toISOString(),
+      to: to.toISOString(),
+    },
+    cluster: clusterLabel(chainSettings),
+    generated_at: generatedAt.toISOString(),
+    metrics,
+    summary: {
+      readings: rows.length,
+      ...Object.fromEntries(
+        metrics.map((key) => [key, metricSummary(rows.map((r) => r[key]))]),
+      ),
+    },
+    counts,
+    readings: rows,
+  };
+
+  return { ...contents, hash: await sha256Hex(JSON.stringify(contents)) };
+};
+
+const formatValue = (value) =>
+  typeof value === "number" ? value.toFixed(2) : "–";
+
+const summaryLines = (report) => [
+  ["Sensor", `${report.sensor.name} (#${report.sensor.id})`],
+  ["Location", report.sensor.location],
+  [
+    "Range",
+    `${report.range.label} (${report.range.from} – ${report.range.to})`,
+  ],
+  ["Cluster", `Solana ${report.cluster}`],
+  ["Generated", report.generated_at],
+  ["Readings", String(report.summary.readings)],
+  ...report.metrics.map((key) => {
+    const { min, max, avg } = report.summary[key];
+    return [
+      metricTitle(key),
+      `min ${formatValue(min)}, max ${formatValue(max)}, avg ${formatValue(avg)}`,
+    ];
+  }),
+  [
+    "Status",
+    Object.entries(CHAIN_STATUSES)
+      .map(([status, { text }]) => `${report.counts[status]} ${text}`)
+      .join(", "),
+  ],
+];
+
+const HASH_NOTE =
+  "SHA-256 of the report contents (JSON of every field except this hash)";
+
+const escapeHtml = (text) =>
+  String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const STATUS_COLORS = {
+  pending: "#a16207",
+  on_chain: "#1d4ed8",
+  verified: "#15803d",
+  invalid: "#b91c1c",
+};
+
+// Standalone, printable HTML document
+export const renderAuditReportHtml = (report) => {
+  const summary = summaryLines(report)
+    .map(
+      ([key, value]) =>
+        `<tr><th>${escapeHtml(key)}</th><td>${escapeHtml(value)}</td></tr>`,
+    )
+    .join("");
+
+  const rows = report.readings
+    .map(
+      (r) => `<tr>
+<td>${escapeHtml(r.timestamp)}</td>
+${report.metrics.map((key) => `<td class="num">${formatValue(r[key])}</td>`).join("")}
+<td style="color:${STATUS_COLORS[r.status]}">${CHAIN_STATUSES[r.status].text}</td>
+<td>${r.verified_at ? escapeHtml(r.verified_at) : "–"}</td>
+<td class="mono">${
+        r.tx_signature
+          ? `<a href="${escapeHtml(r.explorer_url)}">${escapeHtml(
+              r.tx_signature,
+            )}</a>`
+          : "–"
+      }</td>
+</tr>`,
+    )
+    .join("\n");
+
+  const metricHeaders = report.metrics
+    .map((key) => `<th class="num">${escapeHtml(metricTitle(key))}</th>`)
+    .join("");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Verification report – ${escapeHtml(report.sensor.name)}</title>
+<style>
+  body { font-family: system-ui, sans-serif; color: #1e293b; margin: 2rem; }
+  h1 { font-size: 1.5rem; margin-bottom: 1rem; }
+  table { border-collapse: collapse; width: 100%; font-size: 0.8rem; }
+  th, td { text-align: left; padding: 0.3rem 0.5rem; border-bottom: 1px solid #e2e8f0; }
+  .summary { width: auto; margin-bottom: 1.5rem; font-size: 0.9rem; }
+  .summary th { padding-right: 2rem; }
+  .num { text-align: right; }
+  .mono { font-family: ui-monospace, monospace; word-break: break-all; }
+  .hash { margin-top: 1.5rem; font-size: 0.8rem; }
+  a { color: inherit; }
+  @media print { .no-print { display: none; } body { margin: 0; } }
+</style>
+</head>
+<body>
+<button class="no-print" onclick="window.print()">Print</button>
+<h1>Verification report</h1>
+<table class="summary">${summary}</table>
+<table>
+<thead><tr><th>Timestamp (UTC)</th>${metricHeaders}<th>Status</th><th>Verified at (UTC)</th><th>Transaction</th></tr></thead>
+<tbody>
+${rows}
+</tbody>
+</table>
+<p class="hash">${HASH_NOTE}:<br><span class="mono">${report.hash}</span></p>
+</body>
+</html>
+`;
+};
+
+const MARGIN = 40;
+const ROW_HEIGHT = 12;
+const HEADER_SIZE = 8;
+const SIGNATURE_SIZE = 6.5;
+
+// Solana signatures are at most 88 base58 characters
+const SIGNATURE_WIDTH = textWidth("x".repeat(88), SIGNATURE_SIZE, "mono");
+
+// Table layout: the timestamp, one column per metric (as wide as its title),
+// status and verification time, each with its x position. The transaction
+// signature follows on the same line when it fits (`transaction.line` 0), or
+// on a second line of each row, under the metrics (1).
+const tableLayout = (metrics) => {
+  const widths = [
+    ["Timestamp (UTC)", 125],
+    ...metrics.map((key) => [
+      metricTitle(key),
+      Math.max(
+        45,
+        Math.ceil(textWidth(metricTitle(key), HEADER_SIZE, "bold")) + 8,
+      ),
+    ]),
+    ["Status", 55],
+    ["Verified at (UTC)", 105],
+  ];
+  let x = MARGIN;
+  const columns = widths.map(([title, width]) => {
+    const column = { title, x };
+    x += width;
+    return column;
+  });
+
+  const transaction =
+    x + SIGNATURE_WIDTH <= PAGE_WIDTH - MARGIN
+      ? { x, line: 0 }
+      : { x: columns[1].x, line: 1 };
+  return { columns, transaction };
+};
+
+export const renderAuditReportPdf = (report) => {
+  const pdf = createPdf();
+  const footerY = PAGE_HEIGHT - MARGIN + 10;
+  let y = MARGIN;
+  const { columns, transaction } = tableLayout(report.metrics);
+  const rowHeight = (transaction.line + 1) * ROW_HEIGHT;
+
+  const footer = () => {
+    pdf.text(MARGIN, footerY, `Report hash: ${report.hash}`, {
+      size: 7,
+      font: "mono",
+      color: [100, 116, 139],
+    });
+  };
+
+  const tableHeader = () => {
+    columns.forEach(({ title, x }) =>
+      pdf.text(x, y, title, { size: HEADER_SIZE, font: "bold" }),
+    );
+    pdf.text(transaction.x, y + transaction.line * ROW_HEIGHT, "Transaction", {
+      size: HEADER_SIZE,
+      font: "bold",
+    });
+    y += rowHeight;
+    pdf.line(MARGIN, y - 3, PAGE_WIDTH - MARGIN, y - 3);
+  };
+
+  pdf.text(MARGIN, y, "Verification report", { size: 18, font: "bold" });
+  y += 30;
+  summaryLines(report).forEach(([key, value]) => {
+    pdf.text(MARGIN, y, key, { size: 10, font: "bold" });
+    pdf.text(MARGIN + 110, y, value, { size: 10 });
+    y += 15;
+  });
+  y += 10;
+  tableHeader();
+
+  report.readings.forEach((r) => {
+    if (y > footerY - ROW_HEIGHT - rowHeight) {
+      footer();
+      pdf.addPage();
+      y = MARGIN;
+      tableHeader();
+    }
+
+    const cells = [
+      r.timestamp,
+      ...report.metrics.map((key) => formatValue(r[key])),
+      CHAIN_STATUSES[r.status].text,
+      r.verified_at ?? "–",
+    ];
+    cells.forEach((value, i) => pdf.text(columns[i].x, y, value, { size: 8 }));
+    const { x } = transaction;
+    const signatureY = y + transaction.line * ROW_HEIGHT;
+    if (r.tx_signature) {
+      pdf.text(x, signatureY, r.tx_signature, {
+        size: SIGNATURE_SIZE,
+        font: "mono",
+        color: [29, 78, 216],
+      });
+      pdf.link(
+        x,
+        signatureY,
+        textWidth(r.tx_signature, SIGNATURE_SIZE, "mono"),
+        ROW_HEIGHT,
+        r.explorer_url,
+      );
+    } else {
+      pdf.text(x, signatureY, "–", { size: 8 });
+    }
+    y += rowHeight;
+  });
+
+  y += 10;
+  if (y > footerY - 3 * ROW_HEIGHT) {
+    footer();
+    pdf.addPage();
+    y = MARGIN;
+  }
+  pdf.text(MARGIN, y, `${HASH_NOTE}:`, { size: 8, font: "bold" });
+  pdf.text(MARGIN, y + 12, report.hash, { size: 8, font: "mono" });
+  footer();
+
+  return pdf.build();
+};
@@ -0,0 +1,112 @@
+// Which Solana cluster readings are anchored on, and which explorer
+// transaction links point to. Defaults come from the build's env variables;
+// users can override them on the Settings page.
+
+export const CLUSTERS = [
+  {
+    value: "devnet",
+    label: "Devnet",
+    rpcUrl: "https://api.devnet.solana.com",
+  },
+  {
+    value: "testnet",
+    label: "Testnet",
+    rpcUrl: "https://api.testnet.solana.com",
+  },
+  {
+    value: "mainnet-beta",
+    label: "Mainnet Beta",
+    rpcUrl: "https://api.mainnet-beta.solana.com",
+  },
+  { value: "localnet", label: "Localnet", rpcUrl: "http://localhost:8899" },
+  { value: "custom", label: "Custom RPC", rpcUrl: "" },
+];
+
+// Transaction URL templates. `{signature}` is the transaction signature and
+// `{cluster}` the explorer's cluster query, e.g. "?cluster=devnet" (empty on
+// mainnet); `{rpcUrl}` is the URL-encoded RPC endpoint.
+export const EXPLORERS = [
+  {
+    value: "solana-explorer",
+    label: "Solana Explorer",
+    template: "https://explorer.solana.com/tx/{signature}{cluster}",
+  },
+  {
+    value: "solscan",
+    label: "Solscan",
+    template: "https://solscan.io/tx/{signature}{cluster}",
+  },
+  {
+    value: "solanafm",
+    label: "SolanaFM",
+    template: "https://solana.fm/tx/{signature}{cluster}",
+  },
+  { value: "custom", label: "Custom URL template", template: "" },
+];
+
+const findCluster = (value) => CLUSTERS.find((c) => c.value === value);
+const findExplorer = (value) => EXPLORERS.find((e) => e.value === value);
+
+const env = import.meta.env;
+
+export const DEFAULT_CHAIN_SETTINGS = {
+  cluster: findCluster(env.VITE_SOLANA_CLUSTER)
+    ? env.VITE_SOLANA_CLUSTER
+    : "devnet",
+  rpcUrl: env.VITE_SOLANA_RPC_URL || "",
+  explorer: findExplorer(env.VITE_EXPLORER)
+    ? env.VITE_EXPLORER
+    : "solana-explorer",
+  explorerTemplate: env.VITE_EXPLORER_URL_TEMPLATE || "",
+};
+
+export const clusterLabel = (settings) =>
+  findCluster(settings.cluster)?.label ?? settings.cluster;
+
+// An explicit RPC URL wins over the cluster's public endpoint
+export const rpcUrlFor = (settings) =>
+  settings.rpcUrl || findCluster(settings.cluster)?.rpcUrl || "";
+
+// Query suffix selecting the cluster on the hosted explorers. Localnet and
+// custom clusters are passed as a custom RPC URL, which Solana Explorer and
+// SolanaFM understand.
+const clusterQuery = (settings) => {
+  if (settings.cluster === "mainnet-beta") return "";
+  if (settings.cluster === "localnet" || settings.cluster === "custom") {
+    return `?cluster=custom&customUrl=${encodeURIComponent(rpcUrlFor(settings))}`;
+  }
+  return `?cluster=${settings.cluster}`;
+};
+
+export const explorerTxUrl = (signature, settings) => {
+  const template =
+    settings.explorer === "custom"
+      ? settings.explorerTemplate
+      : findExplorer(settings.explorer)?.template;
+
+  return (template || EXPLORERS[0].template)
+    .replace("{signature}", signature)
+    .replace("{cluster}", clusterQuery(settings))
+    .replace("{rpcUrl}", encodeURIComponent(rpcUrlFor(settings)));
+};
+
+// Problems with a settings object, by field, for the settings form
+export const validateChainSettings = (settings) => {
+  const errors = {};
+  if (settings.cluster === "custom" && !settings.rpcUrl.trim()) {
+    errors.rpcUrl = "A custom cluster needs an RPC URL";
+  } else if (
+    settings.rpcUrl.trim() &&
+    !/^https?:\/\//.test(settings.rpcUrl.trim())
+  ) {
+    errors.rpcUrl = "RPC URL must start with http:// or https://";
+  }
+  if (settings.explorer === "custom") {
+    if (!settings.explorerTemplate.includes("{signature}")) {
+      errors.explorerTemplate = "The template must contain {signature}";
+    } else if (!/^https?:\/\//.test(settings.explorerTemplate)) {
+      errors.explorerTemplate = "The template must be an http(s) URL";
+    }
+  }
+  return errors;
+};
@@ -0,0 +1,52 @@
+import { Shield, CheckCircle, XCircle } from "lucide-react";
+
+// Blockchain status of a reading: "pending" until it has a transaction,
+// "on_chain" once anchored, then "verified" or "invalid" after verification
+export const readingStatus = (reading) => {
+  if (!reading.tx_signature || reading.tx_signature.trim() === "") {
+    return "pending";
+  }
+  if (reading.verified === undefined) return "on_chain";
+  return reading.verified ? "verified" : "invalid";
+};
+
+// Display of each status: badge classes and icon for tables, `color` for
+// chart markers
+export const CHAIN_STATUSES = {
+  pending: {
+    text: "Pending",
+    className: "bg-yellow-50 text-yellow-700 border border-yellow-200",
+    icon: Shield,
+    color: "#eab308",
+  },
+  on_chain: {
+    text: "On Chain",
+    className: "bg-blue-50 text-blue-700 border border-blue-200",
+    icon: Shield,
+    color: "#3b82f6",
+  },
+  verified: {
+    text: "Verified",
+    className: "bg-green-50 text-green-700 border border-green-200",
+    icon: CheckCircle,
+    color: "#22c55e",
+  },
+  invalid: {
+    text: "Invalid",
+    className: "bg-red-50 text-red-700 border border-red-200",
+    icon: XCircle,
+    color: "#ef4444",
+  },
+};
+
+export const getStatusDisplay = (reading) =>
+  CHAIN_STATUSES[readingStatus(reading)];
+
+// Number of readings in each status
+export const countStatuses = (readings) => {
+  const counts = Object.fromEntries(
+    Object.keys(CHAIN_STATUSES).map((status) => [status, 0]),
+  );
+  readings.forEach((reading) => counts[readingStatus(reading)]++);
+  return counts;
+};
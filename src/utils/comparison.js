@@ -0,0 +1,78 @@
+// Helpers for overlaying several sensors on one chart. Readings are aligned
+// onto common time buckets, since sensors sample at different instants.
+
+import { bucketStarter } from "./downsample";
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// Candidate bucket sizes, smallest first
+const BUCKET_SIZES = [
+  MINUTE,
+  5 * MINUTE,
+  15 * MINUTE,
+  30 * MINUTE,
+  HOUR,
+  2 * HOUR,
+  6 * HOUR,
+  12 * HOUR,
+  24 * HOUR,
+];
+
+// Smallest bucket size that keeps the span within `maxBuckets` buckets
+export const bucketSizeFor = (spanMs, maxBuckets = 300) =>
+  BUCKET_SIZES.find((size) => spanMs / size <= maxBuckets) ??
+  BUCKET_SIZES[BUCKET_SIZES.length - 1];
+
+// Distinct colours for the overlaid sensors, in selection order
+const COMPARISON_COLORS = [
+  "#3b82f6",
+  "#f97316",
+  "#10b981",
+  "#8b5cf6",
+  "#ef4444",
+  "#14b8a6",
+  "#eab308",
+  "#ec4899",
+];
+
+export const comparisonColor = (index) =>
+  COMPARISON_COLORS[index % COMPARISON_COLORS.length];
+
+export const seriesKey = (metric, sensorId) => `${metric}_${sensorId}`;
+
+// `series` is a list of `{ id, readings }`. Returns one row per bucket:
+// `{ time, co2_<id>, temperature_<id>, ... }` holding the mean of each
+// sensor's readings in that bucket, or undefined where a sensor has none.
+// Bucket edges follow `timeZone`, as on the single-sensor charts.
+export const alignSeries = (series, metrics, bucketMs, timeZone) => {
+  const buckets = new Map();
+  const bucketStart = bucketStarter(bucketMs, timeZone);
+
+  series.forEach(({ id, readings }) => {
+    readings.forEach((reading) => {
+      const time = bucketStart(new Date(reading.timestamp).getTime());
+      if (!buckets.has(time)) buckets.set(time, { time, sums: {} });
+      const { sums } = buckets.get(time);
+
+      metrics.forEach((metric) => {
+        const value = reading[metric];
+        if (typeof value !== "number" || Number.isNaN(value)) return;
+        const key = seriesKey(metric, id);
+        const acc = sums[key] || (sums[key] = { sum: 0, count: 0 });
+        acc.sum += value;
+        acc.count += 1;
+      });
+    });
+  });
+
+  return [...buckets.values()]
+    .sort((a, b) => a.time - b.time)
+    .map(({ time, sums }) => {
+      const row = { time };
+      Object.entries(sums).forEach(([key, { sum, count }]) => {
+        row[key] = parseFloat((sum / count).toFixed(2));
+      });
+      return row;
+    });
+};
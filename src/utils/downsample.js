@@ -0,0 +1,109 @@
+// Aggregation of readings into time buckets for the charts, so long ranges
+// draw a few hundred points instead of one per reading.
+
+import { readingStatus } from "./chainStatus";
+import { zoneOffset } from "./timeFormat";
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+export const CHART_BUCKETS = [
+  { size: MINUTE, label: "1-minute" },
+  { size: 15 * MINUTE, label: "15-minute" },
+  { size: HOUR, label: "hourly" },
+  { size: DAY, label: "daily" },
+];
+
+// At most one point per this many pixels of chart width
+const PIXELS_PER_POINT = 2;
+
+// Bucket size in ms for `count` readings spanning `spanMs` on a chart
+// `widthPx` wide, or null when every reading fits at full resolution
+export const chartBucketSize = (count, spanMs, widthPx) => {
+  const maxPoints = Math.max(Math.floor(widthPx / PIXELS_PER_POINT), 50);
+  if (count <= maxPoints) return null;
+  return (
+    CHART_BUCKETS.find(({ size }) => spanMs / size <= maxPoints)?.size ??
+    CHART_BUCKETS[CHART_BUCKETS.length - 1].size
+  );
+};
+
+export const bucketLabel = (bucketMs) =>
+  CHART_BUCKETS.find(({ size }) => size === bucketMs)?.label;
+
+// Returns `time => start of its bucket`, with bucket edges on wall-clock
+// boundaries of `timeZone` (undefined for the browser's zone): hourly buckets
+// start on the local hour and daily ones at local midnight, also across
+// daylight saving changes, rather than on UTC ones
+export const bucketStarter = (bucketMs, timeZone) => {
+  // Zone offsets only change on the hour; cached since readings run to many
+  // thousands and each lookup formats a date
+  const offsets = new Map();
+  const offsetAt = (time) => {
+    const hour = Math.floor(time / HOUR);
+    if (!offsets.has(hour))
+      offsets.set(hour, zoneOffset(hour * HOUR, timeZone));
+    return offsets.get(hour);
+  };
+
+  return (time) => {
+    const offset = offsetAt(time);
+    const wall = Math.floor((time + offset) / bucketMs) * bucketMs;
+    // Re-read the offset at the bucket's start in case it changed since
+    const start = wall - offsetAt(wall - offset);
+    return start <= time ? start : wall - offset;
+  };
+};
+
+// A bucket shows its most urgent status, so one invalid or pending reading
+// is not averaged away
+const STATUS_PRIORITY = ["invalid", "pending", "on_chain", "verified"];
+
+const round = (value) => parseFloat(value.toFixed(2));
+
+// One row per non-empty bucket, in time order: `{ time, count, status,
+// <metric>, <metric>Range }` where <metric> is the mean and <metric>Range
+// is `[min, max]`. Buckets of a single reading keep its `txSignature`.
+// Bucket edges follow `timeZone`, see bucketStarter.
+export const aggregateReadings = (readings, metrics, bucketMs, timeZone) => {
+  const buckets = new Map();
+  const bucketStart = bucketStarter(bucketMs, timeZone);
+
+  readings.forEach((reading) => {
+    const time = bucketStart(new Date(reading.timestamp).getTime());
+    if (!buckets.has(time)) buckets.set(time, { time, readings: [] });
+    buckets.get(time).readings.push(reading);
+  });
+
+  return [...buckets.values()]
+    .sort((a, b) => a.time - b.time)
+    .map(({ time, readings: bucket }) => {
+      const statuses = bucket.map(readingStatus);
+      const row = {
+        time,
+        count: bucket.length,
+        status: STATUS_PRIORITY.find((s) => statuses.includes(s)),
+        txSignature: bucket.length === 1 ? bucket[0].tx_signature : null,
+      };
+
+      metrics.forEach((metric) => {
+        const values = bucket
+          .map((r) => r[metric])
+          .filter((v) => typeof v === "number" && !Number.isNaN(v));
+        if (values.length === 0) return;
+        const { min, max, sum } = values.reduce(
+          (acc, v) => ({
+            min: Math.min(acc.min, v),
+            max: Math.max(acc.max, v),
+            sum: acc.sum + v,
+          }),
+          { min: Infinity, max: -Infinity, sum: 0 },
+        );
+        row[metric] = round(sum / values.length);
+        row[`${metric}Range`] = [round(min), round(max)];
+      });
+
+      return row;
+    });
+};
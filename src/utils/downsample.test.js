@@ -0,0 +1,59 @@
+import { describe, expect, it } from "vitest";
+import { aggregateReadings, bucketStarter } from "./downsample";
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+describe("bucketStarter", () => {
+  it("starts daily buckets at midnight in the time zone", () => {
+    const start = bucketStarter(DAY, "Europe/Madrid");
+    // 00:30 in Madrid (UTC+1) is still 23:30 the previous day in UTC
+    expect(start(Date.parse("2025-01-14T23:30:00Z"))).toBe(
+      Date.parse("2025-01-14T23:00:00Z"),
+    );
+    expect(start(Date.parse("2025-01-15T22:59:00Z"))).toBe(
+      Date.parse("2025-01-14T23:00:00Z"),
+    );
+  });
+
+  it("starts daily buckets at UTC midnight for UTC", () => {
+    const start = bucketStarter(DAY, "UTC");
+    expect(start(Date.parse("2025-01-15T23:30:00Z"))).toBe(
+      Date.parse("2025-01-15T00:00:00Z"),
+    );
+  });
+
+  it("keeps midnight across a daylight saving change", () => {
+    const start = bucketStarter(DAY, "Europe/Madrid");
+    // Clocks go forward on 30 March 2025; the next day starts at UTC+2
+    expect(start(Date.parse("2025-03-30T12:00:00Z"))).toBe(
+      Date.parse("2025-03-29T23:00:00Z"),
+    );
+    expect(start(Date.parse("2025-03-31T08:00:00Z"))).toBe(
+      Date.parse("2025-03-30T22:00:00Z"),
+    );
+  });
+
+  it("starts hourly buckets on the local hour in half-hour zones", () => {
+    const start = bucketStarter(HOUR, "Asia/Kolkata");
+    // 10:15 UTC is 15:45 in India (UTC+5:30)
+    expect(start(Date.parse("2025-01-15T10:15:00Z"))).toBe(
+      Date.parse("2025-01-15T09:30:00Z"),
+    );
+  });
+});
+
+describe("aggregateReadings", () => {
+  it("groups readings by local day", () => {
+    const readings = [
+      { timestamp: "2025-01-14T22:30:00Z", co2: 400 },
+      { timestamp: "2025-01-14T23:30:00Z", co2: 600 },
+      { timestamp: "2025-01-15T12:00:00Z", co2: 800 },
+    ];
+    const rows = aggregateReadings(readings, ["co2"], DAY, "Europe/Madrid");
+    expect(rows.map(({ time, count, co2 }) => [time, count, co2])).toEqual([
+      [Date.parse("2025-01-13T23:00:00Z"), 1, 400],
+      [Date.parse("2025-01-14T23:00:00Z"), 2, 700],
+    ]);
+  });
+});
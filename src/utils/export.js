@@ -0,0 +1,171 @@
+import { formatTimeRange, resolveTimeRange } from "./timeRange";
+import { buildXlsx, sheetRowXml } from "./xlsx";
+import { metricsIn } from "./metrics";
+
+export const EXPORT_FORMATS = [
+  { value: "csv", label: "CSV", extension: "csv" },
+  { value: "json", label: "JSON", extension: "json" },
+  { value: "xlsx", label: "Excel (XLSX)", extension: "xlsx" },
+];
+
+// One column per metric the exported readings report, between the
+// timestamp and the chain columns
+const exportColumns = (readings) => [
+  "timestamp",
+  ...metricsIn(readings).map((metric) => metric.key),
+  "tx_signature",
+  "verified",
+];
+
+// Rows are serialised this many at a time, yielding to the event loop in
+// between so large exports don't freeze the tab
+const CHUNK_SIZE = 2000;
+
+const yieldToBrowser = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+// Builds the output in chunks of CHUNK_SIZE readings; `renderChunk` turns a
+// slice of rows into one string
+const renderInChunks = async (rows, renderChunk, onProgress) => {
+  const chunks = [];
+  for (let i = 0; i < rows.length; i += CHUNK_SIZE) {
+    chunks.push(renderChunk(rows.slice(i, i + CHUNK_SIZE), i));
+    onProgress?.(Math.min(i + CHUNK_SIZE, rows.length), rows.length);
+    await yieldToBrowser();
+  }
+  return chunks;
+};
+
+// `verification` maps reading ids to the last verification result, which
+// takes precedence over a `verified` field sent by the backend. Unverified
+// readings export an empty value, as do metrics a reading lacks.
+const toRow = (reading, columns, verification) => {
+  const verified = verification[reading.id] ?? reading.verified;
+  const row = Object.fromEntries(
+    columns.map((column) => [column, reading[column] ?? null]),
+  );
+  return {
+    ...row,
+    timestamp: new Date(reading.timestamp).toISOString(),
+    tx_signature: reading.tx_signature || "",
+    verified: typeof verified === "boolean" ? verified : null,
+  };
+};
+
+const exportHeader = (sensor, timeRange, exportedAt) => {
+  const { from, to } = resolveTimeRange(timeRange, exportedAt);
+  return [
+    ["Sensor", `${sensor.name} (#${sensor.id})`],
+    ["Location", sensor.location ?? ""],
+    ["Range", formatTimeRange(timeRange)],
+    ["From", from.toISOString()],
+    ["To", to.toISOString()],
+    ["Exported at", exportedAt.toISOString()],
+  ];
+};
+
+const csvValue = (value) => {
+  if (value === null || value === undefined) return "";
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvLine = (values) => values.map(csvValue).join(",") + "\r\n";
+
+// Header block as `# Key: value` comment lines, a blank line, then the table
+const buildCsv = async (header, columns, rows, onProgress) => {
+  const preamble =
+    header.map(([key, value]) => `# ${key}: ${value}\r\n`).join("") +
+    "\r\n" +
+    csvLine(columns);
+  const body = await renderInChunks(
+    rows,
+    (chunk) =>
+      chunk.map((row) => csvLine(columns.map((col) => row[col]))).join(""),
+    onProgress,
+  );
+  // Leading BOM so Excel opens the file as UTF-8
+  return new Blob(["\uFEFF", preamble, ...body], { type: "text/csv" });
+};
+
+const buildJson = async (header, rows, onProgress) => {
+  const meta = Object.fromEntries(
+    header.map(([key, value]) => [key.toLowerCase().replace(/ /g, "_"), value]),
+  );
+  const body = await renderInChunks(
+    rows,
+    (chunk, offset) =>
+      (offset > 0 ? ",\n" : "\n") +
+      chunk.map((row) => `    ${JSON.stringify(row)}`).join(",\n"),
+    onProgress,
+  );
+  const head = JSON.stringify(meta, null, 2).replace(/\n}$/, "");
+  return new Blob(
+    [
+      head,
+      ',\n  "readings": [',
+      ...body,
+      rows.length ? "\n  ]\n}\n" : "]\n}\n",
+    ],
+    { type: "application/json" },
+  );
+};
+
+// Header block in the first rows of the sheet, then the table
+const buildSheet = async (header, columns, rows, sensorName, onProgress) => {
+  const preamble =
+    header.map((entry) => sheetRowXml(entry)).join("") +
+    sheetRowXml([]) +
+    sheetRowXml(columns);
+  const body = await renderInChunks(
+    rows,
+    (chunk) =>
+      chunk.map((row) => sheetRowXml(columns.map((col) => row[col]))).join(""),
+    onProgress,
+  );
+  // Sheet names are limited to 31 characters and can't contain []:*?/\
+  const sheetName = sensorName.replace(/[[\]:*?/\\]/g, " ").slice(0, 31);
+  return buildXlsx([preamble, ...body], { sheetName: sheetName || "Readings" });
+};
+
+// Builds the export file for a sensor's readings (oldest first), resolving
+// to `{ blob, filename }`
+export const buildReadingsExport = async (
+  format,
+  {
+    sensor,
+    timeRange,
+    readings,
+    verification = {},
+    exportedAt = new Date(),
+    onProgress,
+  },
+) => {
+  const header = exportHeader(sensor, timeRange, exportedAt);
+  const columns = exportColumns(readings);
+  const rows = readings.map((reading) => toRow(reading, columns, verification));
+  const { extension } = EXPORT_FORMATS.find((f) => f.value === format);
+
+  let blob;
+  if (format === "csv") {
+    blob = await buildCsv(header, columns, rows, onProgress);
+  } else if (format === "json") {
+    blob = await buildJson(header, rows, onProgress);
+  } else {
+    blob = await buildSheet(header, columns, rows, sensor.name, onProgress);
+  }
+
+  const slug = sensor.name.toLowerCase().replace(/[^a-z0-9]+/g, "-");
+  const date = exportedAt.toISOString().slice(0, 10);
+  return { blob, filename: `${slug}-readings-${date}.${extension}` };
+};
+
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
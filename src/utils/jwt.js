@@ -0,0 +1,43 @@
+// Minimal JWT helpers. Tokens are only decoded, never verified: signature
+// checks are the backend's job, the frontend just needs the claims.
+
+const decodeBase64Url = (segment) => {
+  const base64 = segment.replace(/-/g, "+").replace(/_/g, "/");
+  const padded = base64.padEnd(
+    base64.length + ((4 - (base64.length % 4)) % 4),
+    "=",
+  );
+  const binary = atob(padded);
+  const bytes = Uint8Array.from(binary, (c) => c.charCodeAt(0));
+  return new TextDecoder().decode(bytes);
+};
+
+export const decodeJwt = (token) => {
+  if (!token) return null;
+
+  const [, payload] = token.split(".");
+  if (!payload) return null;
+
+  try {
+    return JSON.parse(decodeBase64Url(payload));
+  } catch {
+    return null;
+  }
+};
+
+// Expiry as a millisecond timestamp, or null if the token has no `exp` claim
+export const getTokenExpiry = (token) => {
+  const exp = decodeJwt(token)?.exp;
+  return typeof exp === "number" ? exp * 1000 : null;
+};
+
+// Issue time as a millisecond timestamp, or null without an `iat` claim
+export const getTokenIssuedAt = (token) => {
+  const iat = decodeJwt(token)?.iat;
+  return typeof iat === "number" ? iat * 1000 : null;
+};
+
+export const isTokenExpired = (token, now = Date.now()) => {
+  const expiresAt = getTokenExpiry(token);
+  return expiresAt !== null && expiresAt <= now;
+};
@@ -0,0 +1,119 @@
+// Registry of the measurements a reading can carry. Charts, stat cards,
+// table columns, tooltips, alerts and exports are generated from it, so a
+// metric shows up wherever a sensor reports it. Each entry:
+//   key         field name on the reading, e.g. reading.pm25
+//   label, unit for display ("PM2.5", "µg/m³")
+//   color       chart colour
+//   precision   decimals shown
+//   thresholds  ascending levels above which the value is a concern, used by
+//               the analysis panel's "time above" figures
+// Readings may lack any metric; a missing or non-numeric value is shown as
+// "–" and skipped by aggregates.
+
+export const METRICS = [
+  {
+    key: "co2",
+    label: "CO₂",
+    unit: "ppm",
+    color: "#3b82f6",
+    precision: 0,
+    thresholds: [1000, 1500],
+  },
+  {
+    key: "temperature",
+    label: "Temperature",
+    unit: "°C",
+    color: "#f97316",
+    precision: 1,
+    thresholds: [26],
+  },
+  {
+    key: "humidity",
+    label: "Humidity",
+    unit: "%",
+    color: "#06b6d4",
+    precision: 0,
+    thresholds: [60, 70],
+  },
+  {
+    key: "pm25",
+    label: "PM2.5",
+    unit: "µg/m³",
+    color: "#8b5cf6",
+    precision: 1,
+    thresholds: [15, 35],
+  },
+  {
+    key: "pm10",
+    label: "PM10",
+    unit: "µg/m³",
+    color: "#a855f7",
+    precision: 1,
+    thresholds: [45, 100],
+  },
+  {
+    key: "no2",
+    label: "NO₂",
+    unit: "µg/m³",
+    color: "#b45309",
+    precision: 1,
+    thresholds: [25, 200],
+  },
+  {
+    key: "voc",
+    label: "VOC",
+    unit: "ppb",
+    color: "#10b981",
+    precision: 0,
+    thresholds: [220, 660],
+  },
+  {
+    key: "aqi",
+    label: "AQI",
+    unit: "",
+    color: "#ef4444",
+    precision: 0,
+    thresholds: [50, 100, 150],
+  },
+];
+
+export const METRIC_KEYS = METRICS.map((metric) => metric.key);
+
+const BY_KEY = Object.fromEntries(
+  METRICS.map((metric) => [metric.key, metric]),
+);
+
+// Registry entry for `key`; unknown keys get a neutral entry so stored alert
+// rules for a metric that was since removed still display
+export const getMetric = (key) =>
+  BY_KEY[key] ?? {
+    key,
+    label: key,
+    unit: "",
+    color: "#64748b",
+    precision: 2,
+    thresholds: [],
+  };
+
+export const hasValue = (reading, key) =>
+  typeof reading?.[key] === "number" && Number.isFinite(reading[key]);
+
+// Metrics at least one of `readings` reports, in registry order
+export const metricsIn = (readings) =>
+  METRICS.filter((metric) =>
+    readings.some((reading) => hasValue(reading, metric.key)),
+  );
+
+// "612 ppm", or "612" without the unit; "–" for a missing value
+export const formatMetric = (value, key, { unit = true } = {}) => {
+  if (typeof value !== "number" || !Number.isFinite(value)) return "–";
+  const metric = getMetric(key);
+  const text = value.toFixed(metric.precision);
+  return unit && metric.unit ? `${text} ${metric.unit}` : text;
+};
+
+// "PM2.5 (µg/m³)", e.g. for axis labels and column headers
+export const metricTitle = (key) => {
+  const { label, unit } = getMetric(key);
+  return unit ? `${label} (${unit})` : label;
+};
@@ -0,0 +1,149 @@
+// Minimal PDF writer for text reports: A4 pages with text in the standard
+// Helvetica/Courier fonts, lines and link annotations. Text is encoded as
+// WinAnsi, so characters outside Latin-1 are approximated.
+
+export const PAGE_WIDTH = 842; // A4 landscape, in points
+export const PAGE_HEIGHT = 595;
+
+const FONTS = {
+  regular: { id: "F1", base: "Helvetica" },
+  bold: { id: "F2", base: "Helvetica-Bold" },
+  mono: { id: "F3", base: "Courier" },
+};
+
+// WinAnsi code points of the non-Latin-1 characters reports use
+const WIN_ANSI = {
+  "–": 0x96,
+  "—": 0x97,
+  "‘": 0x91,
+  "’": 0x92,
+  "“": 0x93,
+  "”": 0x94,
+  "•": 0x95,
+  "…": 0x85,
+};
+const APPROXIMATIONS = { "₂": "2", "✓": "v", "✗": "x" };
+
+const toWinAnsi = (text) =>
+  Array.from(String(text), (char) => {
+    if (APPROXIMATIONS[char]) return APPROXIMATIONS[char];
+    if (WIN_ANSI[char]) return String.fromCharCode(WIN_ANSI[char]);
+    return char.charCodeAt(0) < 256 ? char : "?";
+  }).join("");
+
+const escapeText = (text) =>
+  toWinAnsi(text)
+    .replace(/\\/g, "\\\\")
+    .replace(/\(/g, "\\(")
+    .replace(/\)/g, "\\)");
+
+const rgb = ([r, g, b]) => [r, g, b].map((c) => (c / 255).toFixed(3)).join(" ");
+
+// Approximate width of `text` in points; exact for the monospaced font
+export const textWidth = (text, size, font = "regular") =>
+  String(text).length * size * (font === "mono" ? 0.6 : 0.52);
+
+// Coordinates are in points from the top-left corner of the page
+export const createPdf = () => {
+  const pages = [];
+  let page = null;
+
+  const addPage = () => {
+    page = { content: [], links: [] };
+    pages.push(page);
+  };
+
+  const text = (
+    x,
+    y,
+    value,
+    { size = 10, font = "regular", color = [30, 41, 59] } = {},
+  ) => {
+    page.content.push(
+      `BT /${FONTS[font].id} ${size} Tf ${rgb(color)} rg ${x} ${
+        PAGE_HEIGHT - y - size
+      } Td (${escapeText(value)}) Tj ET`,
+    );
+  };
+
+  const line = (
+    x1,
+    y1,
+    x2,
+    y2,
+    { color = [203, 213, 225], width = 0.5 } = {},
+  ) => {
+    page.content.push(
+      `${rgb(color)} RG ${width} w ${x1} ${PAGE_HEIGHT - y1} m ${x2} ${
+        PAGE_HEIGHT - y2
+      } l S`,
+    );
+  };
+
+  const link = (x, y, width, height, url) => {
+    page.links.push({
+      rect: [x, PAGE_HEIGHT - y - height, x + width, PAGE_HEIGHT - y],
+      url,
+    });
+  };
+
+  // Serialises the document. Object numbers: 1 catalog, 2 page tree,
+  // 3-5 fonts, then per page the page, its content stream and its links.
+  const build = () => {
+    const objects = [];
+    const fontIds = Object.values(FONTS).map((font, i) => {
+      objects[3 + i] =
+        `<< /Type /Font /Subtype /Type1 /BaseFont /${font.base} /Encoding /WinAnsiEncoding >>`;
+      return `/${font.id} ${3 + i} 0 R`;
+    });
+
+    let next = 6;
+    const pageRefs = pages.map((p) => {
+      const pageId = next++;
+      const contentId = next++;
+      const linkIds = p.links.map(() => next++);
+
+      const stream = p.content.join("\n");
+      objects[contentId] =
+        `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`;
+      p.links.forEach(({ rect, url }, i) => {
+        objects[linkIds[i]] =
+          `<< /Type /Annot /Subtype /Link /Rect [${rect.join(" ")}] /Border [0 0 0] /A << /S /URI /URI (${escapeText(url)}) >> >>`;
+      });
+      objects[pageId] =
+        `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+        `/Resources << /Font << ${fontIds.join(" ")} >> >> /Contents ${contentId} 0 R` +
+        (linkIds.length
+          ? ` /Annots [${linkIds.map((id) => `${id} 0 R`).join(" ")}]`
+          : "") +
+        " >>";
+      return `${pageId} 0 R`;
+    });
+
+    objects[1] = "<< /Type /Catalog /Pages 2 0 R >>";
+    objects[2] = `<< /Type /Pages /Kids [${pageRefs.join(" ")}] /Count ${pages.length} >>`;
+
+    // Every character is a single byte, so string offsets are byte offsets
+    let output = "%PDF-1.4\n";
+    const offsets = [];
+    for (let id = 1; id < objects.length; id++) {
+      offsets[id] = output.length;
+      output += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+    }
+    const xref = output.length;
+    output +=
+      `xref\n0 ${objects.length}\n0000000000 65535 f \n` +
+      offsets
+        .slice(1)
+        .map((offset) => `${String(offset).padStart(10, "0")} 00000 n \n`)
+        .join("") +
+      `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+    const bytes = new Uint8Array(output.length);
+    for (let i = 0; i < output.length; i++) bytes[i] = output.charCodeAt(i);
+    return new Blob([bytes], { type: "application/pdf" });
+  };
+
+  addPage();
+  return { addPage, text, line, link, build };
+};
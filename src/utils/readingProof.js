@@ -0,0 +1,94 @@
+// Checks a reading against the proof its transaction wrote on chain. The
+// backend records each reading as a memo, either the bare hash:
+//   "9f86d081884c7d65..."
+// or a JSON object with the fields and the hash:
+//   { "sensor_id": 3, "timestamp": "2025-01-01T12:00:00.000Z",
+//     "co2": 612.4, "temperature": 21.8, "hash": "9f86d081884c7d65..." }
+// The hash is the hex SHA-256 of the canonical string
+//   `${sensor_id}|${timestamp as ISO 8601}|${co2}|${temperature}`.
+
+export const PROOF_FIELDS = ["sensor_id", "timestamp", "co2", "temperature"];
+
+const HASH_PATTERN = /^[0-9a-f]{64}$/i;
+
+export const canonicalReading = (reading) =>
+  [
+    reading.sensor_id,
+    new Date(reading.timestamp).toISOString(),
+    reading.co2,
+    reading.temperature,
+  ].join("|");
+
+export const sha256Hex = async (text) => {
+  const digest = await crypto.subtle.digest(
+    "SHA-256",
+    new TextEncoder().encode(text),
+  );
+  return Array.from(new Uint8Array(digest))
+    .map((byte) => byte.toString(16).padStart(2, "0"))
+    .join("");
+};
+
+// Interprets a transaction payload as a proof, or returns null if it isn't one
+export const parseProof = (payload) => {
+  const text = String(payload).trim();
+  if (HASH_PATTERN.test(text)) return { hash: text.toLowerCase() };
+
+  try {
+    const data = JSON.parse(text);
+    if (!data || typeof data !== "object") return null;
+    const proof = {};
+    PROOF_FIELDS.forEach((field) => {
+      if (data[field] !== undefined) proof[field] = data[field];
+    });
+    if (typeof data.hash === "string" && HASH_PATTERN.test(data.hash)) {
+      proof.hash = data.hash.toLowerCase();
+    }
+    return Object.keys(proof).length > 0 ? proof : null;
+  } catch {
+    return null;
+  }
+};
+
+const sameValue = (field, a, b) => {
+  if (field === "timestamp") {
+    return new Date(a).getTime() === new Date(b).getTime();
+  }
+  return Number(a) === Number(b);
+};
+
+// Compares a reading with the first proof found among `payloads`. Resolves
+// to `{ verified, mismatches, error }`, where each mismatch is
+// `{ field, onChain, stored }` and `field` may also be "hash".
+export const checkReadingProof = async (reading, payloads) => {
+  const proof = payloads.map(parseProof).find(Boolean);
+  if (!proof) {
+    return {
+      verified: false,
+      mismatches: [],
+      error: "No reading proof found in the transaction",
+    };
+  }
+
+  const mismatches = PROOF_FIELDS.filter(
+    (field) =>
+      proof[field] !== undefined &&
+      !sameValue(field, proof[field], reading[field]),
+  ).map((field) => ({
+    field,
+    onChain: proof[field],
+    stored: reading[field],
+  }));
+
+  if (proof.hash) {
+    const hash = await sha256Hex(canonicalReading(reading));
+    if (hash !== proof.hash) {
+      mismatches.push({ field: "hash", onChain: proof.hash, stored: hash });
+    }
+  }
+
+  return { verified: mismatches.length === 0, mismatches, error: null };
+};
+
+export const describeMismatch = ({ field, onChain, stored }) =>
+  `${field}: ${onChain} on chain, ${stored} stored`;
@@ -0,0 +1,93 @@
+import { describe, expect, it } from "vitest";
+import {
+  canonicalReading,
+  checkReadingProof,
+  parseProof,
+  sha256Hex,
+} from "./readingProof";
+
+const reading = {
+  id: 42,
+  sensor_id: 3,
+  timestamp: "2025-01-01T13:00:00+01:00",
+  co2: 612.4,
+  temperature: 21.8,
+};
+
+// SHA-256 of "3|2025-01-01T12:00:00.000Z|612.4|21.8"
+const HASH = "cb1d058f141bdc10882a7e5c99fdcfd7de83d07d68f3d2e3a88c268192a60c58";
+
+describe("canonicalReading", () => {
+  it("joins the proof fields with the timestamp in UTC ISO 8601", () => {
+    expect(canonicalReading(reading)).toBe(
+      "3|2025-01-01T12:00:00.000Z|612.4|21.8",
+    );
+  });
+
+  it("hashes to the hex SHA-256 the backend writes", async () => {
+    expect(await sha256Hex(canonicalReading(reading))).toBe(HASH);
+  });
+});
+
+describe("parseProof", () => {
+  it("reads a bare hash in either case", () => {
+    expect(parseProof(` ${HASH.toUpperCase()}\n`)).toEqual({ hash: HASH });
+  });
+
+  it("keeps only the proof fields of a JSON memo", () => {
+    const memo = JSON.stringify({ sensor_id: 3, co2: 612.4, note: "x" });
+    expect(parseProof(memo)).toEqual({ sensor_id: 3, co2: 612.4 });
+  });
+
+  it("returns null for anything else", () => {
+    expect(parseProof("hello")).toBeNull();
+    expect(parseProof("abc123")).toBeNull();
+    expect(parseProof("{not json")).toBeNull();
+    expect(parseProof("42")).toBeNull();
+    expect(parseProof(JSON.stringify({ hash: "short" }))).toBeNull();
+  });
+});
+
+describe("checkReadingProof", () => {
+  const memo = JSON.stringify({
+    sensor_id: 3,
+    timestamp: "2025-01-01T12:00:00.000Z",
+    co2: 612.4,
+    temperature: 21.8,
+    hash: HASH,
+  });
+
+  it("verifies a reading matching its memo", async () => {
+    expect(await checkReadingProof(reading, [memo])).toEqual({
+      verified: true,
+      mismatches: [],
+      error: null,
+    });
+    expect((await checkReadingProof(reading, [HASH])).verified).toBe(true);
+  });
+
+  it("reports each field that differs and the hash", async () => {
+    const tampered = { ...reading, co2: 450 };
+    const { verified, mismatches } = await checkReadingProof(tampered, [memo]);
+    expect(verified).toBe(false);
+    expect(mismatches.map((m) => m.field)).toEqual(["co2", "hash"]);
+    expect(mismatches[0]).toEqual({
+      field: "co2",
+      onChain: 612.4,
+      stored: 450,
+    });
+  });
+
+  it("uses the first payload that is a proof", async () => {
+    const result = await checkReadingProof(reading, ["transfer", HASH]);
+    expect(result.verified).toBe(true);
+  });
+
+  it("fails without a proof in the transaction", async () => {
+    expect(await checkReadingProof(reading, ["hello", "{}"])).toEqual({
+      verified: false,
+      mismatches: [],
+      error: "No reading proof found in the transaction",
+    });
+  });
+});
@@ -0,0 +1,136 @@
+// Placement of sensors on the map page: Web Mercator projection for the
+// coordinate map, and building/floor grouping for the floor-plan view.
+
+// CO₂ bands used to colour markers by the latest reading
+export const CO2_LEVELS = [
+  { max: 800, label: "Good", color: "#22c55e" },
+  { max: 1000, label: "Moderate", color: "#eab308" },
+  { max: 1500, label: "Poor", color: "#f97316" },
+  { max: Infinity, label: "Unhealthy", color: "#ef4444" },
+];
+
+export const NO_DATA_COLOR = "#94a3b8";
+
+export const co2Level = (value) =>
+  typeof value === "number"
+    ? CO2_LEVELS.find((level) => value <= level.max)
+    : null;
+
+const isCoordinate = (value) =>
+  value !== null && value !== undefined && value !== "" && isFinite(value);
+
+export const hasCoordinates = (sensor) =>
+  isCoordinate(sensor.latitude) && isCoordinate(sensor.longitude);
+
+const TILE_SIZE = 256;
+const MAX_ZOOM = 19;
+// Zoom used when all sensors share one position
+const SINGLE_POINT_ZOOM = 17;
+
+// Position in the Web Mercator world square, 0–1 on both axes
+const toWorld = ({ latitude, longitude }) => {
+  const lat =
+    (Math.max(Math.min(Number(latitude), 85.05), -85.05) * Math.PI) / 180;
+  return {
+    x: (Number(longitude) + 180) / 360,
+    y: (1 - Math.log(Math.tan(lat) + 1 / Math.cos(lat)) / Math.PI) / 2,
+  };
+};
+
+// Centre (world units) and whole-number zoom that fit every sensor with
+// coordinates into a `width` × `height` view, leaving `padding` px around
+export const fitView = (sensors, width, height, padding = 40) => {
+  const points = sensors.filter(hasCoordinates).map(toWorld);
+  if (points.length === 0) return null;
+
+  const { minX, maxX, minY, maxY } = points.reduce(
+    (box, p) => ({
+      minX: Math.min(box.minX, p.x),
+      maxX: Math.max(box.maxX, p.x),
+      minY: Math.min(box.minY, p.y),
+      maxY: Math.max(box.maxY, p.y),
+    }),
+    { minX: Infinity, maxX: -Infinity, minY: Infinity, maxY: -Infinity },
+  );
+  const center = { x: (minX + maxX) / 2, y: (minY + maxY) / 2 };
+
+  const spanX = maxX - minX;
+  const spanY = maxY - minY;
+  if (spanX === 0 && spanY === 0) return { center, zoom: SINGLE_POINT_ZOOM };
+
+  const scale = Math.min(
+    (width - 2 * padding) / (spanX * TILE_SIZE),
+    (height - 2 * padding) / (spanY * TILE_SIZE),
+  );
+  const zoom = Math.max(Math.min(Math.floor(Math.log2(scale)), MAX_ZOOM), 0);
+  return { center, zoom };
+};
+
+export const clampZoom = (zoom) => Math.max(Math.min(zoom, MAX_ZOOM), 0);
+
+// Pixel position of a sensor in a view centred on `center` at `zoom`
+export const projectSensor = (sensor, { center, zoom }, width, height) => {
+  const world = toWorld(sensor);
+  const scale = TILE_SIZE * 2 ** zoom;
+  return {
+    x: (world.x - center.x) * scale + width / 2,
+    y: (world.y - center.y) * scale + height / 2,
+  };
+};
+
+// Map tiles covering the view, as `{ key, url, x, y, size }` with pixel
+// positions. `template` uses {z}, {x} and {y}, e.g. "/tiles/{z}/{x}/{y}.png".
+export const visibleTiles = (template, { center, zoom }, width, height) => {
+  const count = 2 ** zoom;
+  const left = center.x * count * TILE_SIZE - width / 2;
+  const top = center.y * count * TILE_SIZE - height / 2;
+
+  const tiles = [];
+  const firstX = Math.floor(left / TILE_SIZE);
+  const firstY = Math.max(Math.floor(top / TILE_SIZE), 0);
+  const lastX = Math.floor((left + width) / TILE_SIZE);
+  const lastY = Math.min(Math.floor((top + height) / TILE_SIZE), count - 1);
+
+  for (let ty = firstY; ty <= lastY; ty++) {
+    for (let tx = firstX; tx <= lastX; tx++) {
+      // Wrap around the antimeridian
+      const wrappedX = ((tx % count) + count) % count;
+      tiles.push({
+        key: `${zoom}/${tx}/${ty}`,
+        url: template
+          .replace("{z}", zoom)
+          .replace("{x}", wrappedX)
+          .replace("{y}", ty),
+        x: tx * TILE_SIZE - left,
+        y: ty * TILE_SIZE - top,
+        size: TILE_SIZE,
+      });
+    }
+  }
+  return tiles;
+};
+
+// Sensors grouped for the floor-plan view: buildings (the sensor's
+// `building`, else its location) holding floors (`floor`, else
+// "Unassigned"), both sorted by name
+export const groupByFloor = (sensors) => {
+  const buildings = new Map();
+
+  sensors.forEach((sensor) => {
+    const building = sensor.building?.trim() || sensor.location || "Unknown";
+    const floor = sensor.floor?.toString().trim() || "Unassigned";
+    if (!buildings.has(building)) buildings.set(building, new Map());
+    const floors = buildings.get(building);
+    if (!floors.has(floor)) floors.set(floor, []);
+    floors.get(floor).push(sensor);
+  });
+
+  const byName = (a, b) => a.localeCompare(b, undefined, { numeric: true });
+  return [...buildings.keys()].sort(byName).map((building) => ({
+    name: building,
+    floors: [...buildings.get(building).keys()].sort(byName).map((floor) => ({
+      name: floor,
+      sensors: buildings.get(building).get(floor),
+    })),
+  }));
+};
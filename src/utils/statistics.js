@@ -0,0 +1,212 @@
+// Descriptive statistics over a sensor's readings, for the analysis panel.
+// Everything here is pure so it can run inside the statistics worker.
+
+import { METRICS } from "./metrics";
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Levels the panel reports time spent above, per metric
+export const DEFAULT_THRESHOLDS = Object.fromEntries(
+  METRICS.map((metric) => [metric.key, metric.thresholds]),
+);
+
+// Gaps longer than this between readings (sensor offline) are not counted
+// as time spent at the previous reading's value
+const MAX_GAP_MS = HOUR;
+
+const isNumber = (value) => typeof value === "number" && !Number.isNaN(value);
+
+// Value at quantile `q` of sorted `values`, interpolating between ranks
+const quantile = (sorted, q) => {
+  const rank = (sorted.length - 1) * q;
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+};
+
+// Min, max, mean, median, 95th percentile and (population) standard
+// deviation; null when there are no values
+export const summarize = (values) => {
+  if (values.length === 0) return null;
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+  const variance =
+    values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length;
+
+  return {
+    count: values.length,
+    min: sorted[0],
+    max: sorted[sorted.length - 1],
+    mean,
+    median: quantile(sorted, 0.5),
+    p95: quantile(sorted, 0.95),
+    stdDev: Math.sqrt(variance),
+  };
+};
+
+// Time spent above each threshold, counting each reading until the next
+// one. `points` are `{ time, value }` in time order.
+export const timeAboveThresholds = (points, thresholds) => {
+  let coveredMs = 0;
+  const aboveMs = thresholds.map(() => 0);
+
+  for (let i = 0; i < points.length - 1; i++) {
+    const duration = points[i + 1].time - points[i].time;
+    if (duration <= 0 || duration > MAX_GAP_MS) continue;
+    coveredMs += duration;
+    thresholds.forEach((threshold, t) => {
+      if (points[i].value > threshold) aboveMs[t] += duration;
+    });
+  }
+
+  return thresholds.map((threshold, t) => ({
+    threshold,
+    durationMs: aboveMs[t],
+    share: coveredMs > 0 ? aboveMs[t] / coveredMs : 0,
+  }));
+};
+
+// Least-squares line through `{ time, value }` points, with the slope per
+// day and the fit's R²; null with fewer than two distinct times
+export const linearTrend = (points) => {
+  if (points.length < 2) return null;
+
+  // Relative to the first point, to keep the sums small
+  const origin = points[0].time;
+  const n = points.length;
+  let sumX = 0;
+  let sumY = 0;
+  points.forEach(({ time, value }) => {
+    sumX += (time - origin) / DAY;
+    sumY += value;
+  });
+  const meanX = sumX / n;
+  const meanY = sumY / n;
+
+  let sxx = 0;
+  let sxy = 0;
+  let syy = 0;
+  points.forEach(({ time, value }) => {
+    const dx = (time - origin) / DAY - meanX;
+    const dy = value - meanY;
+    sxx += dx * dx;
+    sxy += dx * dy;
+    syy += dy * dy;
+  });
+  if (sxx === 0) return null;
+
+  const slopePerDay = sxy / sxx;
+  return {
+    slopePerDay,
+    r2: syy === 0 ? 1 : (sxy * sxy) / (sxx * syy),
+  };
+};
+
+// Pearson correlation of paired values; null when either side is constant
+export const correlation = (xs, ys) => {
+  const n = xs.length;
+  if (n < 2) return null;
+
+  const meanX = xs.reduce((sum, v) => sum + v, 0) / n;
+  const meanY = ys.reduce((sum, v) => sum + v, 0) / n;
+  let sxx = 0;
+  let syy = 0;
+  let sxy = 0;
+  for (let i = 0; i < n; i++) {
+    const dx = xs[i] - meanX;
+    const dy = ys[i] - meanY;
+    sxx += dx * dx;
+    syy += dy * dy;
+    sxy += dx * dy;
+  }
+  if (sxx === 0 || syy === 0) return null;
+  return sxy / Math.sqrt(sxx * syy);
+};
+
+const WEEKDAYS = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
+
+// Day of week (0 = Monday) and hour of day of a time in `timeZone`
+const dayAndHourIn = (timeZone) => {
+  const formatter = new Intl.DateTimeFormat("en-US", {
+    weekday: "short",
+    hour: "numeric",
+    hourCycle: "h23",
+    timeZone,
+  });
+  return (time) => {
+    const parts = formatter.formatToParts(new Date(time));
+    const weekday = parts.find((p) => p.type === "weekday").value;
+    const hour = Number(parts.find((p) => p.type === "hour").value);
+    return { day: WEEKDAYS.indexOf(weekday), hour };
+  };
+};
+
+// Mean value per day of week and hour of day: a 7×24 grid (rows Monday
+// first), with null where there are no readings
+export const weeklyProfile = (points, timeZone) => {
+  const sums = Array.from({ length: 7 }, () => new Array(24).fill(0));
+  const counts = Array.from({ length: 7 }, () => new Array(24).fill(0));
+  const dayAndHour = dayAndHourIn(timeZone);
+
+  points.forEach(({ time, value }) => {
+    const { day, hour } = dayAndHour(time);
+    sums[day][hour] += value;
+    counts[day][hour] += 1;
+  });
+
+  return sums.map((row, day) =>
+    row.map((sum, hour) =>
+      counts[day][hour] > 0 ? sum / counts[day][hour] : null,
+    ),
+  );
+};
+
+export const weekdayLabel = (day) => WEEKDAYS[day];
+
+// Full analysis of a sensor's readings: per-metric summary, time above
+// thresholds, trend and weekly profile, plus the CO₂–temperature correlation.
+// `metrics` only holds the metrics the readings report.
+export const analyzeReadings = (
+  readings,
+  { thresholds = DEFAULT_THRESHOLDS, timeZone } = {},
+) => {
+  const sorted = readings
+    .map((reading) => ({
+      ...reading,
+      time: new Date(reading.timestamp).getTime(),
+    }))
+    .sort((a, b) => a.time - b.time);
+
+  const metrics = Object.fromEntries(
+    METRICS.map(({ key }) => {
+      const points = sorted
+        .filter((reading) => isNumber(reading[key]))
+        .map((reading) => ({ time: reading.time, value: reading[key] }));
+      if (points.length === 0) return null;
+      return [
+        key,
+        {
+          summary: summarize(points.map((p) => p.value)),
+          thresholds: timeAboveThresholds(points, thresholds[key] ?? []),
+          trend: linearTrend(points),
+          profile: weeklyProfile(points, timeZone),
+        },
+      ];
+    }).filter(Boolean),
+  );
+
+  const paired = sorted.filter(
+    (reading) => isNumber(reading.co2) && isNumber(reading.temperature),
+  );
+
+  return {
+    count: sorted.length,
+    metrics,
+    correlation: correlation(
+      paired.map((reading) => reading.co2),
+      paired.map((reading) => reading.temperature),
+    ),
+  };
+};
@@ -0,0 +1,146 @@
+// Date and time display in a chosen time zone. Timestamps are shown in the
+// browser's zone, UTC, or the sensor site's zone (the sensor's `timezone`,
+// an IANA name such as "Europe/Madrid").
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+export const TIME_ZONE_MODES = [
+  { value: "local", label: "Local time" },
+  { value: "utc", label: "UTC" },
+  { value: "site", label: "Sensor site" },
+];
+
+export const isValidTimeZone = (zone) => {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: zone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// IANA zone for a display mode, or undefined for the browser's own zone.
+// Sensors without a (valid) zone fall back to local time.
+export const resolveTimeZone = (mode, sensor) => {
+  if (mode === "utc") return "UTC";
+  if (mode === "site" && sensor?.timezone && isValidTimeZone(sensor.timezone)) {
+    return sensor.timezone;
+  }
+  return undefined;
+};
+
+// Formatters are costly to create and charts format hundreds of ticks
+const formatters = new Map();
+
+const formatter = (timeZone, options) => {
+  const key = `${timeZone ?? ""}|${JSON.stringify(options)}`;
+  if (!formatters.has(key)) {
+    formatters.set(
+      key,
+      new Intl.DateTimeFormat("en-GB", { ...options, timeZone }),
+    );
+  }
+  return formatters.get(key);
+};
+
+const format = (time, timeZone, options) =>
+  formatter(timeZone, options).format(new Date(time));
+
+// "19 Oct 2026"
+export const formatDate = (time, timeZone) =>
+  format(time, timeZone, { day: "numeric", month: "short", year: "numeric" });
+
+// "14:05:09 UTC"
+export const formatTime = (time, timeZone) =>
+  format(time, timeZone, {
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+    hourCycle: "h23",
+    timeZoneName: "short",
+  });
+
+// "19 Oct 2026, 14:05:09 UTC"
+export const formatDateTime = (time, timeZone) =>
+  `${formatDate(time, timeZone)}, ${formatTime(time, timeZone)}`;
+
+// Offset of `timeZone` from UTC at `time`, in ms
+export const zoneOffset = (time, timeZone) => {
+  const parts = Object.fromEntries(
+    formatter(timeZone, {
+      year: "numeric",
+      month: "numeric",
+      day: "numeric",
+      hour: "numeric",
+      minute: "numeric",
+      second: "numeric",
+      hourCycle: "h23",
+    })
+      .formatToParts(new Date(time))
+      .map(({ type, value }) => [type, Number(value)]),
+  );
+  const wallClock = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second,
+  );
+  return wallClock - Math.floor(time / 1000) * 1000;
+};
+
+// Candidate tick spacings, smallest first
+const TICK_STEPS = [
+  MINUTE,
+  5 * MINUTE,
+  15 * MINUTE,
+  30 * MINUTE,
+  HOUR,
+  3 * HOUR,
+  6 * HOUR,
+  12 * HOUR,
+  DAY,
+  2 * DAY,
+  7 * DAY,
+  14 * DAY,
+  30 * DAY,
+];
+
+// Axis ticks between `from` and `to` (ms), at most `maxTicks` of them,
+// falling on round wall-clock times (whole hours, midnights) in `timeZone`
+export const timeTicks = (from, to, timeZone, maxTicks) => {
+  const step =
+    TICK_STEPS.find((size) => (to - from) / size <= maxTicks) ??
+    TICK_STEPS[TICK_STEPS.length - 1];
+
+  const ticks = [];
+  const offset = zoneOffset(from, timeZone);
+  for (
+    let wall = Math.ceil((from + offset) / step) * step;
+    wall - offset <= to;
+    wall += step
+  ) {
+    // Re-read the offset at each tick so daylight saving changes keep ticks
+    // on the wall-clock hour
+    const tick = wall - zoneOffset(wall - offset, timeZone);
+    if (tick >= from && tick <= to) ticks.push(tick);
+  }
+  return ticks;
+};
+
+// Tick label: times of day on short spans, dates once the axis covers
+// several days, and the date whenever a tick falls on midnight
+export const formatTick = (time, spanMs, timeZone) => {
+  const clock = format(time, timeZone, {
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+  });
+  const date = format(time, timeZone, { day: "numeric", month: "short" });
+
+  if (clock === "00:00") return date;
+  return spanMs <= 2 * DAY ? clock : `${date} ${clock}`;
+};
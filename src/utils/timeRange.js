@@ -0,0 +1,102 @@
+// Time windows shared by the plots and sensors pages. A window is either a
+// preset relative to now (`{ range: "7d" }`) or absolute (`{ from, to }`,
+// Date objects). In the URL they appear as `?range=7d` or
+// `?from=<ISO>&to=<ISO>`.
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+export const TIME_RANGE_PRESETS = [
+  { value: "1h", label: "Last Hour", duration: HOUR },
+  { value: "6h", label: "Last 6 Hours", duration: 6 * HOUR },
+  { value: "24h", label: "Last 24 Hours", duration: DAY },
+  { value: "7d", label: "Last 7 Days", duration: 7 * DAY },
+  { value: "30d", label: "Last 30 Days", duration: 30 * DAY },
+  { value: "90d", label: "Last 90 Days", duration: 90 * DAY },
+  { value: "ytd", label: "Year to Date" },
+];
+
+const findPreset = (range) => TIME_RANGE_PRESETS.find((p) => p.value === range);
+
+export const isCustomRange = (timeRange) => !timeRange.range;
+
+// Absolute `{ from, to }` bounds of a window at time `now`
+export const resolveTimeRange = (timeRange, now = new Date()) => {
+  if (isCustomRange(timeRange)) {
+    return { from: timeRange.from, to: timeRange.to };
+  }
+
+  if (timeRange.range === "ytd") {
+    return { from: new Date(now.getFullYear(), 0, 1), to: now };
+  }
+
+  const preset = findPreset(timeRange.range) ?? findPreset("24h");
+  return { from: new Date(now.getTime() - preset.duration), to: now };
+};
+
+export const timeRangeDuration = (timeRange, now = new Date()) => {
+  const { from, to } = resolveTimeRange(timeRange, now);
+  return to.getTime() - from.getTime();
+};
+
+// Steps a window back (-1) or forward (+1) by its own length. The result is
+// always absolute, since "the previous 7 days" no longer ends now. Stepping
+// forward stops at now, keeping the window's length.
+export const shiftTimeRange = (timeRange, direction, now = new Date()) => {
+  const { from, to } = resolveTimeRange(timeRange, now);
+  const length = to.getTime() - from.getTime();
+  const end = Math.min(to.getTime() + length * direction, now.getTime());
+  return { from: new Date(end - length), to: new Date(end) };
+};
+
+// Query parameters for the readings endpoint. Presets are sent as absolute
+// bounds too, since the backend doesn't know all of them by name.
+export const timeRangeQuery = (timeRange, now = new Date()) => {
+  const { from, to } = resolveTimeRange(timeRange, now);
+  return { from: from.toISOString(), to: to.toISOString() };
+};
+
+// Stable string identity, for effect dependencies and cache keys
+export const timeRangeKey = (timeRange) =>
+  isCustomRange(timeRange)
+    ? `${timeRange.from.toISOString()}/${timeRange.to.toISOString()}`
+    : timeRange.range;
+
+export const parseTimeRangeParams = (searchParams, defaultRange) => {
+  const from = new Date(searchParams.get("from") ?? "");
+  const to = new Date(searchParams.get("to") ?? "");
+
+  if (
+    !Number.isNaN(from.getTime()) &&
+    !Number.isNaN(to.getTime()) &&
+    from < to
+  ) {
+    return { from, to };
+  }
+
+  const range = searchParams.get("range");
+  return { range: findPreset(range) ? range : defaultRange };
+};
+
+// Writes a window into a copy of `searchParams`, replacing the previous one
+export const applyTimeRangeParams = (searchParams, timeRange) => {
+  const next = new URLSearchParams(searchParams);
+  next.delete("range");
+  next.delete("from");
+  next.delete("to");
+
+  if (isCustomRange(timeRange)) {
+    next.set("from", timeRange.from.toISOString());
+    next.set("to", timeRange.to.toISOString());
+  } else {
+    next.set("range", timeRange.range);
+  }
+  return next;
+};
+
+export const formatTimeRange = (timeRange) => {
+  if (!isCustomRange(timeRange)) {
+    return findPreset(timeRange.range)?.label ?? timeRange.range;
+  }
+  return `${timeRange.from.toLocaleString()} – ${timeRange.to.toLocaleString()}`;
+};
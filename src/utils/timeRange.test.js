@@ -0,0 +1,41 @@
+import { describe, expect, it } from "vitest";
+import { shiftTimeRange, timeRangeQuery } from "./timeRange";
+
+const HOUR = 60 * 60 * 1000;
+const now = new Date("2025-01-15T12:00:00Z");
+
+describe("timeRangeQuery", () => {
+  it("sends presets as absolute bounds", () => {
+    expect(timeRangeQuery({ range: "6h" }, now)).toEqual({
+      from: "2025-01-15T06:00:00.000Z",
+      to: "2025-01-15T12:00:00.000Z",
+    });
+  });
+
+  it("passes custom bounds through", () => {
+    const from = new Date("2025-01-01T00:00:00Z");
+    const to = new Date("2025-01-02T00:00:00Z");
+    expect(timeRangeQuery({ from, to }, now)).toEqual({
+      from: from.toISOString(),
+      to: to.toISOString(),
+    });
+  });
+});
+
+describe("shiftTimeRange", () => {
+  it("steps back by the window's length", () => {
+    const { from, to } = shiftTimeRange({ range: "6h" }, -1, now);
+    expect(to.getTime() - now.getTime()).toBe(-6 * HOUR);
+    expect(to.getTime() - from.getTime()).toBe(6 * HOUR);
+  });
+
+  it("stops at now when stepping forward", () => {
+    const window = {
+      from: new Date(now.getTime() - 8 * HOUR),
+      to: new Date(now.getTime() - 2 * HOUR),
+    };
+    const { from, to } = shiftTimeRange(window, 1, now);
+    expect(to).toEqual(now);
+    expect(from).toEqual(new Date(now.getTime() - 6 * HOUR));
+  });
+});
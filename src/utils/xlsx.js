@@ -0,0 +1,153 @@
+// Minimal XLSX writer: a single worksheet of text, number and boolean cells,
+// packed into an uncompressed (stored) ZIP archive. Covers what the exports
+// need without pulling in a spreadsheet library.
+
+const encoder = new TextEncoder();
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+const crc32 = (chunks) => {
+  let crc = 0xffffffff;
+  chunks.forEach((bytes) => {
+    for (let i = 0; i < bytes.length; i++) {
+      crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+  });
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+const escapeXml = (text) =>
+  String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const cellXml = (value) => {
+  if (value === null || value === undefined || value === "") return "<c/>";
+  if (typeof value === "number") {
+    return Number.isFinite(value) ? `<c><v>${value}</v></c>` : "<c/>";
+  }
+  if (typeof value === "boolean") {
+    return `<c t="b"><v>${value ? 1 : 0}</v></c>`;
+  }
+  return `<c t="inlineStr"><is><t xml:space="preserve">${escapeXml(
+    value,
+  )}</t></is></c>`;
+};
+
+// One `<row>` element for an array of cell values
+export const sheetRowXml = (cells) =>
+  `<row>${cells.map(cellXml).join("")}</row>`;
+
+const SHEET_START =
+  '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+  '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>';
+const SHEET_END = "</sheetData></worksheet>";
+
+const staticParts = (sheetName) => ({
+  "[Content_Types].xml":
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+    '<Default Extension="xml" ContentType="application/xml"/>' +
+    '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+    '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+    "</Types>",
+  "_rels/.rels":
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+    "</Relationships>",
+  "xl/workbook.xml":
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+    `<sheets><sheet name="${escapeXml(sheetName)}" sheetId="1" r:id="rId1"/></sheets>` +
+    "</workbook>",
+  "xl/_rels/workbook.xml.rels":
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+    "</Relationships>",
+});
+
+// Builds a stored ZIP from `{ name, chunks }` entries, where `chunks` are
+// Uint8Arrays. Returns the archive as an array of Blob parts.
+const zipParts = (entries) => {
+  const parts = [];
+  const central = [];
+  let offset = 0;
+
+  entries.forEach(({ name, chunks }) => {
+    const nameBytes = encoder.encode(name);
+    const size = chunks.reduce((sum, c) => sum + c.length, 0);
+    const crc = crc32(chunks);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true); // version needed
+    local.setUint16(8, 0, true); // stored, no compression
+    local.setUint32(14, crc, true);
+    local.setUint32(18, size, true);
+    local.setUint32(22, size, true);
+    local.setUint16(26, nameBytes.length, true);
+    parts.push(local.buffer, nameBytes, ...chunks);
+
+    const header = new DataView(new ArrayBuffer(46));
+    header.setUint32(0, 0x02014b50, true);
+    header.setUint16(4, 20, true); // version made by
+    header.setUint16(6, 20, true); // version needed
+    header.setUint32(16, crc, true);
+    header.setUint32(20, size, true);
+    header.setUint32(24, size, true);
+    header.setUint16(28, nameBytes.length, true);
+    header.setUint32(42, offset, true);
+    central.push(header.buffer, nameBytes);
+
+    offset += 30 + nameBytes.length + size;
+  });
+
+  const centralSize = central.reduce(
+    (sum, part) => sum + (part.byteLength ?? part.length),
+    0,
+  );
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, entries.length, true);
+  end.setUint16(10, entries.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  return [...parts, ...central, end.buffer];
+};
+
+export const XLSX_MIME_TYPE =
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet";
+
+// Packs pre-rendered `<row>` strings (see sheetRowXml) into an XLSX Blob.
+// Rows are passed in chunks so callers can build them incrementally.
+export const buildXlsx = (rowChunks, { sheetName = "Sheet1" } = {}) => {
+  const sheet = [
+    encoder.encode(SHEET_START),
+    ...rowChunks.map((chunk) => encoder.encode(chunk)),
+    encoder.encode(SHEET_END),
+  ];
+
+  const entries = Object.entries(staticParts(sheetName)).map(([name, xml]) => ({
+    name,
+    chunks: [encoder.encode(xml)],
+  }));
+  entries.push({ name: "xl/worksheets/sheet1.xml", chunks: sheet });
+
+  return new Blob(zipParts(entries), { type: XLSX_MIME_TYPE });
+};
@@ -0,0 +1,12 @@
+import { analyzeReadings } from "../utils/statistics";
+
+// Runs `analyzeReadings` off the main thread. Requests are `{ id, readings,
+// options }`; each reply carries the request's id so stale results can be
+// dropped.
+self.onmessage = ({ data: { id, readings, options } }) => {
+  try {
+    self.postMessage({ id, result: analyzeReadings(readings, options) });
+  } catch (err) {
+    self.postMessage({ id, error: err.message });
+  }
+};
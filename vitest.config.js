@@ -0,0 +1,8 @@
+import { defineConfig } from "vitest/config";
+
+// Kept apart from vite.config.js, which needs the local HTTPS certificates
+export default defineConfig({
+  test: {
+    include: ["src/**/*.test.{js,jsx}"],
+  },
+});